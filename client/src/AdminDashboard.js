@@ -0,0 +1,409 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { BarChart3, LogOut, RefreshCw } from "lucide-react";
+import TextField from "@mui/material/TextField";
+import Button from "@mui/material/Button";
+import MenuItem from "@mui/material/MenuItem";
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || "http://localhost:5000";
+
+// The admin token lives only for this browser tab
+const TOKEN_KEY = "ums-admin-token";
+
+const RANGES = [
+  { days: 1, label: "Last 24 hours", interval: "hour" },
+  { days: 7, label: "Last 7 days", interval: "day" },
+  { days: 30, label: "Last 30 days", interval: "day" },
+];
+
+const CATEGORY_COLORS = [
+  "bg-orange-500",
+  "bg-blue-500",
+  "bg-green-500",
+  "bg-purple-500",
+  "bg-pink-500",
+  "bg-yellow-500",
+];
+const OTHER_COLOR = "bg-gray-300";
+
+const formatMs = (ms) =>
+  ms === null || ms === undefined ? "–" : `${(ms / 1000).toFixed(2)}s`;
+const formatPercent = (rate) => `${(rate * 100).toFixed(1)}%`;
+const formatBucket = (start, interval) =>
+  interval === "hour"
+    ? new Date(start).toLocaleTimeString([], { hour: "2-digit" })
+    : new Date(start).toLocaleDateString([], {
+        month: "short",
+        day: "numeric",
+      });
+
+async function fetchAdmin(path, token) {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  if (response.status === 401) throw new Error("Invalid admin token");
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+  return response.json();
+}
+
+function StatCard({ label, value }) {
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+      <p className="text-xs text-gray-500">{label}</p>
+      <p className="text-2xl font-semibold text-gray-800 mt-1">{value}</p>
+    </div>
+  );
+}
+
+function Panel({ title, children }) {
+  return (
+    <section className="bg-white rounded-xl border border-gray-200 p-4 shadow-sm">
+      <h2 className="text-sm font-semibold text-gray-700 mb-3">{title}</h2>
+      {children}
+    </section>
+  );
+}
+
+// Horizontal bars for a { label: count } map, largest first
+function BarList({ counts }) {
+  const entries = Object.entries(counts).sort(([, a], [, b]) => b - a);
+  const max = Math.max(1, ...entries.map(([, count]) => count));
+
+  if (entries.length === 0) {
+    return <p className="text-xs text-gray-500">No data yet.</p>;
+  }
+  return (
+    <ul className="space-y-2">
+      {entries.map(([label, count]) => (
+        <li key={label} className="text-xs">
+          <div className="flex justify-between text-gray-600">
+            <span>{label}</span>
+            <span>{count}</span>
+          </div>
+          <div className="h-2 mt-1 bg-gray-100 rounded-full">
+            <div
+              className="h-2 bg-orange-500 rounded-full"
+              style={{ width: `${(count / max) * 100}%` }}
+            />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Stacked columns, one per time bucket; the most asked categories get their
+// own colour and the rest are grouped as "Other"
+function CategoryChart({ buckets, interval }) {
+  const totals = {};
+  for (const bucket of buckets) {
+    for (const [category, count] of Object.entries(bucket.categories)) {
+      totals[category] = (totals[category] || 0) + count;
+    }
+  }
+  const top = Object.entries(totals)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, CATEGORY_COLORS.length)
+    .map(([category]) => category);
+  const max = Math.max(1, ...buckets.map((bucket) => bucket.total));
+
+  if (buckets.length === 0) {
+    return <p className="text-xs text-gray-500">No data yet.</p>;
+  }
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-40">
+        {buckets.map((bucket) => {
+          const other =
+            bucket.total -
+            top.reduce((sum, c) => sum + (bucket.categories[c] || 0), 0);
+          return (
+            <div
+              key={bucket.start}
+              className="flex-1 flex flex-col-reverse"
+              style={{ height: `${(bucket.total / max) * 100}%` }}
+              title={`${formatBucket(bucket.start, interval)}: ${bucket.total} queries`}
+            >
+              {top.map((category, i) => (
+                <div
+                  key={category}
+                  className={CATEGORY_COLORS[i]}
+                  style={{
+                    flexGrow: bucket.categories[category] || 0,
+                  }}
+                />
+              ))}
+              <div className={OTHER_COLOR} style={{ flexGrow: other }} />
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex gap-1 mt-1">
+        {buckets.map((bucket) => (
+          <span
+            key={bucket.start}
+            className="flex-1 text-center text-[10px] text-gray-500 truncate"
+          >
+            {formatBucket(bucket.start, interval)}
+          </span>
+        ))}
+      </div>
+      <ul className="flex flex-wrap gap-3 mt-3">
+        {top.map((category, i) => (
+          <li key={category} className="flex items-center gap-1 text-xs">
+            <span className={`h-2 w-2 rounded-full ${CATEGORY_COLORS[i]}`} />
+            {category}
+          </li>
+        ))}
+        <li className="flex items-center gap-1 text-xs">
+          <span className={`h-2 w-2 rounded-full ${OTHER_COLOR}`} />
+          Other
+        </li>
+      </ul>
+    </div>
+  );
+}
+
+function ErrorRateChart({ buckets, interval }) {
+  if (buckets.length === 0) {
+    return <p className="text-xs text-gray-500">No data yet.</p>;
+  }
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-24">
+        {buckets.map((bucket) => (
+          <div
+            key={bucket.start}
+            className="flex-1 bg-red-400 rounded-t"
+            style={{ height: `${Math.max(bucket.errorRate * 100, 1)}%` }}
+            title={`${formatBucket(bucket.start, interval)}: ${bucket.errors}/${bucket.total} failed`}
+          />
+        ))}
+      </div>
+      <div className="flex gap-1 mt-1">
+        {buckets.map((bucket) => (
+          <span
+            key={bucket.start}
+            className="flex-1 text-center text-[10px] text-gray-500 truncate"
+          >
+            {formatPercent(bucket.errorRate)}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function AdminDashboard() {
+  const [token, setToken] = useState(
+    () => sessionStorage.getItem(TOKEN_KEY) || ""
+  );
+  const [tokenInput, setTokenInput] = useState("");
+  const [range, setRange] = useState(RANGES[1]);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadAnalytics = useCallback(async () => {
+    if (!token) return;
+    setIsLoading(true);
+    setError("");
+
+    const query = `days=${range.days}&interval=${range.interval}`;
+    try {
+      const [summary, questions, categories, errors] = await Promise.all([
+        fetchAdmin(`/api/admin/analytics/summary?${query}`, token),
+        fetchAdmin(`/api/admin/analytics/top-questions?${query}`, token),
+        fetchAdmin(`/api/admin/analytics/categories?${query}`, token),
+        fetchAdmin(`/api/admin/analytics/errors?${query}`, token),
+      ]);
+      setData({ summary, questions, categories, errors });
+    } catch (err) {
+      console.error("Error loading analytics:", err);
+      setError(err.message);
+      if (err.message === "Invalid admin token") {
+        sessionStorage.removeItem(TOKEN_KEY);
+        setToken("");
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [token, range]);
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [loadAnalytics]);
+
+  const handleSignIn = (e) => {
+    e.preventDefault();
+    if (!tokenInput.trim()) return;
+    sessionStorage.setItem(TOKEN_KEY, tokenInput.trim());
+    setToken(tokenInput.trim());
+    setTokenInput("");
+  };
+
+  const handleSignOut = () => {
+    sessionStorage.removeItem(TOKEN_KEY);
+    setToken("");
+    setData(null);
+  };
+
+  if (!token) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-orange-50 to-white flex items-center justify-center p-4">
+        <form
+          onSubmit={handleSignIn}
+          className="bg-white rounded-xl border border-gray-200 shadow-sm p-6 w-full max-w-sm space-y-4"
+        >
+          <h1 className="text-lg font-bold text-gray-800">UMS Chatbot Admin</h1>
+          <TextField
+            type="password"
+            label="Admin token"
+            size="small"
+            fullWidth
+            value={tokenInput}
+            onChange={(e) => setTokenInput(e.target.value)}
+          />
+          {error && <p className="text-xs text-red-600">{error}</p>}
+          <Button type="submit" variant="contained" color="warning" fullWidth>
+            Sign in
+          </Button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-orange-50 to-white">
+      <header className="bg-white shadow-sm border-b border-orange-100 p-4">
+        <div className="max-w-6xl mx-auto flex items-center gap-3">
+          <div className="p-2 bg-orange-100 rounded-full">
+            <BarChart3 className="h-6 w-6 text-orange-600" />
+          </div>
+          <h1 className="text-2xl font-bold text-gray-800">
+            Chatbot Analytics
+          </h1>
+          <div className="ml-auto flex items-center gap-3">
+            <TextField
+              select
+              size="small"
+              value={range.days}
+              onChange={(e) =>
+                setRange(RANGES.find((r) => r.days === e.target.value))
+              }
+            >
+              {RANGES.map((r) => (
+                <MenuItem key={r.days} value={r.days}>
+                  {r.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <Button
+              variant="outlined"
+              color="warning"
+              onClick={loadAnalytics}
+              disabled={isLoading}
+              aria-label="Refresh"
+            >
+              <RefreshCw className="h-4 w-4" />
+            </Button>
+            <Button
+              variant="text"
+              color="inherit"
+              onClick={handleSignOut}
+              aria-label="Sign out"
+            >
+              <LogOut className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-6xl mx-auto p-4 space-y-4">
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {!data && isLoading && (
+          <p className="text-sm text-gray-500">Loading analytics...</p>
+        )}
+
+        {data && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+              <StatCard label="Queries" value={data.summary.total} />
+              <StatCard
+                label="Error rate"
+                value={formatPercent(data.summary.errorRate)}
+              />
+              <StatCard
+                label="p50 latency"
+                value={formatMs(data.summary.latencyMs.p50)}
+              />
+              <StatCard
+                label="p95 latency"
+                value={formatMs(data.summary.latencyMs.p95)}
+              />
+              <StatCard
+                label="p99 latency"
+                value={formatMs(data.summary.latencyMs.p99)}
+              />
+            </div>
+
+            <div className="grid md:grid-cols-3 gap-4">
+              <div className="md:col-span-2">
+                <Panel title="Categories over time">
+                  <CategoryChart
+                    buckets={data.categories.buckets}
+                    interval={data.categories.interval}
+                  />
+                </Panel>
+              </div>
+              <Panel title="Outcomes">
+                <BarList counts={data.summary.outcomes} />
+              </Panel>
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-4">
+              <Panel title="Top questions">
+                {data.questions.questions.length === 0 ? (
+                  <p className="text-xs text-gray-500">No data yet.</p>
+                ) : (
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-gray-500">
+                        <th className="pb-2 font-medium">Question</th>
+                        <th className="pb-2 font-medium">Top category</th>
+                        <th className="pb-2 font-medium text-right">Asked</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {data.questions.questions.map((q) => (
+                        <tr
+                          key={q.question}
+                          className="border-t border-gray-100 text-gray-700"
+                        >
+                          <td className="py-2 pr-2">{q.question}</td>
+                          <td className="py-2 pr-2 text-gray-500">
+                            {Object.entries(q.categories).sort(
+                              ([, a], [, b]) => b - a
+                            )[0]?.[0] || "–"}
+                          </td>
+                          <td className="py-2 text-right">{q.count}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </Panel>
+              <Panel title="Error rate over time">
+                <ErrorRateChart
+                  buckets={data.errors.buckets}
+                  interval={data.errors.interval}
+                />
+              </Panel>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
+
+export default AdminDashboard;
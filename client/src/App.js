@@ -1,29 +1,100 @@
-import React, { useState, useEffect, useRef } from "react";
-import { Send, MessageCircle, Bot, User } from "lucide-react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import {
+  Send,
+  Square,
+  MessageCircle,
+  Bot,
+  User,
+  Download,
+  MessageSquarePlus,
+  PanelLeft,
+} from "lucide-react";
 import TextField from "@mui/material/TextField";
 import Button from "@mui/material/Button";
+import { streamEvents } from "./streaming";
+import { isNavigationPath } from "./answers";
+import FeedbackControls from "./components/FeedbackControls";
+import ConversationSidebar from "./components/ConversationSidebar";
+import Markdown from "./components/Markdown";
+import PathStepper from "./components/PathStepper";
+import SuggestionList, {
+  SUGGESTION_LIST_ID,
+  suggestionOptionId,
+} from "./components/SuggestionList";
+import {
+  createConversation,
+  createId,
+  downloadTranscript,
+  formatTime,
+  loadConversations,
+  saveConversations,
+  sortConversations,
+  STORAGE_KEY,
+  titleFor,
+} from "./conversations";
 
 // ✅ Production-ready API URL
 const API_BASE_URL = process.env.REACT_APP_API_URL || "http://localhost:5000";
 
-const initialMessages = [
-  {
-    id: 1,
-    text: "Hello! I'm your UMS Chatbot assistant. I can help you with course registration, prerequisites, schedules, and other university-related questions. What would you like to know?",
-    sender: "bot",
-    timestamp: new Date().toLocaleTimeString([], {
-      hour: "2-digit",
-      minute: "2-digit",
-    }),
+// Wait for a pause in typing before asking for suggestions
+const SUGGEST_DEBOUNCE_MS = 200;
+
+const CONNECTION_STATUS = {
+  online: {
+    label: "Online",
+    dot: "bg-green-500",
+    footer: "Connected to Server",
+  },
+  degraded: {
+    label: "Limited",
+    dot: "bg-yellow-500",
+    footer: "AI service unavailable - using keyword search",
+    title:
+      "The AI service is down. Answers come from a simpler keyword search until it is back.",
   },
-];
+  offline: { label: "Offline", dot: "bg-red-500", footer: "Disconnected" },
+};
 
-function App() {
+// The whole chat. The full-page app renders it as is; the embeddable widget
+// (widget.js) passes its own API URL, title, starter questions and
+// localStorage key, and sets `compact` to drop the sidebar and fit a small
+// panel.
+function App({
+  apiBaseUrl = API_BASE_URL,
+  title = "UMS Chatbot",
+  starterQuestions = [],
+  compact = false,
+  storageKey = STORAGE_KEY,
+}) {
   const [message, setMessage] = useState("");
-  const [messages, setMessages] = useState(initialMessages);
+  const [conversations, setConversations] = useState(() => {
+    const saved = loadConversations(storageKey);
+    return saved.length > 0 ? saved : [createConversation()];
+  });
+  // null means the most recently used conversation
+  const [activeId, setActiveId] = useState(null);
+  const [isSidebarOpen, setIsSidebarOpen] = useState(false);
+  // Typeahead: shown while the input has focus; -1 means nothing highlighted
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
   const [isLoading, setIsLoading] = useState(false);
-  const [isConnected, setIsConnected] = useState(false);
+  // "online", "degraded" (the AI service is down and answers come from
+  // keyword matching) or "offline"
+  const [connection, setConnection] = useState("offline");
+  // Set when the server rate-limits us; sending is paused until then
+  const [cooldownUntil, setCooldownUntil] = useState(0);
+  const [now, setNow] = useState(Date.now());
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  // Menu path -> pending or finished /api/menu-tree/children request
+  const menuChildrenRef = useRef(new Map());
+
+  const sortedConversations = sortConversations(conversations);
+  const activeConversation =
+    conversations.find((c) => c.id === activeId) || sortedConversations[0];
+  const { messages } = activeConversation;
+  const hasQuestions = messages.some((msg) => msg.sender === "student");
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -37,224 +108,722 @@ function App() {
     checkServerConnection();
   }, []);
 
+  // Streaming changes the conversation on every token; write at most every
+  // half second, and once more when the page is closed
+  const conversationsRef = useRef(conversations);
+  useEffect(() => {
+    conversationsRef.current = conversations;
+    const timer = setTimeout(
+      () => saveConversations(conversations, storageKey),
+      500
+    );
+    return () => clearTimeout(timer);
+  }, [conversations, storageKey]);
+
+  useEffect(() => {
+    const flush = () => saveConversations(conversationsRef.current, storageKey);
+    window.addEventListener("pagehide", flush);
+    return () => window.removeEventListener("pagehide", flush);
+  }, [storageKey]);
+
+  // Suggestions for what has been typed so far; an empty input gets popular
+  // questions and topics to start from
+  useEffect(() => {
+    if (!showSuggestions) return;
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(
+          `${apiBaseUrl}/api/suggest?q=${encodeURIComponent(message.trim())}`,
+          { signal: controller.signal }
+        );
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        setSuggestions(data.suggestions || []);
+        setActiveSuggestion(-1);
+      } catch (error) {
+        if (error.name !== "AbortError") setSuggestions([]);
+      }
+    }, SUGGEST_DEBOUNCE_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [apiBaseUrl, message, showSuggestions]);
+
+  // Tick once a second while cooling down so the countdown updates
+  useEffect(() => {
+    if (cooldownUntil <= Date.now()) return;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= cooldownUntil) clearInterval(timer);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [cooldownUntil]);
+
+  const cooldownSeconds = Math.max(0, Math.ceil((cooldownUntil - now) / 1000));
+
   const checkServerConnection = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/health`);
+      const response = await fetch(`${apiBaseUrl}/health`);
       if (response.ok) {
-        setIsConnected(true);
+        const health = await response.json();
+        setConnection(
+          health.rag_circuit?.state === "open" ? "degraded" : "online"
+        );
       }
     } catch (error) {
       console.error("Server connection failed:", error);
-      setIsConnected(false);
+      setConnection("offline");
     }
   };
 
-  const sendMessageToRAG = async (question) => {
+  // `update` is the changes, or a function of the conversation returning them
+  const updateConversation = (conversationId, update) => {
+    setConversations((prev) =>
+      prev.map((conversation) =>
+        conversation.id === conversationId
+          ? {
+              ...conversation,
+              ...(typeof update === "function" ? update(conversation) : update),
+            }
+          : conversation
+      )
+    );
+  };
+
+  const updateMessage = (conversationId, messageId, changes) => {
+    updateConversation(conversationId, (conversation) => ({
+      messages: conversation.messages.map((msg) =>
+        msg.id === messageId ? { ...msg, ...changes } : msg
+      ),
+    }));
+  };
+
+  // Streams the answer into the bot message `botMessageId` of the
+  // conversation as it arrives. The conversation is passed in rather than
+  // read from state, so the answer lands in the right chat.
+  const streamMessageFromRAG = async (question, conversation, botMessageId) => {
+    const setBotMessage = (changes) =>
+      updateMessage(conversation.id, botMessageId, changes);
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    let text = "";
+    let sources = [];
+
     try {
-      const response = await fetch(`${API_BASE_URL}/api/query`, {
+      await streamEvents(
+        `${apiBaseUrl}/api/query/stream`,
+        { question, sessionId: conversation.sessionId },
+        {
+          signal: controller.signal,
+          // Issued by the server on the first question; ties follow-ups
+          // together
+          onResponse: (response) => {
+            const sessionId = response.headers.get("X-Session-Id");
+            if (sessionId && sessionId !== conversation.sessionId) {
+              updateConversation(conversation.id, { sessionId });
+            }
+          },
+          onEvent: (event, data) => {
+            if (event === "meta") {
+              sources = data.sources || [];
+              setConnection(data.degraded ? "degraded" : "online");
+              setBotMessage({
+                alternatives: data.alternatives || [],
+                // Kept so feedback can say which answer it is about
+                match: {
+                  path: sources[0]?.path ?? null,
+                  category: data.category,
+                  score: data.score,
+                },
+              });
+            } else if (event === "token") {
+              text += data.text;
+              setBotMessage({ text });
+            } else if (event === "done") {
+              setBotMessage({
+                text:
+                  data.answer ||
+                  "Sorry, I couldn't process your question. Please try again.",
+                // Only generated answers need their paths listed separately
+                sources: data.synthesized ? sources : [],
+                clarify: data.clarify || null,
+                degraded: Boolean(data.degraded),
+              });
+            } else if (event === "error") {
+              throw new Error(data.message);
+            }
+          },
+        }
+      );
+    } catch (error) {
+      if (error.name === "AbortError") {
+        setBotMessage({
+          text: text ? `${text}\n\n(Cancelled)` : "Request cancelled.",
+        });
+      } else if (error.status === 429) {
+        const seconds = error.retryAfter || 30;
+        setNow(Date.now());
+        setCooldownUntil(Date.now() + seconds * 1000);
+        setBotMessage({
+          text: `You're sending questions a bit too fast. Take a short break - you can ask again in ${seconds} seconds.`,
+        });
+      } else if (error.answer) {
+        setBotMessage({ text: error.answer });
+      } else {
+        console.error("Error querying RAG:", error);
+        setBotMessage({
+          text: "Sorry, I'm having trouble connecting to the server. Please try again later.",
+        });
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setBotMessage({ isStreaming: false });
+    }
+  };
+
+  // The menu tree only changes with the knowledge base, so each node is
+  // fetched once per page load; failures are forgotten so they can be retried
+  const loadMenuChildren = useCallback(
+    (path) => {
+      const cache = menuChildrenRef.current;
+      if (!cache.has(path)) {
+        const request = fetch(
+          `${apiBaseUrl}/api/menu-tree/children?path=${encodeURIComponent(path)}`
+        )
+          .then((response) => {
+            if (!response.ok) {
+              throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return response.json();
+          })
+          .catch((error) => {
+            cache.delete(path);
+            throw error;
+          });
+        cache.set(path, request);
+      }
+      return cache.get(path);
+    },
+    [apiBaseUrl]
+  );
+
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const handleFeedback = async (msg, rating, comment) => {
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/feedback`, {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ question }),
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          rating,
+          comment,
+          question: msg.question,
+          answer: msg.text,
+          ...msg.match,
+          sessionId: activeConversation.sessionId,
+        }),
       });
-
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
+      updateMessage(activeConversation.id, msg.id, { feedback: rating });
+    } catch (error) {
+      console.error("Error sending feedback:", error);
+    }
+  };
 
-      const data = await response.json();
-      return (
-        data.answer ||
-        "Sorry, I couldn't process your question. Please try again."
-      );
+  // An unused "New chat" is reused rather than stacking up empty ones
+  const handleNewConversation = () => {
+    setIsSidebarOpen(false);
+    if (!hasQuestions) return;
+    const conversation = createConversation();
+    setConversations((prev) => [...prev, conversation]);
+    setActiveId(conversation.id);
+  };
+
+  const handleSelectConversation = (conversationId) => {
+    setActiveId(conversationId);
+    setIsSidebarOpen(false);
+  };
+
+  // Drops the server-side history too, so deleted turns stop shaping answers
+  const deleteSession = async (sessionId) => {
+    if (!sessionId) return;
+    try {
+      await fetch(`${apiBaseUrl}/api/session/${sessionId}`, {
+        method: "DELETE",
+      });
     } catch (error) {
-      console.error("Error querying RAG:", error);
-      return "Sorry, I'm having trouble connecting to the server. Please try again later.";
+      // It expires on its own anyway
+      console.error("Failed to clear session:", error);
+    }
+  };
+
+  const handleDeleteConversation = (conversationId) => {
+    const conversation = conversations.find((c) => c.id === conversationId);
+    const remaining = conversations.filter((c) => c.id !== conversationId);
+    setConversations(remaining.length > 0 ? remaining : [createConversation()]);
+    if (conversationId === activeConversation.id) setActiveId(null);
+    deleteSession(conversation?.sessionId);
+  };
+
+  const handleClearConversations = () => {
+    if (!window.confirm("Delete all conversations? This can't be undone.")) {
+      return;
     }
+    conversations.forEach((conversation) =>
+      deleteSession(conversation.sessionId)
+    );
+    setConversations([createConversation()]);
+    setActiveId(null);
   };
 
-  const handleSendMessage = async () => {
-    if (!message.trim()) return;
+  // `label` is what the student sees; defaults to the question itself
+  const sendQuestion = async (question, label = question) => {
+    if (!question.trim() || isLoading || cooldownSeconds > 0) return;
+
+    const conversation = activeConversation;
+    const timestamp = new Date().toISOString();
 
     const userMessage = {
-      id: messages.length + 1,
-      text: message,
+      id: createId(),
+      text: label,
       sender: "student",
-      timestamp: new Date().toLocaleTimeString([], {
-        hour: "2-digit",
-        minute: "2-digit",
-      }),
+      timestamp,
     };
 
-    setMessages((prev) => [...prev, userMessage]);
-    setMessage("");
-    setIsLoading(true);
-
-    // Get response from RAG
-    const botResponse = await sendMessageToRAG(message);
-
+    // Filled in token by token while the answer streams
     const botMessage = {
-      id: messages.length + 2,
-      text: botResponse,
+      id: createId(),
+      text: "",
+      alternatives: [],
+      sources: [],
       sender: "bot",
-      timestamp: new Date().toLocaleTimeString([], {
-        hour: "2-digit",
-        minute: "2-digit",
-      }),
+      timestamp,
+      question,
+      isStreaming: true,
     };
 
-    setMessages((prev) => [...prev, botMessage]);
+    updateConversation(conversation.id, (current) => ({
+      messages: [...current.messages, userMessage, botMessage],
+      updatedAt: timestamp,
+      title: hasQuestions ? current.title : titleFor(label),
+    }));
+    setActiveId(conversation.id);
+    setMessage("");
+    setShowSuggestions(false);
+    setIsLoading(true);
+
+    await streamMessageFromRAG(question, conversation, botMessage.id);
+
     setIsLoading(false);
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === "Enter" && !e.shiftKey) {
+  const handleSendMessage = () => sendQuestion(message);
+
+  // Quick-reply chips re-query with the exact path behind the option
+  const handleClarifyOption = (option) =>
+    sendQuestion(option.query, option.label);
+
+  // Show the typing indicator until the first token arrives
+  const isWaitingForFirstToken =
+    isLoading && !messages.some((msg) => msg.isStreaming && msg.text);
+
+  // Suggestions ask with their exact path (or category) but show the label
+  const handlePickSuggestion = (suggestion) =>
+    sendQuestion(suggestion.query, suggestion.label);
+
+  const isSuggestionListOpen =
+    showSuggestions && suggestions.length > 0 && !isLoading;
+
+  // Arrows move through the suggestions and Escape closes them. Enter sends
+  // the highlighted suggestion, or the typed text when none is highlighted.
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (!isSuggestionListOpen) {
+        setShowSuggestions(true);
+        return;
+      }
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      // Past either end goes back to the typed text
+      setActiveSuggestion((current) => {
+        const next = current + step;
+        if (next >= suggestions.length) return -1;
+        if (next < -1) return suggestions.length - 1;
+        return next;
+      });
+    } else if (e.key === "Escape" && isSuggestionListOpen) {
       e.preventDefault();
-      handleSendMessage();
+      setShowSuggestions(false);
+      setActiveSuggestion(-1);
+    } else if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      if (isSuggestionListOpen && activeSuggestion >= 0) {
+        handlePickSuggestion(suggestions[activeSuggestion]);
+      } else {
+        handleSendMessage();
+      }
     }
   };
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-orange-50 to-white flex flex-col">
-      <header className="bg-white shadow-sm border-b border-orange-100 p-4">
-        <div className="max-w-4xl mx-auto flex items-center gap-3">
-          <div className="p-2 bg-orange-100 rounded-full">
-            <MessageCircle className="h-6 w-6 text-orange-600" />
-          </div>
-          <h1 className="text-2xl font-bold text-gray-800">UMS Chatbot</h1>
-          <div className="ml-auto">
-            <div className="flex items-center gap-2">
-              <div
-                className={`h-2 w-2 rounded-full ${
-                  isConnected ? "bg-green-500" : "bg-red-500"
-                }`}
-              ></div>
-              <span className="text-sm text-gray-600">
-                {isConnected ? "Online" : "Offline"}
-              </span>
-            </div>
-          </div>
-        </div>
-      </header>
-
-      <div className="flex-1 overflow-hidden">
-        <div className="max-w-4xl mx-auto h-full flex flex-col">
-          <div className="flex-1 overflow-y-auto p-4 space-y-4">
-            {messages.map((msg) => (
-              <div
-                key={msg.id}
-                className={`flex ${
-                  msg.sender === "student" ? "justify-end" : "justify-start"
-                } items-end gap-2`}
+    <div
+      className={`${
+        compact ? "h-full" : "h-screen"
+      } bg-gradient-to-br from-orange-50 to-white flex`}
+    >
+      {!compact && (
+        <ConversationSidebar
+          conversations={sortedConversations}
+          activeId={activeConversation.id}
+          disabled={isLoading}
+          isOpen={isSidebarOpen}
+          onClose={() => setIsSidebarOpen(false)}
+          onSelect={handleSelectConversation}
+          onNew={handleNewConversation}
+          onDelete={handleDeleteConversation}
+          onClearAll={handleClearConversations}
+        />
+      )}
+
+      <div className="flex-1 min-w-0 flex flex-col">
+        <header
+          className={`bg-white shadow-sm border-b border-orange-100 ${
+            compact ? "p-3" : "p-4"
+          }`}
+        >
+          <div className="max-w-4xl mx-auto flex items-center gap-3">
+            {compact ? (
+              <button
+                type="button"
+                onClick={handleNewConversation}
+                disabled={isLoading}
+                aria-label="New chat"
+                title="New chat"
+                className="p-2 -ml-2 rounded-lg text-gray-600 hover:bg-gray-100 disabled:opacity-50"
               >
-                {msg.sender === "bot" && (
-                  <div className="p-1 bg-orange-100 rounded-full mb-2">
-                    <Bot className="h-4 w-4 text-orange-600" />
-                  </div>
-                )}
+                <MessageSquarePlus className="h-5 w-5" />
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={() => setIsSidebarOpen(true)}
+                aria-label="Show conversations"
+                className="p-2 -ml-2 rounded-lg text-gray-600 hover:bg-gray-100 md:hidden"
+              >
+                <PanelLeft className="h-5 w-5" />
+              </button>
+            )}
+            {!compact && (
+              <div className="p-2 bg-orange-100 rounded-full">
+                <MessageCircle className="h-6 w-6 text-orange-600" />
+              </div>
+            )}
+            <h1
+              className={`${
+                compact ? "text-lg" : "text-2xl"
+              } font-bold text-gray-800 truncate`}
+            >
+              {title}
+            </h1>
+            <div className="ml-auto flex items-center gap-4">
+              {hasQuestions && (
+                <div className="flex items-center gap-2 text-sm text-gray-600">
+                  <Download className="h-4 w-4" />
+                  <button
+                    type="button"
+                    onClick={() =>
+                      downloadTranscript(activeConversation, "markdown")
+                    }
+                    title="Download this conversation as Markdown"
+                    className="hover:text-orange-600"
+                  >
+                    .md
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() =>
+                      downloadTranscript(activeConversation, "json")
+                    }
+                    title="Download this conversation as JSON"
+                    className="hover:text-orange-600"
+                  >
+                    .json
+                  </button>
+                </div>
+              )}
+              <div className="flex items-center gap-2">
                 <div
-                  className={`max-w-xs lg:max-w-md px-4 py-3 rounded-2xl shadow-sm ${
-                    msg.sender === "student"
-                      ? "bg-orange-500 text-white rounded-br-md"
-                      : "bg-white text-gray-800 rounded-bl-md border border-gray-200"
-                  }`}
+                  className={`h-2 w-2 rounded-full ${CONNECTION_STATUS[connection].dot}`}
+                ></div>
+                <span
+                  className="text-sm text-gray-600"
+                  title={CONNECTION_STATUS[connection].title}
                 >
-                  <p className="text-sm leading-relaxed whitespace-pre-line">
-                    {msg.text}
-                  </p>
-                  <p
-                    className={`text-xs mt-2 ${
-                      msg.sender === "student"
-                        ? "text-orange-100"
-                        : "text-gray-500"
-                    }`}
+                  {CONNECTION_STATUS[connection].label}
+                </span>
+              </div>
+            </div>
+          </div>
+        </header>
+
+        <div className="flex-1 overflow-hidden">
+          <div className="max-w-4xl mx-auto h-full flex flex-col">
+            <div className="flex-1 overflow-y-auto p-4 space-y-4">
+              {messages
+                .filter((msg) => !(msg.isStreaming && !msg.text))
+                .map((msg) => (
+                  <div
+                    key={msg.id}
+                    className={`flex ${
+                      msg.sender === "student" ? "justify-end" : "justify-start"
+                    } items-end gap-2`}
                   >
-                    {msg.timestamp}
-                  </p>
-                </div>
-                {msg.sender === "student" && (
-                  <div className="p-1 bg-blue-100 rounded-full mb-2">
-                    <User className="h-4 w-4 text-blue-600" />
+                    {msg.sender === "bot" && (
+                      <div className="p-1 bg-orange-100 rounded-full mb-2">
+                        <Bot className="h-4 w-4 text-orange-600" />
+                      </div>
+                    )}
+                    <div
+                      className={`max-w-xs lg:max-w-md px-4 py-3 rounded-2xl shadow-sm ${
+                        msg.sender === "student"
+                          ? "bg-orange-500 text-white rounded-br-md"
+                          : "bg-white text-gray-800 rounded-bl-md border border-gray-200"
+                      }`}
+                    >
+                      {msg.sender === "student" ? (
+                        <p className="text-sm leading-relaxed whitespace-pre-line">
+                          {msg.text}
+                        </p>
+                      ) : !msg.isStreaming && isNavigationPath(msg.text) ? (
+                        <PathStepper
+                          path={msg.text}
+                          loadChildren={loadMenuChildren}
+                          onAsk={sendQuestion}
+                          disabled={isLoading}
+                        />
+                      ) : (
+                        <Markdown text={msg.text} />
+                      )}
+                      {msg.degraded && (
+                        <p className="mt-1 text-xs text-yellow-700">
+                          Limited mode: found by keyword search while the AI
+                          service is unavailable.
+                        </p>
+                      )}
+                      {msg.sources?.length > 0 && (
+                        <div className="mt-2 pt-2 border-t border-gray-100">
+                          <p className="text-xs font-medium text-gray-500">
+                            Sources:
+                          </p>
+                          <ol className="mt-1 space-y-1">
+                            {msg.sources.map((source) => (
+                              <li
+                                key={source.id}
+                                className="text-xs text-gray-600 whitespace-pre-line"
+                              >
+                                [{source.id}] {source.path}
+                              </li>
+                            ))}
+                          </ol>
+                        </div>
+                      )}
+                      {msg.clarify?.options?.length > 0 && (
+                        <div className="mt-2 flex flex-wrap gap-2">
+                          {msg.clarify.options.map((option) => (
+                            <button
+                              key={option.query}
+                              type="button"
+                              onClick={() => handleClarifyOption(option)}
+                              disabled={isLoading}
+                              title={option.path}
+                              className="text-xs px-3 py-1 rounded-full border border-orange-300 text-orange-700 bg-orange-50 hover:bg-orange-100 disabled:opacity-50"
+                            >
+                              {option.label}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                      {!msg.clarify && msg.alternatives?.length > 0 && (
+                        <div className="mt-2 pt-2 border-t border-gray-100">
+                          <p className="text-xs font-medium text-gray-500">
+                            Did you mean:
+                          </p>
+                          <ul className="mt-1 space-y-1">
+                            {msg.alternatives.map((alt) => (
+                              <li
+                                key={alt.path}
+                                className="text-xs text-gray-600 whitespace-pre-line"
+                              >
+                                {alt.path}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                      {msg.sender === "bot" &&
+                        msg.question &&
+                        !msg.isStreaming && (
+                          <FeedbackControls
+                            rating={msg.feedback}
+                            onSubmit={(rating, comment) =>
+                              handleFeedback(msg, rating, comment)
+                            }
+                          />
+                        )}
+                      <p
+                        className={`text-xs mt-2 ${
+                          msg.sender === "student"
+                            ? "text-orange-100"
+                            : "text-gray-500"
+                        }`}
+                      >
+                        {formatTime(msg.timestamp)}
+                      </p>
+                    </div>
+                    {msg.sender === "student" && (
+                      <div className="p-1 bg-blue-100 rounded-full mb-2">
+                        <User className="h-4 w-4 text-blue-600" />
+                      </div>
+                    )}
                   </div>
-                )}
-              </div>
-            ))}
-            {isLoading && (
-              <div className="flex justify-start items-end gap-2">
-                <div className="p-1 bg-orange-100 rounded-full mb-2">
-                  <Bot className="h-4 w-4 text-orange-600" />
+                ))}
+              {!hasQuestions && starterQuestions.length > 0 && (
+                <div className="flex flex-wrap gap-2 pl-8">
+                  {starterQuestions.map((question) => (
+                    <button
+                      key={question}
+                      type="button"
+                      onClick={() => sendQuestion(question)}
+                      disabled={isLoading || cooldownSeconds > 0}
+                      className="text-xs px-3 py-1 rounded-full border border-orange-300 text-orange-700 bg-orange-50 hover:bg-orange-100 disabled:opacity-50"
+                    >
+                      {question}
+                    </button>
+                  ))}
                 </div>
-                <div className="bg-white text-gray-800 rounded-2xl rounded-bl-md border border-gray-200 px-4 py-3 shadow-sm">
-                  <div className="flex items-center gap-2">
-                    <div className="flex gap-1">
-                      <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
-                      <div
-                        className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"
-                        style={{ animationDelay: "0.1s" }}
-                      ></div>
-                      <div
-                        className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"
-                        style={{ animationDelay: "0.2s" }}
-                      ></div>
+              )}
+              {isWaitingForFirstToken && (
+                <div className="flex justify-start items-end gap-2">
+                  <div className="p-1 bg-orange-100 rounded-full mb-2">
+                    <Bot className="h-4 w-4 text-orange-600" />
+                  </div>
+                  <div className="bg-white text-gray-800 rounded-2xl rounded-bl-md border border-gray-200 px-4 py-3 shadow-sm">
+                    <div className="flex items-center gap-2">
+                      <div className="flex gap-1">
+                        <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"></div>
+                        <div
+                          className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"
+                          style={{ animationDelay: "0.1s" }}
+                        ></div>
+                        <div
+                          className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"
+                          style={{ animationDelay: "0.2s" }}
+                        ></div>
+                      </div>
+                      <span className="text-xs text-gray-500">Thinking...</span>
                     </div>
-                    <span className="text-xs text-gray-500">Thinking...</span>
                   </div>
                 </div>
-              </div>
-            )}
-            <div ref={messagesEndRef} />
+              )}
+              <div ref={messagesEndRef} />
+            </div>
           </div>
         </div>
-      </div>
 
-      <div className="bg-white border-t border-orange-100 p-4">
-        <div className="max-w-4xl mx-auto">
-          <div className="flex items-center gap-3">
-            <div className="flex-1 relative">
-              <TextField
-                variant="outlined"
-                size="small"
-                fullWidth
-                value={message}
-                onChange={(e) => setMessage(e.target.value)}
-                onKeyPress={handleKeyPress}
-                placeholder="Ask me about courses, prerequisites, schedules..."
-                disabled={isLoading}
-                InputProps={{
-                  sx: { borderRadius: "1rem", backgroundColor: "#fafafa" },
-                }}
+        <div className="bg-white border-t border-orange-100 p-4">
+          <div className="max-w-4xl mx-auto">
+            <div className="flex items-center gap-3">
+              <div className="flex-1 relative">
+                {isSuggestionListOpen && (
+                  <SuggestionList
+                    suggestions={suggestions}
+                    activeIndex={activeSuggestion}
+                    grouped={!message.trim()}
+                    onPick={handlePickSuggestion}
+                  />
+                )}
+                <TextField
+                  variant="outlined"
+                  size="small"
+                  fullWidth
+                  value={message}
+                  onChange={(e) => {
+                    setMessage(e.target.value);
+                    setShowSuggestions(true);
+                  }}
+                  onKeyDown={handleKeyDown}
+                  onFocus={() => setShowSuggestions(true)}
+                  onBlur={() => setShowSuggestions(false)}
+                  placeholder="Ask me about courses, prerequisites, schedules..."
+                  disabled={isLoading}
+                  InputProps={{
+                    sx: { borderRadius: "1rem", backgroundColor: "#fafafa" },
+                  }}
+                  inputProps={{
+                    role: "combobox",
+                    "aria-autocomplete": "list",
+                    "aria-expanded": isSuggestionListOpen,
+                    "aria-controls": SUGGESTION_LIST_ID,
+                    "aria-activedescendant":
+                      isSuggestionListOpen && activeSuggestion >= 0
+                        ? suggestionOptionId(activeSuggestion)
+                        : undefined,
+                  }}
+                  sx={{
+                    "& .MuiOutlinedInput-root": {
+                      paddingRight: "8px",
+                    },
+                  }}
+                />
+              </div>
+              <Button
+                variant="contained"
+                color="warning"
+                size="large"
+                onClick={isLoading ? handleCancel : handleSendMessage}
+                disabled={
+                  (!message.trim() || cooldownSeconds > 0) && !isLoading
+                }
+                aria-label={isLoading ? "Stop answering" : "Send message"}
                 sx={{
-                  "& .MuiOutlinedInput-root": {
-                    paddingRight: "8px",
+                  borderRadius: "1rem",
+                  height: "48px",
+                  minWidth: "48px",
+                  padding: 0,
+                  boxShadow: "none",
+                  "&:hover": {
+                    // The widget's theme colour, if set
+                    backgroundColor: "var(--color-orange-600, #ea580c)",
                   },
                 }}
-              />
+              >
+                {isLoading ? (
+                  <Square className="h-5 w-5" />
+                ) : (
+                  <Send className="h-5 w-5" />
+                )}
+              </Button>
             </div>
-            <Button
-              variant="contained"
-              color="warning"
-              size="large"
-              onClick={handleSendMessage}
-              disabled={!message.trim() || isLoading}
-              sx={{
-                borderRadius: "1rem",
-                height: "48px",
-                minWidth: "48px",
-                padding: 0,
-                boxShadow: "none",
-                "&:hover": {
-                  backgroundColor: "#ea580c",
-                },
-              }}
-            >
-              <Send className="h-5 w-5" />
-            </Button>
+            {cooldownSeconds > 0 && (
+              <p className="text-xs text-orange-600 mt-2 text-center">
+                Too many questions at once - you can ask again in{" "}
+                {cooldownSeconds}s.
+              </p>
+            )}
+            <p className="text-xs text-gray-500 mt-2 text-center">
+              Press Enter to send • UMS Chatbot v1.0 •{" "}
+              {CONNECTION_STATUS[connection].footer}
+            </p>
           </div>
-          <p className="text-xs text-gray-500 mt-2 text-center">
-            Press Enter to send • UMS Chatbot v1.0 •{" "}
-            {isConnected ? "Connected to Server" : "Disconnected"}
-          </p>
         </div>
       </div>
     </div>
@@ -0,0 +1,92 @@
+// Parsing behind the answer components (components/Markdown.js and
+// components/PathStepper.js), kept free of React so it can be tested on
+// its own.
+
+// ----------------- NAVIGATION PATHS -----------------
+const SEPARATOR = "->";
+
+// A bare "Login -> UmsHome -> ... -> Page" answer, as opposed to prose
+export const isNavigationPath = (text) =>
+  /^[^\n]+(?:->[^\n]+)+$/.test(text.trim());
+
+export const parseSteps = (path) =>
+  path
+    .split(SEPARATOR)
+    .map((step) => step.trim())
+    .filter(Boolean);
+
+export const joinSteps = (steps) => steps.join(` ${SEPARATOR} `);
+
+// ----------------- MARKDOWN -----------------
+// The small Markdown subset generated answers use: paragraphs, "-" and "1."
+// lists, "#" headings, **bold**, *italic*, `code` and [links](https://...).
+// Links are only made for http(s) URLs.
+
+const INLINE =
+  /\*\*([^*]+)\*\*|`([^`]+)`|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)|\*([^*\s][^*]*)\*/g;
+
+// Plain strings, and { type, text, href? } for formatted runs
+export function parseInline(text) {
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    if (match.index > last) parts.push(text.slice(last, match.index));
+    const [, bold, code, label, href, italic] = match;
+    if (bold) {
+      parts.push({ type: "bold", text: bold });
+    } else if (code) {
+      parts.push({ type: "code", text: code });
+    } else if (href) {
+      parts.push({ type: "link", text: label, href });
+    } else {
+      parts.push({ type: "italic", text: italic });
+    }
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parts.push(text.slice(last));
+  return parts;
+}
+
+const LIST_ITEM = {
+  ul: /^\s*[-*•]\s+(.*)$/,
+  ol: /^\s*\d+[.)]\s+(.*)$/,
+};
+
+// Groups lines into paragraphs, lists and headings
+export function parseBlocks(text) {
+  const blocks = [];
+  let current = null;
+
+  for (const line of text.split("\n")) {
+    if (!line.trim()) {
+      current = null;
+      continue;
+    }
+
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) {
+      blocks.push({ type: "heading", lines: [heading[1]] });
+      current = null;
+      continue;
+    }
+
+    const listType = Object.keys(LIST_ITEM).find((type) =>
+      LIST_ITEM[type].test(line)
+    );
+    if (listType) {
+      if (current?.type !== listType) {
+        current = { type: listType, lines: [] };
+        blocks.push(current);
+      }
+      current.lines.push(line.match(LIST_ITEM[listType])[1]);
+      continue;
+    }
+
+    if (current?.type !== "paragraph") {
+      current = { type: "paragraph", lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(line);
+  }
+  return blocks;
+}
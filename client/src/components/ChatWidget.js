@@ -0,0 +1,70 @@
+import React, { useState } from "react";
+import { MessageCircle, X } from "lucide-react";
+import App from "../App";
+
+// Namespaced so the widget never reads or overwrites conversations the host
+// page (or the full-page app on the same origin) keeps in localStorage
+const STORAGE_KEY = "ums-chatbot-widget:conversations";
+
+// Shades of the theme colour in place of the orange palette the chat is
+// styled with. Tailwind utilities read these variables, so everything in the
+// panel follows the site's colour.
+const themeVariables = (color) => ({
+  "--color-orange-50": `color-mix(in srgb, ${color} 8%, white)`,
+  "--color-orange-100": `color-mix(in srgb, ${color} 16%, white)`,
+  "--color-orange-300": `color-mix(in srgb, ${color} 50%, white)`,
+  "--color-orange-400": `color-mix(in srgb, ${color} 80%, white)`,
+  "--color-orange-500": color,
+  "--color-orange-600": `color-mix(in srgb, ${color} 85%, black)`,
+  "--color-orange-700": `color-mix(in srgb, ${color} 70%, black)`,
+});
+
+// A floating launcher that opens the chat in a panel. The chat is mounted
+// on first open and then only hidden, so closing the panel doesn't cut off
+// an answer that is still streaming.
+function ChatWidget({ apiBaseUrl, title, themeColor, starterQuestions }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [hasOpened, setHasOpened] = useState(false);
+
+  const toggle = () => {
+    setIsOpen((open) => !open);
+    setHasOpened(true);
+  };
+
+  return (
+    <div className="ums-widget" style={themeVariables(themeColor)}>
+      {hasOpened && (
+        <div
+          role="dialog"
+          aria-label={title}
+          className={`${
+            isOpen ? "flex" : "hidden"
+          } fixed bottom-24 right-4 z-[2147483000] w-[380px] h-[600px] max-w-[calc(100vw-2rem)] max-h-[calc(100vh-7rem)] flex-col rounded-2xl shadow-2xl overflow-hidden bg-white border border-gray-200`}
+        >
+          <App
+            apiBaseUrl={apiBaseUrl}
+            title={title}
+            starterQuestions={starterQuestions}
+            storageKey={STORAGE_KEY}
+            compact
+          />
+        </div>
+      )}
+      <button
+        type="button"
+        onClick={toggle}
+        aria-label={isOpen ? `Close ${title}` : `Open ${title}`}
+        aria-expanded={isOpen}
+        className="fixed bottom-4 right-4 z-[2147483000] h-14 w-14 rounded-full bg-orange-500 text-white shadow-lg hover:bg-orange-600 flex items-center justify-center"
+      >
+        {isOpen ? (
+          <X className="h-6 w-6" />
+        ) : (
+          <MessageCircle className="h-6 w-6" />
+        )}
+      </button>
+    </div>
+  );
+}
+
+export default ChatWidget;
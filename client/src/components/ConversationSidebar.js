@@ -0,0 +1,108 @@
+import React from "react";
+import { MessageSquarePlus, Trash2, X } from "lucide-react";
+
+const formatDay = (timestamp) => {
+  const date = new Date(timestamp);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString([], { month: "short", day: "numeric" });
+};
+
+// Saved conversations, most recent first. Switching and deleting are
+// disabled while an answer is streaming. On small screens it slides in over
+// the chat when `isOpen`.
+function ConversationSidebar({
+  conversations,
+  activeId,
+  disabled,
+  isOpen,
+  onClose,
+  onSelect,
+  onNew,
+  onDelete,
+  onClearAll,
+}) {
+  return (
+    <>
+      {isOpen && (
+        <div
+          className="fixed inset-0 bg-black/20 z-10 md:hidden"
+          onClick={onClose}
+        />
+      )}
+      <aside
+        className={`${
+          isOpen ? "flex" : "hidden"
+        } md:flex fixed md:static inset-y-0 left-0 z-20 w-64 flex-col bg-white border-r border-orange-100`}
+      >
+        <div className="p-3 flex items-center gap-2 border-b border-orange-100">
+          <button
+            type="button"
+            onClick={onNew}
+            disabled={disabled}
+            className="flex-1 flex items-center justify-center gap-2 text-sm px-3 py-2 rounded-lg bg-orange-500 text-white hover:bg-orange-600 disabled:opacity-50"
+          >
+            <MessageSquarePlus className="h-4 w-4" />
+            New chat
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            aria-label="Close conversations"
+            className="p-2 rounded-lg text-gray-500 hover:bg-gray-100 md:hidden"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <nav className="flex-1 overflow-y-auto p-2 space-y-1">
+          {conversations.map((conversation) => (
+            <div
+              key={conversation.id}
+              className={`group flex items-center rounded-lg ${
+                conversation.id === activeId
+                  ? "bg-orange-50 text-orange-700"
+                  : "text-gray-700 hover:bg-gray-50"
+              }`}
+            >
+              <button
+                type="button"
+                onClick={() => onSelect(conversation.id)}
+                disabled={disabled}
+                aria-current={conversation.id === activeId ? "page" : undefined}
+                className="flex-1 min-w-0 text-left px-3 py-2 disabled:cursor-not-allowed"
+              >
+                <p className="text-sm truncate">{conversation.title}</p>
+                <p className="text-xs text-gray-400">
+                  {formatDay(conversation.updatedAt)}
+                </p>
+              </button>
+              <button
+                type="button"
+                onClick={() => onDelete(conversation.id)}
+                disabled={disabled}
+                aria-label={`Delete "${conversation.title}"`}
+                className="p-2 mr-1 rounded-md text-gray-400 opacity-0 group-hover:opacity-100 focus:opacity-100 hover:text-red-600 hover:bg-red-50 disabled:opacity-0"
+              >
+                <Trash2 className="h-3.5 w-3.5" />
+              </button>
+            </div>
+          ))}
+        </nav>
+
+        <div className="p-3 border-t border-orange-100">
+          <button
+            type="button"
+            onClick={onClearAll}
+            disabled={disabled}
+            className="w-full text-xs text-gray-500 hover:text-red-600 disabled:opacity-50"
+          >
+            Clear all conversations
+          </button>
+        </div>
+      </aside>
+    </>
+  );
+}
+
+export default ConversationSidebar;
@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import { ThumbsUp, ThumbsDown } from "lucide-react";
+
+// Thumbs up/down under a bot answer. Thumbs down asks for an optional
+// comment before sending. `onSubmit(rating, comment)` returns a promise.
+function FeedbackControls({ rating, onSubmit }) {
+  const [isCommenting, setIsCommenting] = useState(false);
+  const [comment, setComment] = useState("");
+  const [isSending, setIsSending] = useState(false);
+
+  const submit = async (value, text = "") => {
+    setIsSending(true);
+    try {
+      await onSubmit(value, text.trim());
+      setIsCommenting(false);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  if (rating) {
+    return (
+      <p className="mt-2 text-xs text-gray-500">Thanks for your feedback!</p>
+    );
+  }
+
+  if (isCommenting) {
+    return (
+      <div className="mt-2 pt-2 border-t border-gray-100 space-y-2">
+        <textarea
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          placeholder="What was wrong? (optional)"
+          rows={2}
+          maxLength={1000}
+          className="w-full text-xs border border-gray-200 rounded-md p-2 focus:outline-none focus:border-orange-400"
+        />
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={() => setIsCommenting(false)}
+            disabled={isSending}
+            className="text-xs text-gray-500 hover:text-gray-700"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => submit("down", comment)}
+            disabled={isSending}
+            className="text-xs px-3 py-1 rounded-full bg-orange-500 text-white hover:bg-orange-600 disabled:opacity-50"
+          >
+            Send
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-2 flex items-center gap-2">
+      <button
+        type="button"
+        onClick={() => submit("up")}
+        disabled={isSending}
+        aria-label="Helpful answer"
+        className="p-1 rounded-full text-gray-400 hover:text-green-600 hover:bg-green-50 disabled:opacity-50"
+      >
+        <ThumbsUp className="h-3.5 w-3.5" />
+      </button>
+      <button
+        type="button"
+        onClick={() => setIsCommenting(true)}
+        disabled={isSending}
+        aria-label="Wrong answer"
+        className="p-1 rounded-full text-gray-400 hover:text-red-600 hover:bg-red-50 disabled:opacity-50"
+      >
+        <ThumbsDown className="h-3.5 w-3.5" />
+      </button>
+    </div>
+  );
+}
+
+export default FeedbackControls;
@@ -0,0 +1,77 @@
+import React from "react";
+import { parseBlocks, parseInline } from "../answers";
+
+// Renders the Markdown subset parsed in answers.js. Everything is built as
+// React elements, never as HTML, so whatever the model writes is shown as
+// text and can't inject markup.
+
+function renderInline(text) {
+  return parseInline(text).map((part, key) => {
+    if (typeof part === "string") return part;
+    if (part.type === "bold") return <strong key={key}>{part.text}</strong>;
+    if (part.type === "code") {
+      return (
+        <code key={key} className="px-1 rounded bg-gray-100 text-[0.85em]">
+          {part.text}
+        </code>
+      );
+    }
+    if (part.type === "link") {
+      return (
+        <a
+          key={key}
+          href={part.href}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-orange-600 underline"
+        >
+          {part.text}
+        </a>
+      );
+    }
+    return <em key={key}>{part.text}</em>;
+  });
+}
+
+function Markdown({ text, className = "" }) {
+  return (
+    <div className={`text-sm leading-relaxed space-y-2 ${className}`}>
+      {parseBlocks(text).map((block, i) => {
+        if (block.type === "heading") {
+          return (
+            <p key={i} className="font-semibold">
+              {renderInline(block.lines[0])}
+            </p>
+          );
+        }
+        if (block.type === "paragraph") {
+          return (
+            <p key={i}>
+              {block.lines.map((line, j) => (
+                <React.Fragment key={j}>
+                  {j > 0 && <br />}
+                  {renderInline(line)}
+                </React.Fragment>
+              ))}
+            </p>
+          );
+        }
+        const List = block.type;
+        return (
+          <List
+            key={i}
+            className={`pl-5 space-y-1 ${
+              List === "ol" ? "list-decimal" : "list-disc"
+            }`}
+          >
+            {block.lines.map((line, j) => (
+              <li key={j}>{renderInline(line)}</li>
+            ))}
+          </List>
+        );
+      })}
+    </div>
+  );
+}
+
+export default Markdown;
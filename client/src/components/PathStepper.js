@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from "react";
+import { Check, ChevronDown, Copy } from "lucide-react";
+import { joinSteps, parseSteps } from "../answers";
+
+// The other options under one menu, loaded when the student opens a step.
+// Picking one asks about it, like a quick-reply chip.
+function SiblingMenu({ parentPath, current, loadChildren, onAsk, disabled }) {
+  const [state, setState] = useState({ status: "loading", items: [] });
+
+  useEffect(() => {
+    let cancelled = false;
+    loadChildren(parentPath)
+      .then((node) => {
+        if (!cancelled) {
+          setState({ status: "ready", items: node.children || [] });
+        }
+      })
+      .catch(() => {
+        if (!cancelled) setState({ status: "error", items: [] });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [parentPath, loadChildren]);
+
+  if (state.status !== "ready") {
+    return (
+      <p className="ml-7 mt-1 text-xs text-gray-500">
+        {state.status === "loading"
+          ? "Loading menu..."
+          : "Couldn't load this menu."}
+      </p>
+    );
+  }
+
+  return (
+    <ul className="ml-7 mt-1 mb-2 border-l-2 border-orange-100 pl-2 space-y-0.5">
+      {state.items.map((item) =>
+        item.name === current ? (
+          <li
+            key={item.path}
+            className="text-xs px-2 py-1 rounded bg-orange-50 text-orange-700 font-medium"
+          >
+            {item.name}
+          </li>
+        ) : (
+          <li key={item.path}>
+            <button
+              type="button"
+              onClick={() => onAsk(item.path, item.name)}
+              disabled={disabled}
+              title={`Ask about ${item.path}`}
+              className="w-full text-left text-xs px-2 py-1 rounded text-gray-600 hover:bg-gray-50 hover:text-orange-700 disabled:opacity-50"
+            >
+              {item.name}
+              {!item.isLeaf && <span className="text-gray-400"> ›</span>}
+            </button>
+          </li>
+        )
+      )}
+    </ul>
+  );
+}
+
+// A navigation answer as numbered steps. Every step after the first opens
+// the other options in the same menu, in case the student is after a
+// neighbouring page. `loadChildren(path)` resolves to the menu node at
+// `path` with its children; `onAsk(query, label)` sends a question.
+function PathStepper({ path, loadChildren, onAsk, disabled }) {
+  const steps = parseSteps(path);
+  const [openStep, setOpenStep] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(joinSteps(steps));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error("Copy failed:", error);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-2 mb-1">
+        <p className="text-xs font-medium text-gray-500">Follow these steps:</p>
+        <button
+          type="button"
+          onClick={handleCopy}
+          aria-label="Copy path"
+          className="flex items-center gap-1 text-xs text-gray-400 hover:text-orange-600"
+        >
+          {copied ? (
+            <Check className="h-3.5 w-3.5" />
+          ) : (
+            <Copy className="h-3.5 w-3.5" />
+          )}
+          {copied ? "Copied" : "Copy"}
+        </button>
+      </div>
+      <ol>
+        {steps.map((step, i) => {
+          const isLast = i === steps.length - 1;
+          const isOpen = openStep === i;
+          return (
+            <li key={`${i}-${step}`}>
+              <button
+                type="button"
+                onClick={() => setOpenStep(isOpen ? null : i)}
+                disabled={i === 0}
+                aria-expanded={i === 0 ? undefined : isOpen}
+                className="w-full flex items-start gap-2 py-0.5 text-left text-sm rounded hover:bg-orange-50 disabled:hover:bg-transparent"
+              >
+                <span
+                  className={`flex-none h-5 w-5 mt-0.5 rounded-full text-xs flex items-center justify-center ${
+                    isLast
+                      ? "bg-orange-500 text-white"
+                      : "bg-orange-100 text-orange-700"
+                  }`}
+                >
+                  {i + 1}
+                </span>
+                <span className={`flex-1 ${isLast ? "font-medium" : ""}`}>
+                  {step}
+                </span>
+                {i > 0 && (
+                  <ChevronDown
+                    className={`h-4 w-4 mt-0.5 text-gray-400 transition-transform ${
+                      isOpen ? "rotate-180" : ""
+                    }`}
+                  />
+                )}
+              </button>
+              {isOpen && (
+                <SiblingMenu
+                  parentPath={joinSteps(steps.slice(0, i))}
+                  current={step}
+                  loadChildren={loadChildren}
+                  onAsk={onAsk}
+                  disabled={disabled}
+                />
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
+
+export default PathStepper;
@@ -0,0 +1,85 @@
+import React, { useEffect, useRef } from "react";
+import { FolderOpen, Lightbulb, MessageSquare, TrendingUp } from "lucide-react";
+
+export const SUGGESTION_LIST_ID = "question-suggestions";
+
+const GROUPS = {
+  popular: { title: "Popular questions", Icon: TrendingUp },
+  starter: { title: "Try asking", Icon: Lightbulb },
+  category: { title: "Topics", Icon: FolderOpen },
+  path: { title: "Pages", Icon: MessageSquare },
+};
+
+export const suggestionOptionId = (index) => `${SUGGESTION_LIST_ID}-${index}`;
+
+// The typeahead dropdown above the chat input. Starters (`grouped`) get a
+// heading per kind; typed matches stay in rank order. Keyboard
+// handling stays with the input; this only renders `activeIndex` as
+// highlighted. Items use onMouseDown so picking one doesn't blur the input
+// (and close the list) before the click lands.
+function SuggestionList({ suggestions, activeIndex, grouped, onPick }) {
+  const listRef = useRef(null);
+
+  // Keep the highlighted option visible while arrowing through a long list.
+  // Looked up from the list, not the document, which can't see into the
+  // widget's shadow root.
+  useEffect(() => {
+    if (activeIndex < 0) return;
+    listRef.current
+      ?.querySelector(`#${suggestionOptionId(activeIndex)}`)
+      ?.scrollIntoView({ block: "nearest" });
+  }, [activeIndex]);
+
+  return (
+    <ul
+      ref={listRef}
+      id={SUGGESTION_LIST_ID}
+      role="listbox"
+      className="absolute bottom-full left-0 right-0 mb-2 max-h-72 overflow-y-auto bg-white border border-gray-200 rounded-xl shadow-lg py-1 z-10"
+    >
+      {suggestions.map((suggestion, i) => {
+        const { title, Icon } = GROUPS[suggestion.type] || GROUPS.path;
+        const startsGroup =
+          grouped && (i === 0 || suggestions[i - 1].type !== suggestion.type);
+        return (
+          <React.Fragment key={`${suggestion.type}-${suggestion.query}`}>
+            {startsGroup && (
+              <li
+                role="presentation"
+                className="px-3 pt-2 pb-1 text-xs font-medium text-gray-400"
+              >
+                {title}
+              </li>
+            )}
+            <li
+              id={suggestionOptionId(i)}
+              role="option"
+              aria-selected={i === activeIndex}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                onPick(suggestion);
+              }}
+              className={`flex items-start gap-2 px-3 py-2 cursor-pointer ${
+                i === activeIndex ? "bg-orange-50" : "hover:bg-gray-50"
+              }`}
+            >
+              <Icon className="h-4 w-4 mt-0.5 flex-none text-orange-500" />
+              <div className="min-w-0">
+                <p className="text-sm text-gray-800 truncate">
+                  {suggestion.label}
+                </p>
+                {suggestion.type !== "category" && suggestion.category && (
+                  <p className="text-xs text-gray-500 truncate">
+                    {suggestion.category}
+                  </p>
+                )}
+              </div>
+            </li>
+          </React.Fragment>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default SuggestionList;
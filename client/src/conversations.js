@@ -0,0 +1,165 @@
+// Conversations kept in localStorage so a refresh (or coming back tomorrow)
+// doesn't lose them. Each conversation carries its own server session id,
+// so switching chats also switches which history shapes follow-up answers.
+
+// The full-page app's key; the embeddable widget passes its own
+export const STORAGE_KEY = "ums-chatbot-conversations";
+
+// Oldest conversations are dropped beyond this, and when storage is full
+const MAX_CONVERSATIONS = 50;
+
+const WELCOME_TEXT =
+  "Hello! I'm your UMS Chatbot assistant. I can help you with course registration, prerequisites, schedules, and other university-related questions. What would you like to know?";
+
+// Stable ids that can't collide when several messages are added at once
+export const createId = () =>
+  crypto.randomUUID?.() ??
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+export const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+export function createConversation() {
+  const now = new Date().toISOString();
+  return {
+    id: createId(),
+    title: "New chat",
+    sessionId: null,
+    createdAt: now,
+    updatedAt: now,
+    messages: [
+      { id: createId(), text: WELCOME_TEXT, sender: "bot", timestamp: now },
+    ],
+  };
+}
+
+// The first question, shortened, names the conversation in the sidebar
+export function titleFor(question) {
+  const title = question.trim().replace(/\s+/g, " ");
+  return title.length > 40 ? `${title.slice(0, 40)}…` : title;
+}
+
+// Most recently used first
+export const sortConversations = (conversations) =>
+  [...conversations].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+export function loadConversations(storageKey = STORAGE_KEY) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey) || "[]");
+    if (!Array.isArray(saved)) return [];
+    // An answer that was streaming when the page closed will never finish
+    return saved.map((conversation) => ({
+      ...conversation,
+      messages: conversation.messages.map((msg) =>
+        msg.isStreaming
+          ? { ...msg, isStreaming: false, text: msg.text || "(Interrupted)" }
+          : msg
+      ),
+    }));
+  } catch (error) {
+    console.error("Failed to load saved conversations:", error);
+    return [];
+  }
+}
+
+export function saveConversations(conversations, storageKey = STORAGE_KEY) {
+  let kept = sortConversations(conversations).slice(0, MAX_CONVERSATIONS);
+  while (kept.length > 0) {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(kept));
+      return;
+    } catch (error) {
+      // Quota exceeded: make room by forgetting the oldest conversation
+      if (kept.length === 1) {
+        console.error("Failed to save conversations:", error);
+        return;
+      }
+      kept = kept.slice(0, -1);
+    }
+  }
+  localStorage.removeItem(storageKey);
+}
+
+// ----------------- EXPORT -----------------
+// Transcripts a student can attach to a helpdesk ticket
+
+// Questions and their answers; the greeting isn't worth sharing
+const transcriptMessages = (conversation) =>
+  conversation.messages.filter(
+    (msg) =>
+      msg.text && !msg.isStreaming && (msg.sender === "student" || msg.question)
+  );
+
+export function toMarkdown(conversation) {
+  const lines = [
+    `# ${conversation.title}`,
+    "",
+    `Exported from UMS Chatbot on ${new Date().toLocaleString()}`,
+  ];
+  for (const msg of transcriptMessages(conversation)) {
+    const who = msg.sender === "student" ? "You" : "UMS Chatbot";
+    const note = msg.degraded ? ", limited mode" : "";
+    lines.push(
+      "",
+      `**${who}** (${formatTime(msg.timestamp)}${note})`,
+      "",
+      msg.text
+    );
+    if (msg.sources?.length > 0) {
+      lines.push("", "Sources:");
+      for (const source of msg.sources) {
+        lines.push(`${source.id}. ${source.path}`);
+      }
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+export function toJson(conversation) {
+  const transcript = {
+    title: conversation.title,
+    createdAt: conversation.createdAt,
+    exportedAt: new Date().toISOString(),
+    messages: transcriptMessages(conversation).map((msg) => ({
+      sender: msg.sender,
+      text: msg.text,
+      timestamp: msg.timestamp,
+      ...(msg.match?.path && { path: msg.match.path }),
+      ...(msg.sources?.length > 0 && {
+        sources: msg.sources.map((source) => source.path),
+      }),
+      ...(msg.degraded && { degraded: true }),
+    })),
+  };
+  return `${JSON.stringify(transcript, null, 2)}\n`;
+}
+
+const EXPORT_FORMATS = {
+  markdown: { extension: "md", type: "text/markdown", render: toMarkdown },
+  json: { extension: "json", type: "application/json", render: toJson },
+};
+
+// Saves the conversation as a file through a temporary download link
+export function downloadTranscript(conversation, format) {
+  const { extension, type, render } = EXPORT_FORMATS[format];
+  const url = URL.createObjectURL(
+    new Blob([render(conversation)], { type: `${type};charset=utf-8` })
+  );
+  const slug =
+    conversation.title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "")
+      .slice(0, 40) || "conversation";
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `ums-chat-${slug}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
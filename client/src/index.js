@@ -1,7 +1,11 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App";
+import AdminDashboard from "./AdminDashboard";
 import "./styles/custom.css";
 
 const root = ReactDOM.createRoot(document.getElementById("root"));
-root.render(<App />);
+// /admin (and anything under it) is the analytics dashboard; everything else
+// is the chat
+const isAdmin = /^\/admin(\/|$)/.test(window.location.pathname);
+root.render(isAdmin ? <AdminDashboard /> : <App />);
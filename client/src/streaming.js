@@ -0,0 +1,51 @@
+// Minimal Server-Sent Events reader for POST requests (EventSource only
+// supports GET). Calls onEvent(name, data) for every event as it arrives and
+// resolves when the stream ends. Abort through `signal` to cancel.
+// `onResponse` gets the response (for its headers) before any event.
+export async function streamEvents(url, body, { signal, onEvent, onResponse }) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "text/event-stream",
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok || !response.body) {
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    error.retryAfter = Number(response.headers.get("Retry-After")) || null;
+    // Error responses carry a student-facing `answer`
+    error.answer = await response
+      .json()
+      .then((data) => data.answer)
+      .catch(() => null);
+    throw error;
+  }
+  onResponse?.(response);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split("\n\n");
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      let event = "message";
+      let data = "";
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
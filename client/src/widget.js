@@ -0,0 +1,97 @@
+import React from "react";
+import ReactDOM from "react-dom/client";
+import createCache from "@emotion/cache";
+import { CacheProvider } from "@emotion/react";
+import { ThemeProvider, createTheme } from "@mui/material/styles";
+import ChatWidget from "./components/ChatWidget";
+// The compiled CSS as a string. A namespace import, as Parcel asks for CSS;
+// for bundle-text assets the namespace is the text itself.
+import * as widgetStyles from "bundle-text:./styles/widget.css";
+
+// ----------------- EMBEDDABLE WIDGET -----------------
+// Entry point of the single-file widget build (`npm run build:widget`).
+// Other university pages add the chat with one script tag:
+//
+//   <script src="https://ums-live.vercel.app/widget/widget.js"
+//     data-ums-chatbot
+//     data-api-url="https://ums-live.onrender.com"
+//     data-title="Ask UMS"
+//     data-theme-color="#1d4ed8"
+//     data-starter-questions="How do I check attendance?|Where is my fee receipt?"
+//     defer></script>
+//
+// Everything renders inside a shadow root, so the page's CSS doesn't restyle
+// the chat and the chat's CSS doesn't leak into the page.
+
+const DEFAULT_API_URL =
+  process.env.REACT_APP_API_URL || "http://localhost:5000";
+const DEFAULT_THEME_COLOR = "#f97316";
+const HOST_ID = "ums-chatbot-widget";
+
+// MUI has to parse the colour for its hover shades, so only hex is accepted
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// currentScript is only set while the script first runs, which is all we need
+const script =
+  document.currentScript || document.querySelector("script[data-ums-chatbot]");
+
+function readConfig(element) {
+  const data = element?.dataset || {};
+  const themeColor = data.themeColor?.trim();
+  if (themeColor && !HEX_COLOR.test(themeColor)) {
+    console.warn(
+      `UMS chatbot: ignoring data-theme-color "${themeColor}", expected a hex colour like #1d4ed8`
+    );
+  }
+  return {
+    apiBaseUrl: (data.apiUrl?.trim() || DEFAULT_API_URL).replace(/\/+$/, ""),
+    title: data.title?.trim() || "UMS Chatbot",
+    themeColor:
+      themeColor && HEX_COLOR.test(themeColor)
+        ? themeColor
+        : DEFAULT_THEME_COLOR,
+    starterQuestions: (data.starterQuestions || "")
+      .split("|")
+      .map((question) => question.trim())
+      .filter(Boolean),
+  };
+}
+
+function mount(config) {
+  // A page that includes the script twice still gets one widget
+  if (document.getElementById(HOST_ID)) return;
+
+  const host = document.createElement("div");
+  host.id = HOST_ID;
+  document.body.appendChild(host);
+  const shadowRoot = host.attachShadow({ mode: "open" });
+
+  const style = document.createElement("style");
+  style.textContent = widgetStyles;
+  shadowRoot.appendChild(style);
+
+  const container = document.createElement("div");
+  shadowRoot.appendChild(container);
+
+  // MUI injects its styles through emotion, into document.head by default;
+  // point it at the shadow root instead
+  const cache = createCache({ key: "ums-widget", container: shadowRoot });
+  const theme = createTheme({
+    palette: { warning: { main: config.themeColor } },
+  });
+
+  ReactDOM.createRoot(container).render(
+    <CacheProvider value={cache}>
+      <ThemeProvider theme={theme}>
+        <ChatWidget {...config} />
+      </ThemeProvider>
+    </CacheProvider>
+  );
+}
+
+const config = readConfig(script);
+if (document.body) {
+  mount(config);
+} else {
+  document.addEventListener("DOMContentLoaded", () => mount(config));
+}
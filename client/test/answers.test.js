@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  isNavigationPath,
+  joinSteps,
+  parseBlocks,
+  parseInline,
+  parseSteps,
+} from "../src/answers.js";
+
+describe("navigation paths", () => {
+  it("tells bare paths from prose", () => {
+    assert.equal(isNavigationPath("Login -> UmsHome -> Fees\n"), true);
+    assert.equal(isNavigationPath("Go to Fees"), false);
+    assert.equal(isNavigationPath("1. Open Login -> UmsHome\n2. Fees"), false);
+  });
+
+  it("splits into steps and joins them back", () => {
+    const steps = parseSteps(" Login ->UmsHome->  -> Fee Receipts ");
+    assert.deepEqual(steps, ["Login", "UmsHome", "Fee Receipts"]);
+    assert.equal(joinSteps(steps), "Login -> UmsHome -> Fee Receipts");
+  });
+});
+
+describe("parseInline", () => {
+  it("finds bold, italic, code and links between plain text", () => {
+    assert.deepEqual(
+      parseInline(
+        "Open **Fees**, then *Receipts* (`FMS`) or [help](https://ums.example/help)."
+      ),
+      [
+        "Open ",
+        { type: "bold", text: "Fees" },
+        ", then ",
+        { type: "italic", text: "Receipts" },
+        " (",
+        { type: "code", text: "FMS" },
+        ") or ",
+        { type: "link", text: "help", href: "https://ums.example/help" },
+        ".",
+      ]
+    );
+  });
+
+  it("only makes links for http(s) URLs", () => {
+    assert.deepEqual(parseInline("[click](javascript:alert(1))"), [
+      "[click](javascript:alert(1))",
+    ]);
+  });
+
+  it("leaves markup in the text as text", () => {
+    assert.deepEqual(parseInline("<img src=x onerror=alert(1)>"), [
+      "<img src=x onerror=alert(1)>",
+    ]);
+  });
+});
+
+describe("parseBlocks", () => {
+  it("groups headings, lists and paragraphs", () => {
+    assert.deepEqual(
+      parseBlocks(
+        "# Fees\nTo pay:\nlog in first\n\n1. Open FMS\n2) Pay\n- or ask\n* the office"
+      ),
+      [
+        { type: "heading", lines: ["Fees"] },
+        { type: "paragraph", lines: ["To pay:", "log in first"] },
+        { type: "ol", lines: ["Open FMS", "Pay"] },
+        { type: "ul", lines: ["or ask", "the office"] },
+      ]
+    );
+  });
+});
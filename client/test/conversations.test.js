@@ -0,0 +1,192 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import {
+  STORAGE_KEY,
+  createConversation,
+  loadConversations,
+  saveConversations,
+  sortConversations,
+  titleFor,
+  toJson,
+  toMarkdown,
+} from "../src/conversations.js";
+
+// Just enough of localStorage; `quota` makes setItem throw once the stored
+// value would be longer, like a full browser store
+function fakeLocalStorage({ quota = Infinity } = {}) {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => items.get(key) ?? null,
+    setItem(key, value) {
+      if (value.length > quota) throw new Error("QuotaExceededError");
+      items.set(key, String(value));
+    },
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+const conversation = (id, updatedAt, extra = {}) => ({
+  id,
+  title: `Chat ${id}`,
+  sessionId: null,
+  createdAt: updatedAt,
+  updatedAt,
+  messages: [],
+  ...extra,
+});
+
+describe("createConversation", () => {
+  it("starts with the greeting and no session", () => {
+    const created = createConversation();
+    assert.equal(created.title, "New chat");
+    assert.equal(created.sessionId, null);
+    assert.equal(created.messages.length, 1);
+    assert.equal(created.messages[0].sender, "bot");
+    assert.notEqual(created.id, createConversation().id);
+  });
+});
+
+describe("titleFor", () => {
+  it("collapses whitespace and shortens long questions", () => {
+    assert.equal(titleFor("  how   do I\npay fees "), "how do I pay fees");
+    assert.equal(titleFor("x".repeat(50)), `${"x".repeat(40)}…`);
+  });
+});
+
+describe("saved conversations", () => {
+  let storage;
+  beforeEach(() => {
+    storage = fakeLocalStorage();
+    globalThis.localStorage = storage;
+  });
+  afterEach(() => {
+    delete globalThis.localStorage;
+  });
+
+  it("round-trip, most recently used first", () => {
+    saveConversations([
+      conversation("a", "2026-01-01T10:00:00Z"),
+      conversation("b", "2026-01-02T10:00:00Z"),
+    ]);
+    assert.deepEqual(
+      loadConversations().map((saved) => saved.id),
+      ["b", "a"]
+    );
+  });
+
+  it("mark answers that were streaming when the page closed as interrupted", () => {
+    saveConversations([
+      conversation("a", "2026-01-01T10:00:00Z", {
+        messages: [
+          { id: "1", text: "", isStreaming: true },
+          { id: "2", text: "Go to Fees", isStreaming: true },
+        ],
+      }),
+    ]);
+    const [saved] = loadConversations();
+    assert.deepEqual(saved.messages, [
+      { id: "1", text: "(Interrupted)", isStreaming: false },
+      { id: "2", text: "Go to Fees", isStreaming: false },
+    ]);
+  });
+
+  it("are empty when nothing or garbage was stored", (t) => {
+    assert.deepEqual(loadConversations(), []);
+    t.mock.method(console, "error", () => {});
+    storage.setItem(STORAGE_KEY, "{not json");
+    assert.deepEqual(loadConversations(), []);
+  });
+
+  it("are kept apart under a widget's own storage key", () => {
+    saveConversations([conversation("page", "2026-01-01T10:00:00Z")]);
+    saveConversations(
+      [conversation("widget", "2026-01-01T10:00:00Z")],
+      "widget-key"
+    );
+    assert.deepEqual(
+      loadConversations().map((saved) => saved.id),
+      ["page"]
+    );
+    assert.deepEqual(
+      loadConversations("widget-key").map((saved) => saved.id),
+      ["widget"]
+    );
+  });
+
+  it("drop the oldest conversations when storage is full", () => {
+    const conversations = ["a", "b", "c"].map((id, i) =>
+      conversation(id, `2026-01-0${i + 1}T10:00:00Z`)
+    );
+    const oneFits = JSON.stringify(conversations.slice(0, 1)).length;
+    globalThis.localStorage = fakeLocalStorage({ quota: oneFits * 2 });
+
+    saveConversations(conversations);
+    assert.deepEqual(
+      loadConversations().map((saved) => saved.id),
+      ["c", "b"]
+    );
+  });
+});
+
+describe("sortConversations", () => {
+  it("doesn't reorder the list it was given", () => {
+    const list = [
+      conversation("a", "2026-01-01T10:00:00Z"),
+      conversation("b", "2026-01-02T10:00:00Z"),
+    ];
+    assert.deepEqual(
+      sortConversations(list).map((c) => c.id),
+      ["b", "a"]
+    );
+    assert.deepEqual(
+      list.map((c) => c.id),
+      ["a", "b"]
+    );
+  });
+});
+
+describe("transcripts", () => {
+  const chat = conversation("a", "2026-01-01T10:00:00Z", {
+    title: "Fee receipt",
+    messages: [
+      { id: "0", sender: "bot", text: "Hello!", timestamp: 0 },
+      { id: "1", sender: "student", text: "fee receipt", timestamp: 0 },
+      {
+        id: "2",
+        sender: "bot",
+        question: "fee receipt",
+        text: "Login -> FMS -> Fee Receipts",
+        timestamp: 0,
+        match: { path: "Login -> FMS -> Fee Receipts" },
+        sources: [{ id: 1, path: "Login -> FMS -> Fee Receipts" }],
+        degraded: true,
+      },
+    ],
+  });
+
+  it("leave out the greeting", () => {
+    const { title, messages } = JSON.parse(toJson(chat));
+    assert.equal(title, "Fee receipt");
+    assert.deepEqual(messages, [
+      { sender: "student", text: "fee receipt", timestamp: 0 },
+      {
+        sender: "bot",
+        text: "Login -> FMS -> Fee Receipts",
+        timestamp: 0,
+        path: "Login -> FMS -> Fee Receipts",
+        sources: ["Login -> FMS -> Fee Receipts"],
+        degraded: true,
+      },
+    ]);
+  });
+
+  it("list sources in Markdown", () => {
+    const markdown = toMarkdown(chat);
+    assert.match(markdown, /^# Fee receipt\n/);
+    assert.doesNotMatch(markdown, /Hello!/);
+    assert.match(markdown, /\*\*You\*\* \(/);
+    assert.match(markdown, /, limited mode\)/);
+    assert.match(markdown, /Sources:\n1\. Login -> FMS -> Fee Receipts\n$/);
+  });
+});
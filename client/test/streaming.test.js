@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { streamEvents } from "../src/streaming.js";
+
+// A fetch that answers with the given chunks as an event stream, split
+// wherever the chunks are split
+function fetchStreaming(chunks, { status = 200 } = {}) {
+  const encoder = new TextEncoder();
+  return async (url, init) => {
+    fetchStreaming.lastRequest = { url, init };
+    const body = new ReadableStream({
+      start(controller) {
+        for (const chunk of chunks) controller.enqueue(encoder.encode(chunk));
+        controller.close();
+      },
+    });
+    return new Response(body, { status });
+  };
+}
+
+describe("streamEvents", () => {
+  it("posts the body and asks for an event stream", async (t) => {
+    t.mock.method(globalThis, "fetch", fetchStreaming([]));
+    await streamEvents(
+      "/api/query/stream",
+      { question: "fees" },
+      {
+        onEvent: () => {},
+      }
+    );
+    const { url, init } = fetchStreaming.lastRequest;
+    assert.equal(url, "/api/query/stream");
+    assert.equal(init.method, "POST");
+    assert.equal(init.headers.Accept, "text/event-stream");
+    assert.deepEqual(JSON.parse(init.body), { question: "fees" });
+  });
+
+  it("reports each event with its parsed data, across chunk boundaries", async (t) => {
+    t.mock.method(
+      globalThis,
+      "fetch",
+      fetchStreaming([
+        'event: meta\ndata: {"category":"Fin',
+        'ance"}\n\nevent: token\ndata: "Go to "\n\n',
+        'event: token\ndata: "Fees"\n\nevent: done\n',
+        'data: {"answer":"Go to Fees"}\n\n',
+      ])
+    );
+    const events = [];
+    await streamEvents(
+      "/stream",
+      {},
+      {
+        onEvent: (name, data) => events.push([name, data]),
+      }
+    );
+    assert.deepEqual(events, [
+      ["meta", { category: "Finance" }],
+      ["token", "Go to "],
+      ["token", "Fees"],
+      ["done", { answer: "Go to Fees" }],
+    ]);
+  });
+
+  it("names events without an event line 'message' and skips empty ones", async (t) => {
+    t.mock.method(
+      globalThis,
+      "fetch",
+      fetchStreaming([': keep-alive\n\ndata: {"a":1}\n\n'])
+    );
+    const events = [];
+    await streamEvents(
+      "/stream",
+      {},
+      {
+        onEvent: (name, data) => events.push([name, data]),
+      }
+    );
+    assert.deepEqual(events, [["message", { a: 1 }]]);
+  });
+
+  it("rejects when the server answers with an error status", async (t) => {
+    t.mock.method(globalThis, "fetch", fetchStreaming([], { status: 503 }));
+    await assert.rejects(
+      streamEvents("/stream", {}, { onEvent: () => {} }),
+      /status: 503/
+    );
+  });
+});
@@ -0,0 +1,193 @@
+import crypto from "crypto";
+import express from "express";
+
+// ----------------- ADMIN API -----------------
+// Knowledge-base editing for the content team. Every route needs
+// "Authorization: Bearer <ADMIN_TOKEN>"; without ADMIN_TOKEN set the admin
+// API is switched off entirely.
+
+export class AdminError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function tokensMatch(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requireAdminToken(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({ error: "Admin API is disabled." });
+  }
+
+  const header = req.get("authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  if (!token || !tokensMatch(token, adminToken)) {
+    return res.status(401).json({ error: "Invalid admin token." });
+  }
+  next();
+}
+
+function requireText(value, field) {
+  if (typeof value !== "string" || !value.trim()) {
+    throw new AdminError(400, `${field} is required.`);
+  }
+  return value.trim();
+}
+
+// Own properties only, so names like "constructor" or "__proto__" are
+// treated as the plain category names they are
+function hasCategory(umsData, category) {
+  return Object.hasOwn(umsData.UMS_Chatbot_Paths, category);
+}
+
+function getPaths(umsData, category) {
+  if (!hasCategory(umsData, category)) {
+    throw new AdminError(404, `Category "${category}" does not exist.`);
+  }
+  return umsData.UMS_Chatbot_Paths[category];
+}
+
+// `updateKnowledgeBase(mutate)` hands `mutate` a copy of the knowledge base
+// to edit in place, then persists it and re-indexes what changed. It
+// resolves with a summary of the re-indexing.
+export function createAdminRouter({ getKnowledgeBase, updateKnowledgeBase }) {
+  const router = express.Router();
+  router.use(requireAdminToken);
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      if (error instanceof AdminError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      req.log.error("admin API error", { error, stack: error.stack });
+      res.status(500).json({ error: "Error updating knowledge base." });
+    }
+  };
+
+  // ---- Categories ----
+  router.get(
+    "/categories",
+    handle(async (req, res) => {
+      const { UMS_Chatbot_Paths } = getKnowledgeBase();
+      res.json({
+        categories: Object.entries(UMS_Chatbot_Paths).map(([name, paths]) => ({
+          name,
+          pathCount: paths.length,
+        })),
+      });
+    })
+  );
+
+  router.post(
+    "/categories",
+    handle(async (req, res) => {
+      const name = requireText(req.body?.name, "name");
+      const result = await updateKnowledgeBase((umsData) => {
+        if (hasCategory(umsData, name)) {
+          throw new AdminError(409, `Category "${name}" already exists.`);
+        }
+        // A computed key always defines an own property, even "__proto__"
+        umsData.UMS_Chatbot_Paths = {
+          ...umsData.UMS_Chatbot_Paths,
+          [name]: [],
+        };
+      });
+      res.status(201).json({ category: name, ...result });
+    })
+  );
+
+  router.put(
+    "/categories/:category",
+    handle(async (req, res) => {
+      const { category } = req.params;
+      const name = requireText(req.body?.name, "name");
+      const result = await updateKnowledgeBase((umsData) => {
+        getPaths(umsData, category);
+        if (name !== category && hasCategory(umsData, name)) {
+          throw new AdminError(409, `Category "${name}" already exists.`);
+        }
+        // Rebuild the object so the renamed category keeps its position
+        umsData.UMS_Chatbot_Paths = Object.fromEntries(
+          Object.entries(umsData.UMS_Chatbot_Paths).map(([key, paths]) => [
+            key === category ? name : key,
+            paths,
+          ])
+        );
+      });
+      res.json({ category: name, previousName: category, ...result });
+    })
+  );
+
+  // ---- Paths ----
+  router.get(
+    "/categories/:category/paths",
+    handle(async (req, res) => {
+      const { category } = req.params;
+      res.json({ category, paths: getPaths(getKnowledgeBase(), category) });
+    })
+  );
+
+  router.post(
+    "/categories/:category/paths",
+    handle(async (req, res) => {
+      const { category } = req.params;
+      const path = requireText(req.body?.path, "path");
+      const result = await updateKnowledgeBase((umsData) => {
+        const paths = getPaths(umsData, category);
+        if (paths.includes(path)) {
+          throw new AdminError(409, "Path already exists in this category.");
+        }
+        paths.push(path);
+      });
+      res.status(201).json({ category, path, ...result });
+    })
+  );
+
+  router.put(
+    "/categories/:category/paths",
+    handle(async (req, res) => {
+      const { category } = req.params;
+      const oldPath = requireText(req.body?.oldPath, "oldPath");
+      const path = requireText(req.body?.path, "path");
+      const result = await updateKnowledgeBase((umsData) => {
+        const paths = getPaths(umsData, category);
+        const index = paths.indexOf(oldPath);
+        if (index === -1) {
+          throw new AdminError(404, "Path not found in this category.");
+        }
+        if (path !== oldPath && paths.includes(path)) {
+          throw new AdminError(409, "Path already exists in this category.");
+        }
+        paths[index] = path;
+      });
+      res.json({ category, path, previousPath: oldPath, ...result });
+    })
+  );
+
+  router.delete(
+    "/categories/:category/paths",
+    handle(async (req, res) => {
+      const { category } = req.params;
+      const path = requireText(req.body?.path ?? req.query.path, "path");
+      const result = await updateKnowledgeBase((umsData) => {
+        const paths = getPaths(umsData, category);
+        const index = paths.indexOf(path);
+        if (index === -1) {
+          throw new AdminError(404, "Path not found in this category.");
+        }
+        paths.splice(index, 1);
+      });
+      res.json({ category, path, ...result });
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,130 @@
+// ----------------- GROUNDED ANSWER SYNTHESIS -----------------
+// Turns the top retrieved paths into a short step-by-step answer. The model
+// only ever sees the numbered paths and must cite them as [n]; citations to
+// anything else are stripped before the answer leaves the server.
+
+// Sources scoring below this are not shown to the model at all
+export const SYNTHESIS_MIN_SCORE = Number(
+  process.env.SYNTHESIS_MIN_SCORE ?? 0.2
+);
+export const SYNTHESIS_TOP_K = Number(process.env.SYNTHESIS_TOP_K) || 5;
+
+const NO_ANSWER = "NO_ANSWER";
+
+export const REFUSAL_ANSWER =
+  "Sorry, I couldn't find a UMS menu path for that. Try rephrasing, or name the UMS module you're looking for.";
+
+const SYSTEM_PROMPT = `You help university students find their way around the UMS portal.
+You are given a question and a numbered list of UMS navigation paths.
+Answer with short numbered steps that use ONLY those paths, and cite the path each step comes from as [n].
+If the question needs several tasks, give steps for each one in order.
+Never invent menu names, links or paths that are not in the list.
+If none of the paths answer the question, reply with exactly ${NO_ANSWER}.`;
+
+export function buildSynthesisMessages(question, sources) {
+  const numbered = sources
+    .map((source) => `[${source.id}] ${source.path}`)
+    .join("\n");
+
+  return [
+    { role: "system", content: SYSTEM_PROMPT },
+    {
+      role: "user",
+      content: `Navigation paths:\n${numbered}\n\nQuestion: ${question}`,
+    },
+  ];
+}
+
+// Keeps only citations that point at a real source; returns the cleaned
+// text and the ids that were cited.
+export function checkCitations(text, sources) {
+  const validIds = new Set(sources.map((source) => source.id));
+  const cited = new Set();
+
+  const cleaned = text.replace(/\s*\[(\d+)\]/g, (match, id) => {
+    const n = Number(id);
+    if (!validIds.has(n)) return "";
+    cited.add(n);
+    return match;
+  });
+
+  return { text: cleaned.trim(), citations: [...cited].sort((a, b) => a - b) };
+}
+
+// Resolves to { answer, citations, refused }. `sources` are numbered
+// retrieval results ({ id, path, category, score }).
+export async function synthesizeAnswer({ question, sources, chatModel }) {
+  const relevant = sources.filter(
+    (source) => source.score >= SYNTHESIS_MIN_SCORE
+  );
+  if (relevant.length === 0) {
+    return { answer: REFUSAL_ANSWER, citations: [], refused: true };
+  }
+
+  const reply = await chatModel.generate(
+    buildSynthesisMessages(question, relevant)
+  );
+  if (!reply || reply.trim() === NO_ANSWER) {
+    return { answer: REFUSAL_ANSWER, citations: [], refused: true };
+  }
+
+  const { text, citations } = checkCitations(reply, relevant);
+  if (citations.length === 0) {
+    // An answer that cites nothing is not grounded in what we retrieved
+    return { answer: REFUSAL_ANSWER, citations: [], refused: true };
+  }
+
+  return { answer: text, citations, refused: false };
+}
+
+// Streaming variant of synthesizeAnswer: `onToken` receives the reply as the
+// model writes it, and the promise resolves to the same checked result once
+// the model is done. The final answer may differ slightly from the streamed
+// text (invalid citations removed), so clients should replace what they
+// rendered with it.
+export async function streamSynthesizedAnswer({
+  question,
+  sources,
+  chatModel,
+  onToken,
+  signal,
+}) {
+  const relevant = sources.filter(
+    (source) => source.score >= SYNTHESIS_MIN_SCORE
+  );
+  if (relevant.length === 0) {
+    onToken(REFUSAL_ANSWER);
+    return { answer: REFUSAL_ANSWER, citations: [], refused: true };
+  }
+
+  // Hold tokens back while the reply could still be the NO_ANSWER marker,
+  // so students never see it.
+  let reply = "";
+  let released = 0;
+  for await (const token of chatModel.stream(
+    buildSynthesisMessages(question, relevant),
+    { signal }
+  )) {
+    reply += token;
+    const trimmed = reply.trimStart();
+    if (trimmed.length <= NO_ANSWER.length && NO_ANSWER.startsWith(trimmed)) {
+      continue;
+    }
+    onToken(reply.slice(released));
+    released = reply.length;
+  }
+
+  if (reply.trim() === NO_ANSWER) {
+    onToken(REFUSAL_ANSWER);
+    return { answer: REFUSAL_ANSWER, citations: [], refused: true };
+  }
+  if (released < reply.length) {
+    onToken(reply.slice(released));
+  }
+
+  const { text, citations } = checkCitations(reply, relevant);
+  if (citations.length === 0) {
+    return { answer: REFUSAL_ANSWER, citations: [], refused: true };
+  }
+  return { answer: text, citations, refused: false };
+}
@@ -0,0 +1,84 @@
+import { ChatOpenAI } from "@langchain/openai";
+
+// ----------------- CHAT MODEL PROVIDERS -----------------
+// ANSWER_SYNTHESIS picks the model that writes answers from retrieved paths:
+//   "off"    - no generation, /api/query returns the top path (default)
+//   "openai" - ChatOpenAI (OPENAI_API_KEY, model from OPENAI_CHAT_MODEL)
+//   "stub"   - deterministic local model for tests and offline development
+//
+// A chat model is { name, generate(messages), stream(messages, options) }
+// where messages is a list of { role: "system" | "user", content }.
+// generate resolves to the whole reply; stream is an async iterable of text
+// chunks and stops early when options.signal is aborted.
+export const CHAT_PROVIDERS = ["off", "openai", "stub"];
+
+function createOpenAIChatModel() {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error("ANSWER_SYNTHESIS=openai requires OPENAI_API_KEY");
+  }
+
+  const model = new ChatOpenAI({
+    openAIApiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_CHAT_MODEL || "gpt-4o-mini",
+    temperature: 0,
+  });
+
+  const toLangChain = (messages) =>
+    messages.map(({ role, content }) => [
+      role === "user" ? "human" : role,
+      content,
+    ]);
+
+  return {
+    name: `openai:${model.model}`,
+    async generate(messages) {
+      const reply = await model.invoke(toLangChain(messages));
+      return reply.content;
+    },
+    async *stream(messages, { signal } = {}) {
+      const chunks = await model.stream(toLangChain(messages), { signal });
+      for await (const chunk of chunks) {
+        if (chunk.content) yield chunk.content;
+      }
+    },
+  };
+}
+
+// Echoes the numbered sources from the prompt back as steps, citing each
+// one. Good enough to exercise the whole pipeline without a network.
+export function createStubChatModel() {
+  const generate = async (messages) => {
+    const prompt = messages.map((m) => m.content).join("\n");
+    const sources = [...prompt.matchAll(/^\[(\d+)\] (.+)$/gm)];
+    if (sources.length === 0) return "NO_ANSWER";
+
+    return sources
+      .map(([, id, path], i) => `${i + 1}. Go to ${path} [${id}]`)
+      .join("\n");
+  };
+
+  return {
+    name: "stub",
+    generate,
+    async *stream(messages, { signal } = {}) {
+      const reply = await generate(messages);
+      for (const line of reply.split(/(?<=\n)/)) {
+        if (signal?.aborted) return;
+        yield line;
+      }
+    },
+  };
+}
+
+export function createChatModel(provider = process.env.ANSWER_SYNTHESIS) {
+  const selected = provider || "off";
+  if (!CHAT_PROVIDERS.includes(selected)) {
+    throw new Error(
+      `Unknown ANSWER_SYNTHESIS "${selected}". Expected one of: ${CHAT_PROVIDERS.join(", ")}`
+    );
+  }
+
+  if (selected === "openai") return createOpenAIChatModel();
+  if (selected === "stub") return createStubChatModel();
+  return null;
+}
@@ -0,0 +1,80 @@
+// ----------------- ANSWER CONFIDENCE -----------------
+// Decides whether the top retrieval hit is good enough to answer with, or
+// whether the student should pick from the candidates instead:
+//   "confident" - a clear winner; answer with it
+//   "ambiguous" - the best hits from different categories are near-tied
+//   "low"       - even the best hit scores below the threshold
+//   "none"      - nothing is even close enough to suggest
+//
+//   CLARIFY_MIN_SCORE    best score needed to answer outright (default 0.3)
+//   CLARIFY_MARGIN       lead the best hit needs over the best hit from
+//                        another category (default 0.03)
+//   CLARIFY_MAX_OPTIONS  candidates offered when clarifying (default 3)
+// Scores are cosine similarities (see retrieval.js), so the right values
+// depend on the embeddings provider.
+
+export const CLARIFY_MIN_SCORE = Number(process.env.CLARIFY_MIN_SCORE ?? 0.3);
+export const CLARIFY_MARGIN = Number(process.env.CLARIFY_MARGIN ?? 0.03);
+export const CLARIFY_MAX_OPTIONS = Number(process.env.CLARIFY_MAX_OPTIONS) || 3;
+
+export const CLARIFY_ANSWERS = {
+  ambiguous:
+    "Your question matches a few different areas of UMS. Which one did you mean?",
+  low: "I'm not sure I found the right menu for that. Did you mean one of these? If not, try naming the UMS module you're looking for.",
+  none: 'Sorry, no relevant answer found. Try naming the UMS module or menu you\'re looking for, for example "Fee Dashboard".',
+};
+
+// `results` are searchPaths() hits, best first. One option per category,
+// each re-queried with its best path so picking it gives that exact answer.
+function clarifyOptions(results, maxOptions) {
+  const byCategory = new Map();
+  for (const result of results) {
+    const key = result.category ?? result.path;
+    if (!byCategory.has(key)) byCategory.set(key, result);
+  }
+
+  return [...byCategory.values()]
+    .slice(0, maxOptions)
+    .map(({ path, category, score }) => ({
+      label: category ?? path,
+      query: path,
+      path,
+      category,
+      score,
+    }));
+}
+
+// Returns { status, options }. `options` is empty when confident.
+export function assessConfidence(
+  results,
+  {
+    minScore = CLARIFY_MIN_SCORE,
+    margin = CLARIFY_MARGIN,
+    maxOptions = CLARIFY_MAX_OPTIONS,
+  } = {}
+) {
+  const [best] = results;
+
+  if (!best || best.score < minScore) {
+    // Weak hits are still worth suggesting, down to half the threshold
+    const options = clarifyOptions(
+      results.filter((result) => result.score >= minScore / 2),
+      maxOptions
+    );
+    return { status: options.length > 0 ? "low" : "none", options };
+  }
+
+  // Near-ties inside one category are fine: any of them is a right answer
+  const rival = results.find((result) => result.category !== best.category);
+  if (rival && best.score - rival.score < margin) {
+    const contenders = results.filter(
+      (result) => best.score - result.score < margin
+    );
+    return {
+      status: "ambiguous",
+      options: clarifyOptions(contenders, maxOptions),
+    };
+  }
+
+  return { status: "confident", options: [] };
+}
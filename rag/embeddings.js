@@ -0,0 +1,216 @@
+import { Embeddings } from "@langchain/core/embeddings";
+import { OpenAIEmbeddings } from "@langchain/openai";
+
+// ----------------- EMBEDDINGS PROVIDERS -----------------
+// EMBEDDINGS_PROVIDER picks the backend:
+//   "openai" - OpenAI embeddings API (needs OPENAI_API_KEY and network)
+//   "local"  - TF-IDF over hashed word features, no key or network needed
+// When unset, OpenAI is used if a key is present, otherwise local.
+export const EMBEDDINGS_PROVIDERS = ["openai", "local"];
+
+const DEFAULT_LOCAL_DIMENSIONS = 1024;
+
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "can",
+  "do",
+  "for",
+  "how",
+  "i",
+  "in",
+  "is",
+  "it",
+  "me",
+  "my",
+  "of",
+  "on",
+  "or",
+  "the",
+  "to",
+  "what",
+  "where",
+  "with",
+]);
+
+function normalizeToken(token) {
+  if (token.length > 4 && token.endsWith("ies")) {
+    return `${token.slice(0, -3)}y`;
+  }
+  if (token.length > 3 && token.endsWith("s") && !token.endsWith("ss")) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+// Words plus adjacent word pairs, so "fee receipt" scores higher on a path
+// that contains that exact phrase than on one with both words far apart.
+export function tokenize(text) {
+  const words = String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !STOP_WORDS.has(word))
+    .map(normalizeToken);
+
+  const bigrams = words.slice(1).map((word, i) => `${words[i]}_${word}`);
+  return [...words, ...bigrams];
+}
+
+// 32-bit FNV-1a, stable across processes so saved indexes stay valid.
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i += 1) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export class LocalTfidfEmbeddings extends Embeddings {
+  constructor({
+    dimensions = DEFAULT_LOCAL_DIMENSIONS,
+    idf,
+    documentCount,
+  } = {}) {
+    super({});
+    this.dimensions = dimensions;
+    this.idf = new Map(idf || []);
+    this.documentCount = documentCount || 0;
+  }
+
+  get model() {
+    return `local-tfidf-${this.dimensions}`;
+  }
+
+  // Learns inverse document frequencies from the corpus. Called on the first
+  // embedDocuments() so FaissStore.fromDocuments() works unchanged.
+  fit(texts) {
+    const documentFrequency = new Map();
+    for (const text of texts) {
+      for (const token of new Set(tokenize(text))) {
+        documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+      }
+    }
+
+    this.documentCount = texts.length;
+    this.idf = new Map(
+      [...documentFrequency].map(([token, df]) => [
+        token,
+        Math.log((1 + texts.length) / (1 + df)) + 1,
+      ])
+    );
+  }
+
+  vectorize(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    for (const token of tokenize(text)) {
+      // Terms the corpus never uses cannot match anything; counting them
+      // would only add noise through hash collisions.
+      const idf = this.idf.get(token);
+      if (idf === undefined) continue;
+
+      // Bucket 0 is reserved for texts with no usable terms (see below)
+      const bucket = 1 + (hashToken(token) % (this.dimensions - 1));
+      vector[bucket] += idf;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    if (norm === 0) {
+      // Orthogonal to every real document, so it scores 0 instead of
+      // sitting at the same distance from everything.
+      vector[0] = 1;
+      return vector;
+    }
+    return vector.map((v) => v / norm);
+  }
+
+  // Fitted state, saved next to a persisted index so the same vocabulary is
+  // used for queries after a restart.
+  toJSON() {
+    return {
+      dimensions: this.dimensions,
+      documentCount: this.documentCount,
+      idf: [...this.idf],
+    };
+  }
+
+  // Documents added after the initial fit (admin edits) may bring new terms.
+  // Give those the weight of a term seen only in this batch; existing
+  // weights stay as they are so already-indexed vectors remain comparable.
+  extendVocabulary(texts) {
+    const documentFrequency = new Map();
+    for (const text of texts) {
+      for (const token of new Set(tokenize(text))) {
+        if (this.idf.has(token)) continue;
+        documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+      }
+    }
+
+    this.documentCount += texts.length;
+    for (const [token, df] of documentFrequency) {
+      this.idf.set(token, Math.log((1 + this.documentCount) / (1 + df)) + 1);
+    }
+  }
+
+  // Puts back a vocabulary taken with toJSON(), e.g. when an admin edit
+  // that extended it is rolled back
+  restore({ documentCount, idf }) {
+    this.documentCount = documentCount;
+    this.idf = new Map(idf);
+  }
+
+  async embedDocuments(texts) {
+    if (this.idf.size === 0) {
+      this.fit(texts);
+    } else {
+      this.extendVocabulary(texts);
+    }
+    return texts.map((text) => this.vectorize(text));
+  }
+
+  async embedQuery(text) {
+    return this.vectorize(text);
+  }
+}
+
+export function resolveEmbeddingsProvider() {
+  const requested = process.env.EMBEDDINGS_PROVIDER;
+  if (requested && !EMBEDDINGS_PROVIDERS.includes(requested)) {
+    throw new Error(
+      `Unknown EMBEDDINGS_PROVIDER "${requested}". Expected one of: ${EMBEDDINGS_PROVIDERS.join(", ")}`
+    );
+  }
+  return requested || (process.env.OPENAI_API_KEY ? "openai" : "local");
+}
+
+// `savedState` is what toJSON() returned when the index was persisted; only
+// the local provider needs it.
+export function createEmbeddings(
+  provider = resolveEmbeddingsProvider(),
+  savedState = null
+) {
+  if (provider === "openai") {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error("EMBEDDINGS_PROVIDER=openai requires OPENAI_API_KEY");
+    }
+    return new OpenAIEmbeddings({
+      openAIApiKey: process.env.OPENAI_API_KEY,
+      ...(process.env.OPENAI_EMBEDDINGS_MODEL && {
+        model: process.env.OPENAI_EMBEDDINGS_MODEL,
+      }),
+    });
+  }
+
+  if (savedState) {
+    return new LocalTfidfEmbeddings(savedState);
+  }
+
+  return new LocalTfidfEmbeddings({
+    dimensions:
+      Number(process.env.LOCAL_EMBEDDINGS_DIMENSIONS) ||
+      DEFAULT_LOCAL_DIMENSIONS,
+  });
+}
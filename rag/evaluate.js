@@ -0,0 +1,111 @@
+import fs from "fs/promises";
+import { readKnowledgeBase } from "./knowledge_base.js";
+import { INDEX_MODES, loadIndexConfig } from "./indexing.js";
+import { loadAliases } from "./query_aliases.js";
+import {
+  BASELINE_FILE,
+  GOLDEN_SET_FILE,
+  buildEvaluationIndex,
+  compareReports,
+  evaluateRetrieval,
+  formatEvaluationReport,
+  isRegression,
+  loadGoldenSet,
+} from "./evaluation.js";
+
+// ----------------- RETRIEVAL EVALUATION CLI -----------------
+// Usage: node evaluate.js [--k 3] [--mode path|split] [--golden file]
+//                         [--baseline file] [--save-baseline] [--no-aliases]
+//                         [--check] [--json]
+//   --k              results scored per question (default 3, like /api/query)
+//   --mode           index mode to evaluate (default: index_config.json)
+//   --golden         golden question set (default eval/golden_questions.json)
+//   --baseline       report to compare against (default eval/baseline.json)
+//   --save-baseline  write this run's report as the new baseline
+//   --no-aliases     skip query alias expansion
+//   --check          exit non-zero if any headline metric is below the baseline
+//   --json           print the raw report (and diff) instead of the text report
+//
+// Runs offline: the index is rebuilt in memory with local embeddings and the
+// saved faiss_index is never touched.
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const i = args.indexOf(`--${name}`);
+  return i === -1 || i + 1 >= args.length ? fallback : args[i + 1];
+};
+
+const k = Number(option("k", 3));
+const goldenFile = option("golden", GOLDEN_SET_FILE);
+const baselineFile = option("baseline", BASELINE_FILE);
+const useAliases = !args.includes("--no-aliases");
+const saveBaseline = args.includes("--save-baseline");
+const check = args.includes("--check");
+const asJson = args.includes("--json");
+const mode = option("mode");
+
+if (!Number.isInteger(k) || k < 1) {
+  console.error("❌ --k must be a positive integer");
+  process.exit(1);
+}
+if (mode && !INDEX_MODES.includes(mode)) {
+  console.error(`❌ --mode must be one of: ${INDEX_MODES.join(", ")}`);
+  process.exit(1);
+}
+
+let report;
+try {
+  const { umsData } = await readKnowledgeBase();
+  const indexConfig = await loadIndexConfig();
+  if (mode) indexConfig.mode = mode;
+
+  const goldenSet = await loadGoldenSet(umsData, goldenFile);
+  const vectorstore = await buildEvaluationIndex(umsData, indexConfig);
+  report = await evaluateRetrieval({
+    vectorstore,
+    goldenSet,
+    k,
+    aliases: useAliases ? await loadAliases(umsData) : null,
+    settings: {
+      indexMode: indexConfig.mode,
+      embeddings: vectorstore.embeddings.model,
+    },
+  });
+} catch (error) {
+  console.error(`❌ Evaluation failed: ${error.message}`);
+  process.exit(1);
+}
+
+let baseline = null;
+try {
+  baseline = JSON.parse(await fs.readFile(baselineFile, "utf-8"));
+} catch (error) {
+  if (error.code !== "ENOENT") {
+    console.error(`❌ Could not read ${baselineFile}: ${error.message}`);
+    process.exit(1);
+  }
+}
+const diff = baseline ? compareReports(report, baseline) : null;
+
+if (asJson) {
+  console.log(JSON.stringify({ report, diff }, null, 2));
+} else {
+  console.log(`📊 Evaluating retrieval against ${goldenFile}\n`);
+  console.log(formatEvaluationReport(report, diff));
+  if (!baseline) {
+    console.log(
+      `\nNo baseline at ${baselineFile}; run with --save-baseline to create one.`
+    );
+  }
+}
+
+if (saveBaseline) {
+  await fs.writeFile(baselineFile, `${JSON.stringify(report, null, 2)}\n`);
+  if (!asJson) console.log(`\n💾 Saved baseline to ${baselineFile}`);
+}
+
+if (check && !baseline) {
+  console.error(`❌ --check needs a baseline at ${baselineFile}`);
+  process.exit(1);
+}
+process.exit(check && isRegression(diff) ? 1 : 0);
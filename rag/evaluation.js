@@ -0,0 +1,262 @@
+import fs from "fs/promises";
+import { FaissStore } from "@langchain/community/vectorstores/faiss";
+import { buildIndexDocuments } from "./indexing.js";
+import { createEmbeddings } from "./embeddings.js";
+import { retrievePaths } from "./retrieval.js";
+
+// ----------------- RETRIEVAL EVALUATION -----------------
+// Runs a golden set of student questions, each labelled with the path(s)
+// that answer it, through the same retrieval /api/query uses and scores
+// the results:
+//   top-1      the best hit is an expected path
+//   recall@k   share of the expected paths found in the top k
+//   MRR@k      1 / rank of the first expected path (0 if not in the top k)
+//
+// The index is built in memory with the local TF-IDF embeddings, so a run
+// needs no key or network and gives the same numbers every time. Absolute
+// scores are lower than with OpenAI embeddings; use them to compare
+// settings, not as a promise of production quality.
+
+export const GOLDEN_SET_FILE = "eval/golden_questions.json";
+export const BASELINE_FILE = "eval/baseline.json";
+
+// The golden set must only point at paths that exist, or a knowledge-base
+// edit would silently turn questions into guaranteed misses.
+export async function loadGoldenSet(umsData, file = GOLDEN_SET_FILE) {
+  const goldenSet = JSON.parse(await fs.readFile(file, "utf-8"));
+
+  const categoryOf = new Map();
+  for (const [category, paths] of Object.entries(umsData.UMS_Chatbot_Paths)) {
+    for (const path of paths) categoryOf.set(path, category);
+  }
+
+  const ids = new Set();
+  const questions = goldenSet.questions.map((entry) => {
+    if (!entry.id || ids.has(entry.id)) {
+      throw new Error(`${file}: missing or duplicate id "${entry.id}"`);
+    }
+    ids.add(entry.id);
+    if (!entry.question || !entry.expected?.length) {
+      throw new Error(
+        `${file}: ${entry.id} needs a question and expected paths`
+      );
+    }
+    const unknown = entry.expected.filter((path) => !categoryOf.has(path));
+    if (unknown.length > 0) {
+      throw new Error(
+        `${file}: ${entry.id} expects paths not in the knowledge base: ${unknown.join(" | ")}`
+      );
+    }
+    return { ...entry, category: categoryOf.get(entry.expected[0]) };
+  });
+
+  return { version: goldenSet.version, questions };
+}
+
+export async function buildEvaluationIndex(umsData, indexConfig) {
+  const documents = await buildIndexDocuments(umsData, indexConfig);
+  return FaissStore.fromDocuments(documents, createEmbeddings("local"));
+}
+
+function scoreQuestion(entry, retrieved) {
+  const expected = new Set(entry.expected);
+  const position = retrieved.findIndex((path) => expected.has(path));
+  const found = retrieved.filter((path) => expected.has(path)).length;
+  return {
+    id: entry.id,
+    question: entry.question,
+    category: entry.category,
+    expected: entry.expected,
+    retrieved,
+    rank: position === -1 ? null : position + 1,
+    recall: found / expected.size,
+  };
+}
+
+function summarize(results) {
+  const count = results.length;
+  const mean = (value) =>
+    count
+      ? Number(
+          (results.reduce((sum, r) => sum + value(r), 0) / count).toFixed(4)
+        )
+      : 0;
+  return {
+    questions: count,
+    top1: mean((r) => (r.rank === 1 ? 1 : 0)),
+    recallAtK: mean((r) => r.recall),
+    mrr: mean((r) => (r.rank ? 1 / r.rank : 0)),
+  };
+}
+
+export async function evaluateRetrieval({
+  vectorstore,
+  goldenSet,
+  k = 3,
+  aliases = null,
+  settings = {},
+}) {
+  const results = [];
+  for (const entry of goldenSet.questions) {
+    const { results: hits } = await retrievePaths(vectorstore, entry.question, {
+      k,
+      aliases,
+    });
+    results.push(
+      scoreQuestion(
+        entry,
+        hits.map((hit) => hit.path)
+      )
+    );
+  }
+
+  const byCategory = new Map();
+  for (const result of results) {
+    if (!byCategory.has(result.category)) byCategory.set(result.category, []);
+    byCategory.get(result.category).push(result);
+  }
+
+  return {
+    goldenSetVersion: goldenSet.version,
+    settings: { k, aliases: Boolean(aliases), ...settings },
+    summary: summarize(results),
+    categories: Object.fromEntries(
+      [...byCategory]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([category, group]) => [category, summarize(group)])
+    ),
+    results,
+  };
+}
+
+const METRICS = ["top1", "recallAtK", "mrr"];
+
+const deltas = (current, baseline = {}) =>
+  Object.fromEntries(
+    METRICS.map((metric) => [
+      metric,
+      Number(((current[metric] ?? 0) - (baseline[metric] ?? 0)).toFixed(4)),
+    ])
+  );
+
+// A question got worse when its expected path dropped in rank or fell out
+// of the top k (a missing rank counts as k + 1).
+export function compareReports(report, baseline) {
+  const rankOf = (result, k) => result.rank ?? k + 1;
+  const before = new Map(baseline.results.map((r) => [r.id, r]));
+
+  const regressions = [];
+  const improvements = [];
+  for (const result of report.results) {
+    const previous = before.get(result.id);
+    if (!previous) continue;
+    const change = {
+      id: result.id,
+      question: result.question,
+      from: previous.rank,
+      to: result.rank,
+    };
+    const was = rankOf(previous, baseline.settings.k);
+    const now = rankOf(result, report.settings.k);
+    if (now > was) regressions.push(change);
+    if (now < was) improvements.push(change);
+  }
+
+  const changedSettings = Object.keys({
+    ...report.settings,
+    ...baseline.settings,
+  }).filter((key) => report.settings[key] !== baseline.settings[key]);
+
+  return {
+    sameGoldenSet: report.goldenSetVersion === baseline.goldenSetVersion,
+    changedSettings,
+    summary: deltas(report.summary, baseline.summary),
+    categories: Object.fromEntries(
+      Object.entries(report.categories).map(([category, metrics]) => [
+        category,
+        deltas(metrics, baseline.categories[category]),
+      ])
+    ),
+    regressions,
+    improvements,
+  };
+}
+
+// True when any headline metric is below the baseline
+export function isRegression(diff) {
+  return METRICS.some((metric) => diff.summary[metric] < 0);
+}
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+const signed = (value, format) =>
+  `${value >= 0 ? "+" : "-"}${format(Math.abs(value))}`;
+const rankLabel = (rank) => (rank ? `#${rank}` : "missed");
+
+export function formatEvaluationReport(report, diff = null) {
+  const { summary, settings } = report;
+  const delta = (metric, format) =>
+    diff ? `  (${signed(diff.summary[metric], format)} vs baseline)` : "";
+
+  const lines = [
+    `${summary.questions} questions (golden set v${report.goldenSetVersion}), k=${settings.k}, index mode "${settings.indexMode}", ${settings.embeddings}, aliases ${settings.aliases ? "on" : "off"}`,
+    "",
+    `  top-1 accuracy  ${percent(summary.top1)}${delta("top1", percent)}`,
+    `  recall@${settings.k}        ${percent(summary.recallAtK)}${delta("recallAtK", percent)}`,
+    `  MRR@${settings.k}           ${summary.mrr.toFixed(3)}${delta("mrr", (v) => v.toFixed(3))}`,
+    "",
+    "Per category (questions, top-1, recall, MRR):",
+  ];
+
+  const width = Math.max(
+    ...Object.keys(report.categories).map((c) => c.length)
+  );
+  for (const [category, metrics] of Object.entries(report.categories)) {
+    const change = diff?.categories[category];
+    lines.push(
+      `  ${category.padEnd(width)}  ${String(metrics.questions).padStart(3)}  ${percent(metrics.top1).padStart(6)}  ${percent(metrics.recallAtK).padStart(6)}  ${metrics.mrr.toFixed(3)}${
+        change && change.top1 !== 0
+          ? `  (top-1 ${signed(change.top1, percent)})`
+          : ""
+      }`
+    );
+  }
+
+  const misses = report.results.filter((result) => result.rank !== 1);
+  if (misses.length > 0) {
+    lines.push("", `Not ranked first (${misses.length}):`);
+    for (const miss of misses) {
+      lines.push(
+        `  ${miss.id} "${miss.question}" ${rankLabel(miss.rank)}, got: ${miss.retrieved[0] ?? "nothing"}`
+      );
+    }
+  }
+
+  if (diff) {
+    if (!diff.sameGoldenSet) {
+      lines.push(
+        "",
+        "⚠️  The baseline used a different golden set version; only shared questions are compared."
+      );
+    }
+    if (diff.changedSettings.length > 0) {
+      lines.push(
+        "",
+        `ℹ️  Settings differ from the baseline: ${diff.changedSettings.join(", ")}`
+      );
+    }
+    for (const [title, changes] of [
+      ["Regressions", diff.regressions],
+      ["Improvements", diff.improvements],
+    ]) {
+      if (changes.length === 0) continue;
+      lines.push("", `${title} (${changes.length}):`);
+      for (const change of changes) {
+        lines.push(
+          `  ${change.id} "${change.question}" ${rankLabel(change.from)} -> ${rankLabel(change.to)}`
+        );
+      }
+    }
+  }
+
+  return lines.join("\n");
+}
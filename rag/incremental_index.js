@@ -0,0 +1,93 @@
+import { LocalTfidfEmbeddings } from "./embeddings.js";
+import { buildIndexDocuments } from "./indexing.js";
+import {
+  KNOWLEDGE_BASE_FILE,
+  documentKey,
+  documentKeys,
+  parseDocumentKey,
+  writeKnowledgeBase,
+} from "./knowledge_base.js";
+
+// ----------------- INCREMENTAL RE-INDEXING -----------------
+// Applies one knowledge-base edit to ums_paths.json and the live FAISS index
+// together, (re-)embedding only the documents the edit touched. If any step
+// fails, the file, the index and the embedder are all left as they were.
+
+export async function applyKnowledgeBaseEdit({
+  vectorstore,
+  indexConfig,
+  current,
+  next,
+  file = KNOWLEDGE_BASE_FILE,
+}) {
+  const before = documentKeys(current);
+  const after = documentKeys(next);
+  const added = [...after].filter((key) => !before.has(key));
+  const removed = new Set([...before].filter((key) => !after.has(key)));
+
+  const docstore = vectorstore.getDocstore();
+  const removedIds = Object.values(vectorstore.getMapping()).filter((id) => {
+    const { metadata } = docstore.search(id);
+    return removed.has(documentKey(metadata.category, metadata.path));
+  });
+
+  // The local embedder learns the new terms while embedding, so its
+  // vocabulary has to be rolled back along with everything else
+  const { embeddings } = vectorstore;
+  const vocabulary =
+    embeddings instanceof LocalTfidfEmbeddings ? embeddings.toJSON() : null;
+
+  let written = false;
+  let addedIds = [];
+  try {
+    // Embedding is the step most likely to fail (network, quota), so it
+    // happens before the file or the index change
+    const addedDocuments = await buildIndexDocuments(
+      documentsFor(added),
+      indexConfig
+    );
+    const addedVectors =
+      addedDocuments.length > 0
+        ? await embeddings.embedDocuments(
+            addedDocuments.map((doc) => doc.pageContent)
+          )
+        : [];
+
+    // The file is written before the live index changes, so a failed write
+    // (disk full, permissions) leaves the index as it was
+    const rawData = await writeKnowledgeBase(next, file);
+    written = true;
+
+    if (addedDocuments.length > 0) {
+      addedIds = await vectorstore.addVectors(addedVectors, addedDocuments);
+    }
+    if (removedIds.length > 0) {
+      await vectorstore.delete({ ids: removedIds });
+    }
+
+    return { rawData, added: added.length, removed: removed.size };
+  } catch (error) {
+    if (addedIds.length > 0) {
+      await vectorstore.delete({ ids: addedIds });
+    }
+    if (written) {
+      await writeKnowledgeBase(current, file);
+    }
+    if (vocabulary) {
+      embeddings.restore(vocabulary);
+    }
+    throw error;
+  }
+}
+
+// A knowledge base holding just the given documents. Built from entries so
+// a category named "__proto__" stays an ordinary key.
+function documentsFor(keys) {
+  const byCategory = new Map();
+  for (const key of keys) {
+    const { category, path } = parseDocumentKey(key);
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category).push(path);
+  }
+  return { UMS_Chatbot_Paths: Object.fromEntries(byCategory) };
+}
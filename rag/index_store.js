@@ -0,0 +1,77 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { FaissStore } from "@langchain/community/vectorstores/faiss";
+import { createEmbeddings } from "./embeddings.js";
+import { logger } from "./logger.js";
+
+// ----------------- PERSISTED INDEX -----------------
+// The FAISS index is saved to INDEX_DIR together with index_meta.json. The
+// meta file records a hash of everything that shapes the vectors (knowledge
+// base contents, indexing config, embedding model), so a saved index is only
+// reused when none of those changed.
+
+export const INDEX_DIR = process.env.INDEX_DIR || "faiss_index";
+const META_FILE = "index_meta.json";
+
+export function computeIndexHash({ rawData, indexConfig, embeddingsModel }) {
+  return crypto
+    .createHash("sha256")
+    .update(rawData)
+    .update(JSON.stringify(indexConfig))
+    .update(embeddingsModel)
+    .digest("hex");
+}
+
+// Short, human-friendly form of the hash reported on /health
+export function versionFromHash(hash) {
+  return hash.slice(0, 12);
+}
+
+// Returns { vectorstore, meta } or null when there is no usable saved index.
+export async function loadSavedIndex(hash, dir = INDEX_DIR) {
+  let meta;
+  try {
+    meta = JSON.parse(await fs.readFile(path.join(dir, META_FILE), "utf-8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+
+  if (meta.hash !== hash) {
+    logger.info("saved index is stale (knowledge base or model changed)", {
+      version: meta.version,
+    });
+    return null;
+  }
+
+  const embeddings = createEmbeddings(
+    meta.embeddings.provider,
+    meta.embeddings.state
+  );
+  const vectorstore = await FaissStore.load(dir, embeddings);
+  return { vectorstore, meta };
+}
+
+export async function saveIndex(
+  vectorstore,
+  { hash, provider },
+  dir = INDEX_DIR
+) {
+  const meta = {
+    hash,
+    version: versionFromHash(hash),
+    builtAt: new Date().toISOString(),
+    embeddings: {
+      provider,
+      model: vectorstore.embeddings.model,
+      // Only the local provider has fitted state; never serialize API clients
+      state: provider === "local" ? vectorstore.embeddings.toJSON() : null,
+    },
+  };
+
+  await vectorstore.save(dir);
+  // Written last: an index without meta is simply ignored on the next boot
+  await fs.writeFile(path.join(dir, META_FILE), JSON.stringify(meta));
+  return meta;
+}
@@ -0,0 +1,66 @@
+import fs from "fs/promises";
+import { RecursiveCharacterTextSplitter } from "@langchain/textsplitters";
+import { Document } from "@langchain/core/documents";
+
+// ----------------- INDEXING -----------------
+// "path"  - every navigation path is embedded as a single document, so a
+//           match is always a complete path (default).
+// "split" - paths are chunked with RecursiveCharacterTextSplitter using the
+//           per-category settings from index_config.json. Every chunk keeps
+//           the full original path in its metadata.
+export const INDEX_MODES = ["path", "split"];
+
+const DEFAULT_SPLITTER = { chunkSize: 200, chunkOverlap: 20 };
+
+export async function loadIndexConfig(file = "index_config.json") {
+  let config = {};
+  try {
+    config = JSON.parse(await fs.readFile(file, "utf-8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  const mode = process.env.INDEX_MODE || config.mode || "path";
+  if (!INDEX_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown INDEX_MODE "${mode}". Expected one of: ${INDEX_MODES.join(", ")}`
+    );
+  }
+
+  return {
+    mode,
+    splitter: {
+      default: { ...DEFAULT_SPLITTER, ...config.splitter?.default },
+      categories: config.splitter?.categories || {},
+    },
+  };
+}
+
+export function splitterSettingsFor(config, category) {
+  return {
+    ...config.splitter.default,
+    ...config.splitter.categories[category],
+  };
+}
+
+export async function buildIndexDocuments(umsData, config) {
+  const documents = [];
+
+  for (const [category, paths] of Object.entries(umsData.UMS_Chatbot_Paths)) {
+    const pathDocs = paths.map(
+      (path) =>
+        new Document({ pageContent: path, metadata: { category, path } })
+    );
+
+    if (config.mode === "split") {
+      const splitter = new RecursiveCharacterTextSplitter(
+        splitterSettingsFor(config, category)
+      );
+      documents.push(...(await splitter.splitDocuments(pathDocs)));
+    } else {
+      documents.push(...pathDocs);
+    }
+  }
+
+  return documents;
+}
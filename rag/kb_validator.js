@@ -0,0 +1,283 @@
+import { parsePath, joinPath } from "./menu_tree.js";
+
+// ----------------- KNOWLEDGE BASE VALIDATION -----------------
+// Errors are structural problems that make the file unusable; the server
+// refuses to load data with errors. Warnings are content problems (duplicates,
+// inconsistent naming) that the content team should clean up.
+
+export const KNOWN_ROOTS = ["Login -> UmsHome"];
+
+// Parenthesised abbreviation at the end of a name: "Finance ... (FMS)"
+const ABBREVIATION = /\(([A-Za-z]{2,})\)\s*$/;
+
+function normalizeName(name) {
+  return name
+    .replace(ABBREVIATION, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function words(name) {
+  return normalizeName(name).split(" ").filter(Boolean);
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const current = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+// "Duty Leave" vs "Duty Leave Request", or a one/two-letter typo
+function isNearDuplicate(a, b) {
+  const wordsA = words(a);
+  const wordsB = words(b);
+  const [shorter, longer] =
+    wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+
+  if (shorter.length > 0 && shorter.every((word, i) => longer[i] === word)) {
+    return true;
+  }
+
+  const normA = wordsA.join(" ");
+  const normB = wordsB.join(" ");
+  return (
+    Math.min(normA.length, normB.length) > 5 && editDistance(normA, normB) <= 2
+  );
+}
+
+function mentionsCategory(category, segments) {
+  const target = normalizeName(category);
+  const targetWords = new Set(target.split(" "));
+  const abbreviation = category.match(ABBREVIATION)?.[1].toLowerCase();
+
+  return segments.some((segment) => {
+    const name = normalizeName(segment);
+    if (name === target || name === abbreviation) return true;
+    // Same words in another order: "Password Change" / "Change Password"
+    const segmentWords = name.split(" ");
+    return (
+      segmentWords.length === targetWords.size &&
+      segmentWords.every((word) => targetWords.has(word))
+    );
+  });
+}
+
+export function validateKnowledgeBase(umsData, { roots = KNOWN_ROOTS } = {}) {
+  const errors = [];
+  const warnings = [];
+  const error = (code, message, details = {}) =>
+    errors.push({ code, message, ...details });
+  const warn = (code, message, details = {}) =>
+    warnings.push({ code, message, ...details });
+
+  // ---- Structure ----
+  if (!umsData || typeof umsData !== "object" || Array.isArray(umsData)) {
+    error("invalid-root", "Knowledge base must be a JSON object.");
+    return { errors, warnings };
+  }
+  const categories = umsData.UMS_Chatbot_Paths;
+  if (
+    !categories ||
+    typeof categories !== "object" ||
+    Array.isArray(categories)
+  ) {
+    error(
+      "missing-paths",
+      'Expected an object under "UMS_Chatbot_Paths" mapping categories to path lists.'
+    );
+    return { errors, warnings };
+  }
+
+  const entries = [];
+  for (const [category, paths] of Object.entries(categories)) {
+    if (!category.trim()) {
+      error("empty-category", "Category names must not be empty.");
+    }
+    if (!Array.isArray(paths)) {
+      error(
+        "invalid-category",
+        `Category "${category}" must be an array of paths.`,
+        { category }
+      );
+      continue;
+    }
+    paths.forEach((path, index) => {
+      if (typeof path !== "string" || !path.trim()) {
+        error(
+          "invalid-path",
+          `Entry #${index + 1} in "${category}" must be a non-empty string.`,
+          { category }
+        );
+        return;
+      }
+      if (path.split("->").some((segment) => !segment.trim())) {
+        error("empty-segment", `Path has an empty menu step: "${path}"`, {
+          category,
+          path,
+        });
+        return;
+      }
+      entries.push({ category, path, segments: parsePath(path) });
+    });
+  }
+  if (errors.length > 0) return { errors, warnings };
+
+  // ---- Duplicates ----
+  const seen = new Map();
+  for (const entry of entries) {
+    const key = joinPath(entry.segments);
+    if (seen.has(key)) {
+      warn(
+        "duplicate-path",
+        `"${key}" is listed in both "${seen.get(key)}" and "${entry.category}".`,
+        { category: entry.category, path: entry.path }
+      );
+    } else {
+      seen.set(key, entry.category);
+    }
+  }
+
+  const byParent = new Map();
+  for (const entry of entries) {
+    const parent = joinPath(entry.segments.slice(0, -1));
+    if (!byParent.has(parent)) byParent.set(parent, new Set());
+    byParent.get(parent).add(entry.segments[entry.segments.length - 1]);
+  }
+  for (const [parent, leafSet] of byParent) {
+    const leaves = [...leafSet];
+    for (let i = 0; i < leaves.length; i += 1) {
+      for (let j = i + 1; j < leaves.length; j += 1) {
+        if (isNearDuplicate(leaves[i], leaves[j])) {
+          warn(
+            "near-duplicate",
+            `"${leaves[i]}" and "${leaves[j]}" under "${parent}" look like the same item.`,
+            { path: parent }
+          );
+        }
+      }
+    }
+  }
+
+  // ---- Roots ----
+  const rootSegments = roots.map(parsePath);
+  for (const entry of entries) {
+    const startsAtRoot = rootSegments.some((root) =>
+      root.every((segment, i) => entry.segments[i] === segment)
+    );
+    if (!startsAtRoot) {
+      warn(
+        "unknown-root",
+        `"${entry.path}" does not start at a known root (${roots.join(", ")}).`,
+        { category: entry.category, path: entry.path }
+      );
+    }
+  }
+
+  // ---- Category naming ----
+  for (const category of Object.keys(categories)) {
+    const categoryEntries = entries.filter((e) => e.category === category);
+    if (categoryEntries.length === 0) continue;
+
+    if (!categoryEntries.some((e) => mentionsCategory(category, e.segments))) {
+      warn(
+        "category-not-mentioned",
+        `None of the paths in "${category}" mention the category.`,
+        { category }
+      );
+    }
+  }
+
+  // A category that is itself a sub-menu of another category's menu, e.g.
+  // "Placement Portal" living under "Placement Services".
+  const categoryByName = new Map(
+    Object.keys(categories).map((category) => [
+      normalizeName(category),
+      category,
+    ])
+  );
+  const nested = new Set();
+  for (const entry of entries) {
+    entry.segments.forEach((segment, index) => {
+      const category = categoryByName.get(normalizeName(segment));
+      if (!category || nested.has(category)) return;
+      const parentCategory = entry.segments
+        .slice(0, index)
+        .map((ancestor) => categoryByName.get(normalizeName(ancestor)))
+        .find(Boolean);
+      if (parentCategory && parentCategory !== category) {
+        nested.add(category);
+        warn(
+          "nested-category",
+          `Category "${category}" is a sub-menu of category "${parentCategory}".`,
+          { category }
+        );
+      }
+    });
+  }
+
+  // ---- Spelling ----
+  // Node and category names that differ only in case, punctuation, "&"
+  // versus "and", or a missing "(ABBR)" suffix.
+  const spellings = new Map();
+  const addSpelling = (name) => {
+    const key = normalizeName(name);
+    if (!spellings.has(key)) spellings.set(key, new Set());
+    spellings.get(key).add(name);
+  };
+  Object.keys(categories).forEach(addSpelling);
+  entries.forEach((entry) => entry.segments.forEach(addSpelling));
+
+  // A bare abbreviation ("LMS") is a spelling of its long form
+  for (const names of [...spellings.values()]) {
+    for (const name of names) {
+      const abbreviation = name.match(ABBREVIATION)?.[1].toLowerCase();
+      if (abbreviation && spellings.has(abbreviation)) {
+        spellings.get(abbreviation).forEach((short) => names.add(short));
+        spellings.delete(abbreviation);
+      }
+    }
+  }
+
+  for (const names of spellings.values()) {
+    if (names.size > 1) {
+      warn(
+        "inconsistent-spelling",
+        `Same menu item spelled differently: ${[...names]
+          .map((name) => `"${name}"`)
+          .join(", ")}`
+      );
+    }
+  }
+
+  return { errors, warnings };
+}
+
+export function formatValidationReport({ errors, warnings }) {
+  const lines = [];
+  if (errors.length > 0) {
+    lines.push(`❌ ${errors.length} error(s):`);
+    errors.forEach((e) => lines.push(`   [${e.code}] ${e.message}`));
+  }
+  if (warnings.length > 0) {
+    lines.push(`⚠️  ${warnings.length} warning(s):`);
+    warnings.forEach((w) => lines.push(`   [${w.code}] ${w.message}`));
+  }
+  if (lines.length === 0) {
+    lines.push("✅ Knowledge base is valid.");
+  }
+  return lines.join("\n");
+}
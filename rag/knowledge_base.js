@@ -0,0 +1,40 @@
+import fs from "fs/promises";
+
+// ----------------- KNOWLEDGE BASE FILE -----------------
+export const KNOWLEDGE_BASE_FILE = "ums_paths.json";
+
+export async function readKnowledgeBase(file = KNOWLEDGE_BASE_FILE) {
+  const rawData = await fs.readFile(file, "utf-8");
+  return { rawData, umsData: JSON.parse(rawData) };
+}
+
+// Writes to a temp file first and renames it over the original, so a crash
+// mid-write can never leave a half-written ums_paths.json behind.
+export async function writeKnowledgeBase(umsData, file = KNOWLEDGE_BASE_FILE) {
+  const rawData = `${JSON.stringify(umsData, null, 2)}\n`;
+  const tempFile = `${file}.${process.pid}.tmp`;
+
+  await fs.writeFile(tempFile, rawData, "utf-8");
+  await fs.rename(tempFile, file);
+  return rawData;
+}
+
+// "category\0path" keys, used to work out which documents a change touched
+export function documentKeys(umsData) {
+  const keys = new Set();
+  for (const [category, paths] of Object.entries(umsData.UMS_Chatbot_Paths)) {
+    for (const path of paths) {
+      keys.add(documentKey(category, path));
+    }
+  }
+  return keys;
+}
+
+export function documentKey(category, path) {
+  return `${category}\u0000${path}`;
+}
+
+export function parseDocumentKey(key) {
+  const [category, path] = key.split("\u0000");
+  return { category, path };
+}
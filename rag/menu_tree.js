@@ -0,0 +1,162 @@
+// ----------------- UMS MENU TREE -----------------
+// Turns the flat "Login -> UmsHome -> X -> Y" strings from ums_paths.json
+// into a real menu tree, merging shared prefixes so every menu node exists
+// exactly once no matter how many paths pass through it.
+
+export const PATH_SEPARATOR = " -> ";
+
+// Paths that do not hang off this prefix are reported as orphans.
+const EXPECTED_ROOT = ["Login", "UmsHome"];
+
+export function parsePath(path) {
+  return String(path)
+    .split("->")
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+}
+
+export function joinPath(segments) {
+  return segments.join(PATH_SEPARATOR);
+}
+
+function createNode(name, segments) {
+  return {
+    name,
+    path: joinPath(segments),
+    depth: segments.length,
+    categories: new Set(),
+    children: new Map(),
+  };
+}
+
+export function buildMenuTree(umsData) {
+  const root = createNode("", []);
+  const issues = {
+    duplicatePaths: [],
+    repeatedNodeNames: [],
+    orphanPaths: [],
+  };
+  const seenPaths = new Map();
+
+  for (const [category, paths] of Object.entries(umsData.UMS_Chatbot_Paths)) {
+    for (const rawPath of paths) {
+      const segments = parsePath(rawPath);
+      if (segments.length === 0) continue;
+
+      let node = root;
+      node.categories.add(category);
+      segments.forEach((segment, index) => {
+        if (!node.children.has(segment)) {
+          node.children.set(
+            segment,
+            createNode(segment, segments.slice(0, index + 1))
+          );
+        }
+        node = node.children.get(segment);
+        node.categories.add(category);
+      });
+
+      const fullPath = joinPath(segments);
+      if (seenPaths.has(fullPath)) {
+        issues.duplicatePaths.push({
+          path: fullPath,
+          categories: [seenPaths.get(fullPath), category],
+        });
+      } else {
+        seenPaths.set(fullPath, category);
+      }
+
+      if (!EXPECTED_ROOT.every((name, i) => segments[i] === name)) {
+        issues.orphanPaths.push({ path: fullPath, category });
+      }
+    }
+  }
+
+  // Same menu label reachable under different parents, e.g. "Profile Update"
+  // under both "Profile" and "My Profile".
+  const nodesByName = new Map();
+  walk(root, (node) => {
+    if (node === root) return;
+    if (!nodesByName.has(node.name)) nodesByName.set(node.name, []);
+    nodesByName.get(node.name).push(node.path);
+  });
+  for (const [name, nodePaths] of nodesByName) {
+    if (nodePaths.length > 1) {
+      issues.repeatedNodeNames.push({ name, paths: nodePaths });
+    }
+  }
+
+  return { root, issues, stats: computeStats(root, seenPaths.size) };
+}
+
+function walk(node, visit) {
+  visit(node);
+  for (const child of node.children.values()) {
+    walk(child, visit);
+  }
+}
+
+function computeStats(root, totalPaths) {
+  let nodes = 0;
+  let leaves = 0;
+  let maxDepth = 0;
+  walk(root, (node) => {
+    if (node === root) return;
+    nodes += 1;
+    if (node.children.size === 0) leaves += 1;
+    maxDepth = Math.max(maxDepth, node.depth);
+  });
+  return { nodes, leaves, maxDepth, totalPaths };
+}
+
+// Resolves a menu path to tree nodes. A full path ("Login -> UmsHome ->
+// Residential Services") matches exactly; a partial path ("Residential
+// Services" or "Hostel Related Service -> Mess Food Feedback") matches every
+// node whose path ends with those segments. Comparison is case-insensitive.
+export function findNodes(tree, path) {
+  const wanted = parsePath(path).map((segment) => segment.toLowerCase());
+  if (wanted.length === 0) return [tree.root];
+
+  let node = tree.root;
+  for (const segment of wanted) {
+    node = findChild(node, segment);
+    if (!node) break;
+  }
+  if (node) return [node];
+
+  const matches = [];
+  walk(tree.root, (candidate) => {
+    const segments = parsePath(candidate.path).map((s) => s.toLowerCase());
+    if (segments.length < wanted.length) return;
+    const tail = segments.slice(segments.length - wanted.length);
+    if (tail.every((segment, i) => segment === wanted[i])) {
+      matches.push(candidate);
+    }
+  });
+  return matches;
+}
+
+function findChild(node, lowerName) {
+  for (const child of node.children.values()) {
+    if (child.name.toLowerCase() === lowerName) return child;
+  }
+  return null;
+}
+
+// Plain-JSON view of a node. `maxDepth` limits how many levels of children
+// are included (Infinity for the whole subtree, 0 for the node alone).
+export function serializeNode(node, maxDepth = Infinity) {
+  const serialized = {
+    name: node.name,
+    path: node.path,
+    categories: [...node.categories],
+    isLeaf: node.children.size === 0,
+    childCount: node.children.size,
+  };
+  if (maxDepth > 0 && node.children.size > 0) {
+    serialized.children = [...node.children.values()].map((child) =>
+      serializeNode(child, maxDepth - 1)
+    );
+  }
+  return serialized;
+}
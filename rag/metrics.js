@@ -0,0 +1,190 @@
+// ----------------- PROMETHEUS METRICS -----------------
+// Counters, gauges and histograms rendered in the Prometheus text format for
+// GET /metrics. Modules declare the metrics they own when loaded; the route
+// just calls renderMetrics().
+//
+// Shared with the backend: this file is the original and server/metrics.js
+// is a copy (the services deploy separately). Edit it here, then run
+// `npm run sync-shared` in server/; a server test fails while they differ.
+
+const metrics = [];
+
+// Seconds; covers a cached answer (~1ms) up to the 30s proxy timeout
+export const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30,
+];
+
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+// One series per distinct label combination, keyed in labelNames order
+function createSeries(labelNames, init) {
+  const series = new Map();
+  return {
+    get(labels = {}) {
+      const values = labelNames.map((name) => String(labels[name] ?? ""));
+      const key = JSON.stringify(values);
+      if (!series.has(key)) {
+        const named = Object.fromEntries(
+          labelNames.map((name, i) => [name, values[i]])
+        );
+        series.set(key, { labels: named, ...init() });
+      }
+      return series.get(key);
+    },
+    all: () => [...series.values()],
+  };
+}
+
+function register(metric) {
+  if (metrics.some((m) => m.name === metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  metrics.push(metric);
+  return metric;
+}
+
+export function counter({ name, help, labelNames = [] }) {
+  const series = createSeries(labelNames, () => ({ value: 0 }));
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels, by = 1) {
+      series.get(labels).value += by;
+    },
+    lines: () =>
+      series.all().map((s) => `${name}${formatLabels(s.labels)} ${s.value}`),
+  });
+}
+
+// `collect` (optional) is called on every scrape to read the current value,
+// for numbers that already live elsewhere.
+export function gauge({ name, help, labelNames = [], collect = null }) {
+  const series = createSeries(labelNames, () => ({ value: 0 }));
+  return register({
+    name,
+    help,
+    type: "gauge",
+    set(labels, value) {
+      series.get(labels).value = value;
+    },
+    lines: () => {
+      if (collect) return [`${name} ${Number(collect()) || 0}`];
+      return series
+        .all()
+        .map((s) => `${name}${formatLabels(s.labels)} ${s.value}`);
+    },
+  });
+}
+
+export function histogram({
+  name,
+  help,
+  labelNames = [],
+  buckets = DEFAULT_BUCKETS,
+}) {
+  const series = createSeries(labelNames, () => ({
+    counts: buckets.map(() => 0),
+    sum: 0,
+    count: 0,
+  }));
+
+  const observe = (labels, seconds) => {
+    const s = series.get(labels);
+    buckets.forEach((le, i) => {
+      if (seconds <= le) s.counts[i] += 1;
+    });
+    s.sum += seconds;
+    s.count += 1;
+  };
+
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe,
+    // Returns a function that records the time elapsed since startTimer()
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) =>
+        observe(
+          { ...labels, ...extraLabels },
+          Number(process.hrtime.bigint() - start) / 1e9
+        );
+    },
+    lines: () =>
+      series
+        .all()
+        .flatMap((s) => [
+          ...buckets.map(
+            (le, i) =>
+              `${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`
+          ),
+          `${name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${s.count}`,
+          `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+          `${name}_count${formatLabels(s.labels)} ${s.count}`,
+        ]),
+  });
+}
+
+export function renderMetrics() {
+  return `${metrics
+    .map((m) =>
+      [
+        `# HELP ${m.name} ${m.help}`,
+        `# TYPE ${m.name} ${m.type}`,
+        ...m.lines(),
+      ].join("\n")
+    )
+    .join("\n")}\n`;
+}
+
+// ----------------- HTTP METRICS -----------------
+const httpRequests = counter({
+  name: "http_requests_total",
+  help: "HTTP requests handled, by route and status code.",
+  labelNames: ["method", "route", "status"],
+});
+
+const httpDuration = histogram({
+  name: "http_request_duration_seconds",
+  help: "Time to finish an HTTP response, by route.",
+  labelNames: ["method", "route"],
+});
+
+// The route pattern ("/api/session/:sessionId"), never the raw URL, so ids
+// and query strings don't create a series each
+function routeLabel(req) {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  return req.baseUrl || "unmatched";
+}
+
+// Express middleware counting and timing every request
+export function httpMetrics() {
+  return (req, res, next) => {
+    const stopTimer = httpDuration.startTimer();
+    res.on("finish", () => {
+      const route = routeLabel(req);
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      stopTimer({ method: req.method, route });
+    });
+    next();
+  };
+}
+
+// GET /metrics handler
+export function metricsHandler(req, res) {
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(renderMetrics());
+}
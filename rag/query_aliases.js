@@ -0,0 +1,115 @@
+import fs from "fs/promises";
+
+// ----------------- QUERY ALIASES -----------------
+// Students write "FMS", "hostel" or "wifi"; the knowledge base says "Finance
+// Management System (FMS)", "Residential Services" and "WiFi Password".
+// Before retrieval, every alias found in the question is expanded by
+// appending what it stands for, so both spellings reach the embeddings.
+//
+// Aliases come from two places:
+//   - seeded from the knowledge base: every "Full Name (ABBR)" in a category
+//     or menu step makes "abbr" an alias of "Full Name"
+//   - aliases.json, edited by hand: { "alias": ["expansion", ...] }. Entries
+//     add to the seeded ones; an empty list removes a seeded alias.
+//
+// Aliases are reloaded on startup and whenever the knowledge base is edited
+// through the admin API.
+
+export const ALIASES_FILE = "aliases.json";
+
+// "Finance Management System (FMS)" -> name "Finance Management System",
+// abbreviation "FMS". Parentheses that aren't an all-caps abbreviation,
+// like "(Day Scholar)", are ignored.
+const ABBREVIATION = /([A-Za-z][\w&.,' -]*?)\s*\(([A-Z][A-Z&]{1,7})\)/g;
+
+const normalizeAlias = (alias) => alias.trim().toLowerCase();
+
+function addAlias(aliases, alias, expansion) {
+  const key = normalizeAlias(alias);
+  if (!key || !expansion) return;
+  if (!aliases.has(key)) aliases.set(key, new Set());
+  aliases.get(key).add(expansion.trim());
+}
+
+export function seedAliases(umsData) {
+  const aliases = new Map();
+  const names = new Set();
+  for (const [category, paths] of Object.entries(umsData.UMS_Chatbot_Paths)) {
+    names.add(category);
+    for (const path of paths) {
+      for (const step of path.split("->")) names.add(step.trim());
+    }
+  }
+
+  for (const name of names) {
+    for (const [, fullName, abbreviation] of name.matchAll(ABBREVIATION)) {
+      addAlias(aliases, abbreviation, fullName);
+    }
+  }
+  return aliases;
+}
+
+// Reads aliases.json; a missing file just means no hand-written aliases
+export async function readCustomAliases(file = ALIASES_FILE) {
+  let custom = {};
+  try {
+    custom = JSON.parse(await fs.readFile(file, "utf-8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  if (!custom || typeof custom !== "object" || Array.isArray(custom)) {
+    throw new Error(`${file} must be an object of alias -> expansions`);
+  }
+  for (const [alias, expansions] of Object.entries(custom)) {
+    const list = Array.isArray(expansions) ? expansions : [expansions];
+    if (!list.every((expansion) => typeof expansion === "string")) {
+      throw new Error(
+        `${file}: expansions for "${alias}" must be a string or a list of strings`
+      );
+    }
+  }
+  return custom;
+}
+
+// Seeded aliases merged with aliases.json, as alias -> [expansions]
+export async function loadAliases(umsData, file = ALIASES_FILE) {
+  const aliases = seedAliases(umsData);
+
+  for (const [alias, expansions] of Object.entries(
+    await readCustomAliases(file)
+  )) {
+    const list = Array.isArray(expansions) ? expansions : [expansions];
+    if (list.length === 0) {
+      aliases.delete(normalizeAlias(alias));
+      continue;
+    }
+    for (const expansion of list) addAlias(aliases, alias, expansion);
+  }
+
+  return new Map(
+    [...aliases].map(([alias, expansions]) => [alias, [...expansions]])
+  );
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Appends the expansion of every alias that appears in the question as a
+// whole word, skipping expansions the question already contains:
+//   "fms fee receipt" -> "fms fee receipt (Finance Management System)"
+export function expandQuery(question, aliases) {
+  if (!aliases || aliases.size === 0) return question;
+
+  const lower = question.toLowerCase();
+  const additions = new Set();
+  for (const [alias, expansions] of aliases) {
+    const pattern = new RegExp(`(^|[^\\w])${escapeRegExp(alias)}($|[^\\w])`);
+    if (!pattern.test(lower)) continue;
+    for (const expansion of expansions) {
+      if (!lower.includes(expansion.toLowerCase())) additions.add(expansion);
+    }
+  }
+
+  if (additions.size === 0) return question;
+  return `${question} (${[...additions].join(", ")})`;
+}
@@ -0,0 +1,119 @@
+import { logger } from "./logger.js";
+
+// ----------------- FOLLOW-UP REWRITING -----------------
+// Turns a follow-up like "and for the summer term?" into a question that
+// stands on its own, using the previous turns of the conversation, so that
+// retrieval has something to match. QUERY_REWRITING picks how:
+//   "heuristic" - splice the previous question/topic in locally (default)
+//   "llm"       - ask the answer-synthesis chat model to condense it,
+//                 falling back to the heuristic if there is no model
+//   "off"       - always retrieve with the question as asked
+export const REWRITE_MODES = ["heuristic", "llm", "off"];
+
+// Turns the server may send; older ones are ignored
+export const MAX_HISTORY_TURNS = 6;
+
+// "and for ...", "what about ...", "same for ..."
+const CONTINUATION =
+  /^(?:and|also|but|or|then|so|what about|how about|same for|same with)\b[\s,]*/i;
+// Words that point back at something said earlier
+const REFERENCE = /\b(?:it|its|that|this|those|these|them)\b/i;
+// Follow-ups are short; long questions stand on their own
+const MAX_FOLLOW_UP_WORDS = 8;
+
+const REWRITE_PROMPT = `You rewrite follow-up questions from a university UMS portal chat.
+Given the conversation so far and a follow-up question, rewrite the follow-up as one standalone question that names what it refers to.
+If the follow-up already stands on its own, return it unchanged.
+Reply with the question only.`;
+
+export function resolveRewriteMode(mode = process.env.QUERY_REWRITING) {
+  const selected = mode || "heuristic";
+  if (!REWRITE_MODES.includes(selected)) {
+    throw new Error(
+      `Unknown QUERY_REWRITING "${selected}". Expected one of: ${REWRITE_MODES.join(", ")}`
+    );
+  }
+  return selected;
+}
+
+// Keeps the well-formed turns of a client-supplied history, newest last
+export function sanitizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+  return history
+    .filter(
+      (turn) =>
+        turn && typeof turn.question === "string" && turn.question.trim()
+    )
+    .slice(-MAX_HISTORY_TURNS)
+    .map((turn) => ({
+      question: turn.question.trim(),
+      rewrittenQuestion:
+        typeof turn.rewrittenQuestion === "string"
+          ? turn.rewrittenQuestion.trim()
+          : undefined,
+      answer: typeof turn.answer === "string" ? turn.answer : "",
+      category: typeof turn.category === "string" ? turn.category : null,
+    }));
+}
+
+export function isFollowUp(question) {
+  const text = question.trim();
+  if (text.split(/\s+/).length > MAX_FOLLOW_UP_WORDS) return false;
+  return CONTINUATION.test(text) || REFERENCE.test(text);
+}
+
+function heuristicRewrite(question, previous) {
+  const text = question.trim();
+  const topic = previous.rewrittenQuestion || previous.question;
+
+  // "and for the summer term?" -> "<previous question> for the summer term"
+  if (CONTINUATION.test(text)) {
+    const rest = text.replace(CONTINUATION, "").replace(/[?.!]+$/, "");
+    return `${topic.replace(/[?.!]+$/, "")} ${rest}`.trim();
+  }
+
+  // "where do I pay for it?" -> "where do I pay for <previous category>?"
+  return text.replace(REFERENCE, previous.category || topic);
+}
+
+async function llmRewrite(question, history, chatModel) {
+  const transcript = history
+    .map(
+      (turn) =>
+        `Student: ${turn.rewrittenQuestion || turn.question}\nAssistant: ${turn.answer}`
+    )
+    .join("\n");
+
+  const reply = await chatModel.generate([
+    { role: "system", content: REWRITE_PROMPT },
+    {
+      role: "user",
+      content: `Conversation:\n${transcript}\n\nFollow-up: ${question}`,
+    },
+  ]);
+  const rewritten = typeof reply === "string" ? reply.trim() : "";
+  // A multi-line reply is an answer, not a question
+  return rewritten && !rewritten.includes("\n") ? rewritten : null;
+}
+
+// Resolves to the question to retrieve with. `history` is sanitized turns,
+// oldest first.
+export async function rewriteQuestion({
+  question,
+  history,
+  mode = "heuristic",
+  chatModel = null,
+}) {
+  const previous = history[history.length - 1];
+  if (mode === "off" || !previous || !isFollowUp(question)) return question;
+
+  if (mode === "llm" && chatModel) {
+    try {
+      const rewritten = await llmRewrite(question, history, chatModel);
+      if (rewritten) return rewritten;
+    } catch (error) {
+      logger.warn("follow-up rewriting failed", { error });
+    }
+  }
+  return heuristicRewrite(question, previous);
+}
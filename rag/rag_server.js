@@ -1,11 +1,57 @@
 import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import fs from "fs/promises";
-import { OpenAIEmbeddings } from "@langchain/openai";
 import { FaissStore } from "@langchain/community/vectorstores/faiss";
-import { RecursiveCharacterTextSplitter } from "@langchain/textsplitters";
-import { Document } from "@langchain/core/documents";
+import {
+  PATH_SEPARATOR,
+  buildMenuTree,
+  findNodes,
+  parsePath,
+  serializeNode,
+} from "./menu_tree.js";
+import { retrievePaths } from "./retrieval.js";
+import { buildIndexDocuments, loadIndexConfig } from "./indexing.js";
+import { createEmbeddings, resolveEmbeddingsProvider } from "./embeddings.js";
+import {
+  computeIndexHash,
+  loadSavedIndex,
+  saveIndex,
+  versionFromHash,
+} from "./index_store.js";
+import { readKnowledgeBase } from "./knowledge_base.js";
+import { applyKnowledgeBaseEdit } from "./incremental_index.js";
+import { AdminError, createAdminRouter } from "./admin_routes.js";
+import { createChatModel } from "./chat_models.js";
+import {
+  SYNTHESIS_TOP_K,
+  streamSynthesizedAnswer,
+  synthesizeAnswer,
+} from "./answer_synthesis.js";
+import {
+  formatValidationReport,
+  validateKnowledgeBase,
+} from "./kb_validator.js";
+import { CLARIFY_ANSWERS, assessConfidence } from "./confidence.js";
+import {
+  resolveRewriteMode,
+  rewriteQuestion,
+  sanitizeHistory,
+} from "./query_rewriter.js";
+import {
+  keepRawBody,
+  loadServiceAuthConfig,
+  requireServiceAuth,
+} from "./service_auth.js";
+import { loadAliases } from "./query_aliases.js";
+import {
+  DEFAULT_SUGGESTION_LIMIT,
+  MAX_SUGGESTION_LIMIT,
+  buildSuggestionIndex,
+  starterSuggestions,
+  suggest,
+} from "./suggestions.js";
+import { logger, requestLogger } from "./logger.js";
+import { gauge, httpMetrics, metricsHandler } from "./metrics.js";
 
 const app = express();
 const PORT = process.env.PORT || 8000;
@@ -24,75 +70,367 @@ app.use(
       if (!origin || allowed.includes(origin)) {
         callback(null, true);
       } else {
-        console.log("❌ Blocked by RAG CORS:", origin);
+        logger.warn("blocked by RAG CORS", { origin });
         callback(new Error("Not allowed by CORS"));
       }
     },
     credentials: true,
-    methods: ["GET", "POST", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
   })
 );
 
-app.use(express.json());
+app.use(express.json({ verify: keepRawBody }));
+
+// Reuses the backend's X-Request-Id, so one id follows a question through
+// both services' logs
+app.use(requestLogger(logger));
+app.use(httpMetrics());
+
+// ----------------- SERVICE AUTH -----------------
+// CORS only stops browsers. Everything the backend calls must also carry its
+// signature (see service_auth.js); admin routes keep their ADMIN_TOKEN check.
+const serviceAuthConfig = loadServiceAuthConfig();
+app.use(
+  ["/api/query", "/api/menu-tree", "/api/suggest", "/health"],
+  requireServiceAuth(serviceAuthConfig)
+);
 
 let vectorstore = null;
 let totalDocuments = 0;
+let menuTree = null;
+let suggestionIndex = null;
+let indexMode = null;
+let embeddingsProvider = null;
+let indexInfo = null;
+let knowledgeBase = null;
+let indexConfig = null;
+let chatModel = null;
+let rewriteMode = null;
+let aliases = null;
 
 // ----------------- LOAD VECTORSTORE -----------------
 async function initializeRAG() {
   try {
-    console.log("🔄 Loading knowledge base...");
+    logger.info("loading knowledge base");
 
-    const rawData = await fs.readFile("ums_paths.json", "utf-8");
-    const umsData = JSON.parse(rawData);
+    const { rawData, umsData } = await readKnowledgeBase();
 
-    const documents = [];
-    for (const [category, paths] of Object.entries(umsData.UMS_Chatbot_Paths)) {
-      documents.push(...paths);
+    const validation = validateKnowledgeBase(umsData);
+    if (validation.errors.length > 0) {
+      logger.error("knowledge base is invalid", {
+        report: formatValidationReport(validation),
+      });
+      throw new Error("ums_paths.json is malformed, refusing to load it");
     }
+    if (validation.warnings.length > 0) {
+      logger.warn('knowledge base has warnings, run "npm run validate"', {
+        warnings: validation.warnings.length,
+      });
+    }
+    knowledgeBase = umsData;
 
-    totalDocuments = documents.length;
-    console.log(`✅ Total documents found: ${totalDocuments}`);
-
-    const splitter = new RecursiveCharacterTextSplitter({
-      chunkSize: 200,
-      chunkOverlap: 20,
+    menuTree = buildMenuTree(umsData);
+    logger.info("menu tree built", {
+      nodes: menuTree.stats.nodes,
+      leaves: menuTree.stats.leaves,
     });
+    suggestionIndex = buildSuggestionIndex(umsData);
+
+    aliases = await loadAliases(umsData);
+    logger.info("query aliases loaded", { aliases: aliases.size });
+
+    indexConfig = await loadIndexConfig();
+    indexMode = indexConfig.mode;
 
-    const langchainDocs = documents.map(
-      (text) => new Document({ pageContent: text })
-    );
-    const splitDocs = await splitter.splitDocuments(langchainDocs);
+    const indexDocs = await buildIndexDocuments(umsData, indexConfig);
 
-    const embeddings = new OpenAIEmbeddings({
-      openAIApiKey: process.env.OPENAI_API_KEY,
+    totalDocuments = Object.values(umsData.UMS_Chatbot_Paths).flat().length;
+    logger.info("documents loaded", {
+      totalDocuments,
+      indexMode,
+      chunks: indexDocs.length,
     });
 
-    vectorstore = await FaissStore.fromDocuments(splitDocs, embeddings);
+    embeddingsProvider = resolveEmbeddingsProvider();
+    const hashFor = (provider) =>
+      computeIndexHash({
+        rawData,
+        indexConfig,
+        embeddingsModel: createEmbeddings(provider).model,
+      });
+
+    let saved = null;
+    try {
+      saved = await loadSavedIndex(hashFor(embeddingsProvider));
+    } catch (error) {
+      logger.warn("could not load saved index", { error });
+    }
+
+    if (saved) {
+      vectorstore = saved.vectorstore;
+      indexInfo = { ...saved.meta, loadedFromDisk: true };
+      logger.info("loaded saved index", { version: indexInfo.version });
+    } else {
+      try {
+        vectorstore = await FaissStore.fromDocuments(
+          indexDocs,
+          createEmbeddings(embeddingsProvider)
+        );
+      } catch (error) {
+        if (embeddingsProvider === "local") throw error;
+
+        // Stay up without OpenAI (no key, no network, quota exhausted)
+        logger.warn("embeddings failed, falling back to local embeddings", {
+          provider: embeddingsProvider,
+          error,
+        });
+        embeddingsProvider = "local";
+        vectorstore = await FaissStore.fromDocuments(
+          indexDocs,
+          createEmbeddings(embeddingsProvider)
+        );
+      }
+
+      const hash = hashFor(embeddingsProvider);
+      try {
+        indexInfo = await saveIndex(vectorstore, {
+          hash,
+          provider: embeddingsProvider,
+        });
+        logger.info("saved index", { version: indexInfo.version });
+      } catch (error) {
+        // A read-only disk only costs us the next cold start
+        logger.warn("could not save index", { error });
+        indexInfo = {
+          version: versionFromHash(hash),
+          builtAt: new Date().toISOString(),
+        };
+      }
+      indexInfo = { ...indexInfo, loadedFromDisk: false };
+    }
+
+    try {
+      chatModel = createChatModel();
+    } catch (error) {
+      // Retrieval still works without generation
+      logger.warn("answer synthesis disabled", { error });
+    }
+
+    rewriteMode = resolveRewriteMode();
 
-    console.log("✅ Vector store ready.");
+    logger.info("vector store ready", {
+      embeddingsProvider,
+      answerSynthesis: chatModel?.name ?? "off",
+      queryRewriting: rewriteMode,
+    });
   } catch (error) {
-    console.error("❌ Error:", error.message);
+    logger.error("could not initialize RAG", { error });
     process.exit(1);
   }
 }
 
+// ----------------- KNOWLEDGE BASE UPDATES -----------------
+// Edits are applied one at a time so two admins can't interleave writes.
+let pendingUpdate = Promise.resolve();
+
+function updateKnowledgeBase(mutate) {
+  const update = pendingUpdate.then(() => applyKnowledgeBaseChange(mutate));
+  pendingUpdate = update.catch(() => {});
+  return update;
+}
+
+async function applyKnowledgeBaseChange(mutate) {
+  if (!vectorstore) {
+    throw new AdminError(503, "Vector store not ready.");
+  }
+
+  const nextData = structuredClone(knowledgeBase);
+  mutate(nextData);
+
+  const validation = validateKnowledgeBase(nextData);
+  if (validation.errors.length > 0) {
+    throw new AdminError(400, formatValidationReport(validation));
+  }
+  // Report only the warnings this change introduced
+  const existingWarnings = new Set(
+    validateKnowledgeBase(knowledgeBase).warnings.map((w) => w.message)
+  );
+  const newWarnings = validation.warnings
+    .map((w) => w.message)
+    .filter((message) => !existingWarnings.has(message));
+
+  const { rawData, added, removed } = await applyKnowledgeBaseEdit({
+    vectorstore,
+    indexConfig,
+    current: knowledgeBase,
+    next: nextData,
+  });
+
+  knowledgeBase = nextData;
+  menuTree = buildMenuTree(nextData);
+  suggestionIndex = buildSuggestionIndex(nextData);
+  totalDocuments = Object.values(nextData.UMS_Chatbot_Paths).flat().length;
+
+  // New categories may bring new abbreviations; aliases.json edits are
+  // picked up here too
+  try {
+    aliases = await loadAliases(nextData);
+  } catch (error) {
+    logger.warn("could not reload query aliases, keeping the old ones", {
+      error,
+    });
+  }
+
+  const hash = computeIndexHash({
+    rawData,
+    indexConfig,
+    embeddingsModel: vectorstore.embeddings.model,
+  });
+  try {
+    indexInfo = {
+      ...(await saveIndex(vectorstore, { hash, provider: embeddingsProvider })),
+      loadedFromDisk: false,
+    };
+  } catch (error) {
+    logger.warn("could not save index", { error });
+    indexInfo = {
+      version: versionFromHash(hash),
+      builtAt: new Date().toISOString(),
+      loadedFromDisk: false,
+    };
+  }
+
+  logger.info("knowledge base updated", {
+    added,
+    removed,
+    version: indexInfo.version,
+  });
+
+  return {
+    reindexed: { added, removed },
+    newWarnings,
+    indexVersion: indexInfo.version,
+  };
+}
+
+app.use(
+  "/api/admin",
+  createAdminRouter({
+    getKnowledgeBase: () => {
+      if (!knowledgeBase) {
+        throw new AdminError(503, "Knowledge base not loaded.");
+      }
+      return knowledgeBase;
+    },
+    updateKnowledgeBase,
+  })
+);
+
 // ----------------- HEALTH CHECK -----------------
 app.get("/health", (req, res) => {
   res.json({
     status: "RAG server is running",
     vectorstore_ready: vectorstore !== null,
     total_documents: totalDocuments,
+    index_mode: indexMode,
+    embeddings_provider: embeddingsProvider,
+    answer_synthesis: chatModel?.name ?? "off",
+    query_rewriting: rewriteMode,
+    query_aliases: aliases?.size ?? 0,
+    index: indexInfo && {
+      version: indexInfo.version,
+      built_at: indexInfo.builtAt,
+      loaded_from_disk: indexInfo.loadedFromDisk,
+    },
   });
 });
 
-// ----------------- QUERY ENDPOINT -----------------
+// ----------------- PROMETHEUS METRICS -----------------
+// Not behind service auth: Prometheus can't sign requests, and nothing here
+// says more than /health would.
+gauge({
+  name: "rag_vector_store_ready",
+  help: "1 once the vector store is loaded and queries can be answered.",
+  collect: () => (vectorstore ? 1 : 0),
+});
+gauge({
+  name: "rag_vector_store_documents",
+  help: "Navigation paths in the vector store (total_documents in /health).",
+  collect: () => totalDocuments,
+});
+
+app.get("/metrics", metricsHandler);
+
+// ----------------- QUERY ENDPOINTS -----------------
+// Lets the backend's response cache notice knowledge-base edits
+app.use("/api/query", (req, res, next) => {
+  if (indexInfo) res.set("X-Index-Version", indexInfo.version);
+  next();
+});
+
+const NO_MATCH_ANSWER = "Sorry, no relevant answer found.";
+
+// Follow-ups are resolved against `history` (earlier turns of the same
+// conversation, sent by the backend) before anything is retrieved.
+async function resolveQuestion(question, history, log = logger) {
+  const rewritten = await rewriteQuestion({
+    question,
+    history: sanitizeHistory(history),
+    mode: rewriteMode,
+    chatModel,
+  });
+  if (rewritten !== question) {
+    log.info("rewrote follow-up", { question, rewritten });
+  }
+  return rewritten;
+}
+
+// Retrieval shared by /api/query and /api/query/stream. Resolves to the top
+// path plus the fields both endpoints report about the match, or null.
+// `clarify` is set when there is no clear winner to answer with.
+async function retrieve(question) {
+  // Generation gets a few more paths to work with than the raw answer
+  const { expandedQuestion, results } = await retrievePaths(
+    vectorstore,
+    question,
+    { k: chatModel ? SYNTHESIS_TOP_K : 3, aliases }
+  );
+  const [best, ...others] = results;
+  if (!best) return null;
+
+  const confidence = assessConfidence(results);
+
+  return {
+    best,
+    clarify: confidence.status !== "confident" && {
+      reason: confidence.status,
+      options: confidence.options,
+    },
+    match: {
+      category: best.category,
+      score: best.score,
+      alternatives: others.slice(0, 2).map(({ path, category, score }) => ({
+        path,
+        category,
+        score,
+      })),
+      sources: results.map(({ path, category, score }, i) => ({
+        id: i + 1,
+        path,
+        category,
+        score,
+      })),
+      ...(expandedQuestion !== question && { expandedQuestion }),
+    },
+  };
+}
+
 app.post("/api/query", async (req, res) => {
   try {
-    const { question } = req.body;
+    const { question: asked, history } = req.body;
 
-    if (!question) {
+    if (!asked) {
       return res.json({ answer: "❌ No question provided." });
     }
 
@@ -100,30 +438,247 @@ app.post("/api/query", async (req, res) => {
       return res.status(503).json({ answer: "❌ Vector store not ready." });
     }
 
-    const similarDocs = await vectorstore.similaritySearchWithScore(
-      question,
-      3
-    );
+    const question = await resolveQuestion(asked, history, req.log);
+    const rewrite = question !== asked && { rewrittenQuestion: question };
+    const retrieval = await retrieve(question);
+
+    if (!retrieval) {
+      return res.json({
+        answer: NO_MATCH_ANSWER,
+        category: null,
+        score: null,
+        alternatives: [],
+        sources: [],
+        ...rewrite,
+      });
+    }
+
+    const { best, match, clarify } = retrieval;
+    if (clarify) {
+      return res.json({
+        answer: CLARIFY_ANSWERS[clarify.reason],
+        ...match,
+        ...rewrite,
+        clarify,
+      });
+    }
 
-    let answer =
-      similarDocs.length > 0
-        ? similarDocs[0][0].pageContent
-        : "Sorry, no relevant answer found.";
+    let answer = best.path;
+    let synthesis = null;
+    if (chatModel) {
+      try {
+        synthesis = await synthesizeAnswer({
+          question,
+          sources: match.sources,
+          chatModel,
+        });
+        answer = synthesis.answer;
+      } catch (error) {
+        req.log.warn("answer synthesis failed", { error });
+      }
+    }
 
-    res.json({ answer });
+    res.json({
+      answer,
+      ...match,
+      ...rewrite,
+      ...(synthesis && {
+        synthesized: !synthesis.refused,
+        citations: synthesis.citations,
+      }),
+    });
   } catch (error) {
-    console.error("Error:", error);
+    req.log.error("query failed", { error, stack: error.stack });
     res.status(500).json({ answer: "❌ Error processing query." });
   }
 });
 
+// Server-Sent Events version of /api/query. Events, in order:
+//   meta  - { category, score, alternatives, sources, rewrittenQuestion?,
+//             expandedQuestion? }
+//           once retrieval is done
+//   token - { text } pieces of the answer (path steps, or generated text)
+//   done  - { answer, synthesized?, citations?, clarify? } the final, checked
+//           answer; with `clarify` it asks the student to pick an option
+//   error - { message } instead of done if something failed mid-stream
+app.post("/api/query/stream", async (req, res) => {
+  const { question: asked, history } = req.body;
+
+  if (!asked) {
+    return res.status(400).json({ answer: "❌ No question provided." });
+  }
+  if (!vectorstore) {
+    return res.status(503).json({ answer: "❌ Vector store not ready." });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // stop proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop generating (and paying for tokens) once the client goes away
+  const abort = new AbortController();
+  res.on("close", () => abort.abort());
+
+  try {
+    const question = await resolveQuestion(asked, history, req.log);
+    const rewrite = question !== asked && { rewrittenQuestion: question };
+    const retrieval = await retrieve(question);
+
+    if (!retrieval) {
+      send("meta", {
+        category: null,
+        score: null,
+        alternatives: [],
+        sources: [],
+        ...rewrite,
+      });
+      send("token", { text: NO_MATCH_ANSWER });
+      send("done", { answer: NO_MATCH_ANSWER });
+      return res.end();
+    }
+
+    const { best, match, clarify } = retrieval;
+    send("meta", { ...match, ...rewrite });
+
+    if (clarify) {
+      const answer = CLARIFY_ANSWERS[clarify.reason];
+      send("token", { text: answer });
+      send("done", { answer, clarify });
+    } else if (chatModel) {
+      const synthesis = await streamSynthesizedAnswer({
+        question,
+        sources: match.sources,
+        chatModel,
+        signal: abort.signal,
+        onToken: (text) => send("token", { text }),
+      });
+      send("done", {
+        answer: synthesis.answer,
+        synthesized: !synthesis.refused,
+        citations: synthesis.citations,
+      });
+    } else {
+      // Without generation, stream the path one menu step at a time
+      parsePath(best.path).forEach((step, i) => {
+        send("token", { text: i === 0 ? step : `${PATH_SEPARATOR}${step}` });
+      });
+      send("done", { answer: best.path });
+    }
+  } catch (error) {
+    if (!abort.signal.aborted) {
+      req.log.error("streamed query failed", { error, stack: error.stack });
+      send("error", { message: "❌ Error processing query." });
+    }
+  }
+  res.end();
+});
+
+// ----------------- MENU TREE -----------------
+app.get("/api/menu-tree", (req, res) => {
+  if (!menuTree) {
+    return res.status(503).json({ error: "Menu tree not ready." });
+  }
+
+  const depth =
+    req.query.depth !== undefined ? Number(req.query.depth) : Infinity;
+  if (Number.isNaN(depth) || depth < 0) {
+    return res
+      .status(400)
+      .json({ error: "depth must be a non-negative number." });
+  }
+
+  res.json({
+    tree: serializeNode(menuTree.root, depth),
+    stats: menuTree.stats,
+    issues: menuTree.issues,
+  });
+});
+
+app.get("/api/menu-tree/children", (req, res) => {
+  if (!menuTree) {
+    return res.status(503).json({ error: "Menu tree not ready." });
+  }
+
+  const { path } = req.query;
+  if (!path || typeof path !== "string") {
+    return res.status(400).json({ error: "path query parameter is required." });
+  }
+
+  const matches = findNodes(menuTree, path);
+  if (matches.length === 0) {
+    return res.status(404).json({ error: `No menu node found for "${path}".` });
+  }
+  if (matches.length > 1) {
+    return res.status(409).json({
+      error: `"${path}" matches more than one menu node. Use a longer path.`,
+      matches: matches.map((node) => node.path),
+    });
+  }
+
+  res.json(serializeNode(matches[0], 1));
+});
+
+// ----------------- SUGGESTIONS -----------------
+// Typeahead for the chat input. An empty `q` returns one starter question
+// per category (not limited by `limit`).
+const MAX_SUGGEST_QUERY_LENGTH = 200;
+
+app.get("/api/suggest", (req, res) => {
+  if (!suggestionIndex) {
+    return res.status(503).json({ error: "Suggestions not ready." });
+  }
+
+  const { q = "" } = req.query;
+  const limit =
+    req.query.limit !== undefined
+      ? Number(req.query.limit)
+      : DEFAULT_SUGGESTION_LIMIT;
+  if (typeof q !== "string" || q.length > MAX_SUGGEST_QUERY_LENGTH) {
+    return res.status(400).json({
+      error: `q must be a string of at most ${MAX_SUGGEST_QUERY_LENGTH} characters.`,
+    });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTION_LIMIT) {
+    return res.status(400).json({
+      error: `limit must be an integer from 1 to ${MAX_SUGGESTION_LIMIT}.`,
+    });
+  }
+
+  const query = q.trim();
+  res.json({
+    query,
+    suggestions: query
+      ? suggest(suggestionIndex, query, { aliases, limit })
+      : starterSuggestions(suggestionIndex),
+  });
+});
+
 // ----------------- START SERVER -----------------
 async function startServer() {
   await initializeRAG();
 
   app.listen(PORT, "0.0.0.0", () => {
-    console.log(`🚀 RAG Server: http://localhost:${PORT}`);
-    console.log(`📊 Health: http://localhost:${PORT}/health`);
+    logger.info("RAG server started", {
+      url: `http://localhost:${PORT}`,
+      health: `http://localhost:${PORT}/health`,
+    });
+    if (serviceAuthConfig.secrets.length === 0) {
+      logger.warn(
+        "SERVICE_AUTH_SECRET is not set: anyone who finds this URL can query it"
+      );
+    } else {
+      logger.info("service auth on", {
+        secrets: serviceAuthConfig.secrets.length,
+      });
+    }
   });
 }
 
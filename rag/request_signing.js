@@ -0,0 +1,70 @@
+import crypto from "crypto";
+
+// ----------------- REQUEST SIGNING -----------------
+// How the backend signs its calls to the RAG server with a shared secret:
+//
+//   X-Service-Timestamp  milliseconds since the epoch
+//   X-Service-Nonce      random, never reused
+//   X-Service-Signature  hex HMAC-SHA256 of the canonical string below
+//
+//   canonical = timestamp \n nonce \n METHOD \n path?query \n sha256(body)
+//
+// server/rag_client.js signs with it and service_auth.js verifies.
+//
+// Shared with the backend: this file is the original and
+// server/request_signing.js is a copy (the services deploy separately). Edit
+// it here, then run `npm run sync-shared` in server/; a server test fails
+// while they differ.
+
+export const SIGNATURE_HEADERS = {
+  timestamp: "x-service-timestamp",
+  nonce: "x-service-nonce",
+  signature: "x-service-signature",
+};
+
+// Clients don't agree on how to percent-encode a URL (axios sends "'" as
+// is, WHATWG URL turns it into %27), so both sides sign a canonical form:
+// every path segment, query key and value decoded and re-encoded with
+// encodeURIComponent. Parameter order is kept.
+export function canonicalPath(pathAndQuery) {
+  const [pathname, query = ""] = pathAndQuery.split(/\?(.*)/s);
+  const path = pathname
+    .split("/")
+    .map((segment) => encodeURIComponent(safeDecode(segment)))
+    .join("/");
+  if (!query) return path;
+  const params = [...new URLSearchParams(query)]
+    .map(
+      ([key, value]) =>
+        `${encodeURIComponent(key)}=${encodeURIComponent(value)}`
+    )
+    .join("&");
+  return `${path}?${params}`;
+}
+
+// Malformed escapes ("%zz") are kept as they are
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+export function canonicalRequest({ timestamp, nonce, method, path, body }) {
+  const bodyHash = crypto
+    .createHash("sha256")
+    .update(body || "")
+    .digest("hex");
+  return [
+    timestamp,
+    nonce,
+    method.toUpperCase(),
+    canonicalPath(path),
+    bodyHash,
+  ].join("\n");
+}
+
+// HMAC-SHA256 of the canonical string, as raw bytes
+export const sign = (secret, canonical) =>
+  crypto.createHmac("sha256", secret).update(canonical).digest();
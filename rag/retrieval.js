@@ -0,0 +1,63 @@
+import { histogram } from "./metrics.js";
+import { expandQuery } from "./query_aliases.js";
+
+// ----------------- RETRIEVAL -----------------
+// Shared by every endpoint that answers questions, so they all rank the
+// knowledge base the same way.
+
+const searchDuration = histogram({
+  name: "rag_similarity_search_duration_seconds",
+  help: "Time spent in similaritySearchWithScore, embedding the question included.",
+});
+
+// When paths are split into chunks several hits can belong to the same
+// path, so fetch extra candidates before collapsing them.
+const CHUNK_OVERSAMPLE = 4;
+
+// FAISS returns squared L2 distances. For unit-length embeddings this maps
+// onto cosine similarity (1 = identical, 0 = unrelated), which is easier to
+// read and to threshold than a raw distance.
+export function distanceToScore(distance) {
+  return Number(Math.max(0, 1 - distance / 2).toFixed(4));
+}
+
+// Returns up to `k` distinct navigation paths, best first. Whatever chunk
+// matched, `path` is always the complete original path.
+export async function searchPaths(vectorstore, question, k = 3) {
+  const stopTimer = searchDuration.startTimer();
+  const results = await vectorstore.similaritySearchWithScore(
+    question,
+    k * CHUNK_OVERSAMPLE
+  );
+  stopTimer();
+
+  const byPath = new Map();
+  for (const [doc, distance] of results) {
+    const path = doc.metadata.path ?? doc.pageContent;
+    const score = distanceToScore(distance);
+    if (!byPath.has(path) || byPath.get(path).score < score) {
+      byPath.set(path, {
+        path,
+        category: doc.metadata.category ?? null,
+        score,
+        matchedText: doc.pageContent,
+      });
+    }
+  }
+
+  return [...byPath.values()].sort((a, b) => b.score - a.score).slice(0, k);
+}
+
+// What /api/query searches with: aliases expanded first, then searchPaths().
+// Only the search sees the expanded text; answers are written for the
+// question as asked. The evaluation harness calls this too, so it measures
+// exactly what students get.
+export async function retrievePaths(
+  vectorstore,
+  question,
+  { k = 3, aliases = null } = {}
+) {
+  const expandedQuestion = expandQuery(question, aliases);
+  const results = await searchPaths(vectorstore, expandedQuestion, k);
+  return { expandedQuestion, results };
+}
@@ -0,0 +1,121 @@
+import crypto from "crypto";
+import { logger } from "./logger.js";
+import {
+  SIGNATURE_HEADERS,
+  canonicalRequest,
+  sign,
+} from "./request_signing.js";
+
+// ----------------- SERVICE-TO-SERVICE AUTH -----------------
+// Only the UMS backend (server/) may call this service. It signs every
+// request with a shared secret, as described in request_signing.js.
+// Requests outside the allowed clock skew, or reusing a nonce seen inside
+// that window, are rejected as replays.
+//
+//   SERVICE_AUTH_SECRET           current shared secret; unset = auth off
+//   SERVICE_AUTH_PREVIOUS_SECRETS comma-separated secrets still accepted
+//                                 while the backend switches over
+//   SERVICE_AUTH_MAX_SKEW_SECONDS allowed clock difference (default 300)
+//
+// Rotating without downtime: set the new secret here and move the old one to
+// SERVICE_AUTH_PREVIOUS_SECRETS, deploy, switch the backend to the new
+// secret, then drop the previous one.
+
+export function loadServiceAuthConfig() {
+  const current = process.env.SERVICE_AUTH_SECRET;
+  const previous = (process.env.SERVICE_AUTH_PREVIOUS_SECRETS || "")
+    .split(",")
+    .map((secret) => secret.trim())
+    .filter(Boolean);
+
+  return {
+    secrets: [current, ...previous].filter(Boolean),
+    maxSkewMs:
+      (Number(process.env.SERVICE_AUTH_MAX_SKEW_SECONDS) || 300) * 1000,
+  };
+}
+
+// Nonces are only kept as long as their timestamp would still be accepted;
+// anything older is rejected by the skew check anyway.
+function createNonceCache(ttlMs) {
+  const seen = new Map();
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of seen) {
+      if (expiresAt <= now) seen.delete(nonce);
+    }
+  }, ttlMs);
+  timer.unref();
+
+  // false if the nonce was already used
+  return (nonce) => {
+    if (seen.has(nonce)) return false;
+    seen.set(nonce, Date.now() + ttlMs);
+    return true;
+  };
+}
+
+// Returns null when the request is authentic, otherwise the reason it
+// was rejected.
+export function createRequestVerifier({ secrets, maxSkewMs }) {
+  // Nonces must outlive both sides of the skew window
+  const useNonce = createNonceCache(2 * maxSkewMs);
+
+  return (req) => {
+    const timestamp = req.get(SIGNATURE_HEADERS.timestamp);
+    const nonce = req.get(SIGNATURE_HEADERS.nonce);
+    const signature = req.get(SIGNATURE_HEADERS.signature);
+
+    if (!timestamp || !nonce || !signature) return "missing signature";
+    if (!/^[0-9a-f]{64}$/i.test(signature)) return "malformed signature";
+    if (Math.abs(Date.now() - Number(timestamp)) > maxSkewMs) {
+      return "timestamp outside allowed skew";
+    }
+
+    const canonical = canonicalRequest({
+      timestamp,
+      nonce,
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody,
+    });
+    const provided = Buffer.from(signature, "hex");
+    const valid = secrets.some((secret) =>
+      crypto.timingSafeEqual(sign(secret, canonical), provided)
+    );
+    if (!valid) return "bad signature";
+
+    // Checked last so forged requests can't burn real nonces
+    if (!useNonce(nonce)) return "replayed request";
+    return null;
+  };
+}
+
+// Express middleware. Without a configured secret every request passes, so
+// local development keeps working; startup logs a warning instead.
+export function requireServiceAuth(config = loadServiceAuthConfig()) {
+  if (config.secrets.length === 0) {
+    return (req, res, next) => next();
+  }
+
+  const verify = createRequestVerifier(config);
+  return (req, res, next) => {
+    const problem = verify(req);
+    if (problem) {
+      (req.log || logger).warn("rejected unsigned or invalid request", {
+        method: req.method,
+        path: req.originalUrl,
+        problem,
+      });
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    next();
+  };
+}
+
+// Keeps the exact request bytes for signature checks; pass as the `verify`
+// option of express.json().
+export function keepRawBody(req, res, buf) {
+  req.rawBody = buf.toString("utf-8");
+}
@@ -0,0 +1,3 @@
+// Name logged as `service` on every line; the one thing that differs between
+// the shared modules' two copies (see logger.js)
+export const SERVICE = "ums-rag";
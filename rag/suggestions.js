@@ -0,0 +1,242 @@
+import { parsePath } from "./menu_tree.js";
+
+// ----------------- QUESTION SUGGESTIONS -----------------
+// Typeahead for the chat input: what the student has typed so far is
+// matched against menu leaves (the pages paths end at) and categories. No
+// embeddings are involved, so it is cheap enough to run on every keystroke.
+// A typed word matches a word of the entry in one of three ways:
+//   prefix        "summ reg" -> "Summer Term Course Registration"
+//   abbreviation  a query alias ("fms", "hostel") or the entry's initials
+//                 ("scr" -> "Summer Term Course Registration")
+//   fuzzy         a typo or two away ("atendance" -> "Attendance")
+// At least half of the typed words have to match, so a full question still
+// finds the page its keywords point at.
+// Leaves are suggested with their full path as the query, so picking one
+// answers exactly that page.
+
+export const DEFAULT_SUGGESTION_LIMIT = 8;
+export const MAX_SUGGESTION_LIMIT = 20;
+
+// Words of a question that say nothing about which page is meant
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "can",
+  "check",
+  "do",
+  "find",
+  "for",
+  "get",
+  "how",
+  "i",
+  "in",
+  "is",
+  "it",
+  "know",
+  "me",
+  "my",
+  "need",
+  "of",
+  "on",
+  "please",
+  "see",
+  "show",
+  "the",
+  "to",
+  "want",
+  "what",
+  "where",
+  "which",
+  "with",
+]);
+
+// Stronger matches rank first; words of the page name count more than words
+// of its category
+const SCORES = { abbreviation: 4, prefix: 3, fuzzy: 1 };
+const CATEGORY_WORD_WEIGHT = 0.5;
+
+const words = (text) =>
+  String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !STOP_WORDS.has(word));
+
+const initialsOf = (text) =>
+  words(text)
+    .map((word) => word[0])
+    .join("");
+
+// Edit distance where swapping two neighbouring letters ("chnage") counts
+// as one typo, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (
+        beforePrevious &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Short words have to be typed right; longer ones may have a typo or two
+const allowedTypos = (word) =>
+  word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+
+function fuzzyMatches(typed, word) {
+  const max = allowedTypos(typed);
+  if (max === 0) return false;
+  // The last word may still be half typed, so compare against the start too
+  return (
+    editDistance(typed, word, max) <= max ||
+    (word.length > typed.length &&
+      editDistance(typed, word.slice(0, typed.length), max) <= max)
+  );
+}
+
+function entry(fields, label, categoryText) {
+  return {
+    ...fields,
+    label,
+    labelWords: words(label),
+    categoryWords: words(categoryText),
+    initials: initialsOf(label),
+    text: `${label} ${categoryText}`.toLowerCase(),
+  };
+}
+
+// A question about the category's first page, answered with exactly that
+// page
+const starterQuestion = (category, path, page) => ({
+  type: "starter",
+  label: `Where do I find ${page}?`,
+  query: path,
+  category,
+  path,
+});
+
+export function buildSuggestionIndex(umsData) {
+  const entries = [];
+  const starters = [];
+  for (const [category, paths] of Object.entries(umsData.UMS_Chatbot_Paths)) {
+    entries.push(
+      entry({ type: "category", query: category, category }, category, "")
+    );
+    let starter = null;
+    for (const path of paths) {
+      const steps = parsePath(path);
+      if (steps.length === 0) continue;
+      const page = steps[steps.length - 1];
+      entries.push(
+        entry({ type: "path", query: path, path, category }, page, category)
+      );
+      starter ??= starterQuestion(category, path, page);
+    }
+    if (starter) starters.push(starter);
+  }
+  return { entries, starters };
+}
+
+// How well one typed word matches an entry, or 0
+function scoreWord(typed, item, aliases) {
+  const expansions = aliases?.get(typed) || [];
+  if (
+    expansions.some((expansion) => item.text.includes(expansion.toLowerCase()))
+  ) {
+    return { score: SCORES.abbreviation, match: "abbreviation" };
+  }
+  if (typed.length >= 2 && typed === item.initials) {
+    return { score: SCORES.abbreviation, match: "abbreviation" };
+  }
+
+  let best = { score: 0, match: null };
+  for (const [list, weight] of [
+    [item.labelWords, 1],
+    [item.categoryWords, CATEGORY_WORD_WEIGHT],
+  ]) {
+    for (const word of list) {
+      let match = null;
+      if (word.startsWith(typed)) match = "prefix";
+      else if (fuzzyMatches(typed, word)) match = "fuzzy";
+      if (match && SCORES[match] * weight > best.score) {
+        best = { score: SCORES[match] * weight, match };
+      }
+    }
+  }
+  return best;
+}
+
+const MATCH_RANK = ["prefix", "abbreviation", "fuzzy"];
+
+// Best `limit` suggestions for the typed text, best first
+export function suggest(
+  index,
+  query,
+  { aliases = null, limit = DEFAULT_SUGGESTION_LIMIT } = {}
+) {
+  const typed = words(query);
+  if (typed.length === 0) return [];
+
+  const needed = Math.ceil(typed.length / 2);
+  const results = [];
+  for (const item of index.entries) {
+    let score = 0;
+    let matched = 0;
+    let weakest = "prefix";
+    for (const word of typed) {
+      const result = scoreWord(word, item, aliases);
+      if (result.score === 0) continue;
+      matched += 1;
+      score += result.score;
+      if (MATCH_RANK.indexOf(result.match) > MATCH_RANK.indexOf(weakest)) {
+        weakest = result.match;
+      }
+    }
+    if (matched >= needed) results.push({ item, score, match: weakest });
+  }
+
+  const seen = new Set();
+  return results
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        a.item.label.length - b.item.label.length ||
+        a.item.query.localeCompare(b.item.query)
+    )
+    .filter(({ item }) => !seen.has(item.query) && seen.add(item.query))
+    .slice(0, limit)
+    .map(({ item, score, match }) => ({
+      type: item.type,
+      label: item.label,
+      query: item.query,
+      category: item.category,
+      ...(item.path && { path: item.path }),
+      match,
+      score: Number((score / typed.length).toFixed(2)),
+    }));
+}
+
+// Shown before anything is typed: one starter question per category that
+// has any paths
+export const starterSuggestions = (index) => index.starters;
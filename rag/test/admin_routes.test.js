@@ -0,0 +1,221 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import express from "express";
+import { createAdminRouter } from "../admin_routes.js";
+
+const ADMIN_TOKEN = "test-admin-token";
+
+// The router in front of an in-memory knowledge base; updates apply the
+// mutation to a copy the way the RAG server does
+let knowledgeBase;
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use(
+    "/api/admin",
+    createAdminRouter({
+      getKnowledgeBase: () => knowledgeBase,
+      updateKnowledgeBase: async (mutate) => {
+        const next = structuredClone(knowledgeBase);
+        mutate(next);
+        knowledgeBase = next;
+        return { reindexed: { added: 0, removed: 0 } };
+      },
+    })
+  );
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+describe("admin API", () => {
+  let server;
+  let baseUrl;
+  const previousToken = process.env.ADMIN_TOKEN;
+
+  before(async () => {
+    server = await startServer();
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/admin`;
+  });
+  after(() => {
+    server.close();
+    if (previousToken === undefined) delete process.env.ADMIN_TOKEN;
+    else process.env.ADMIN_TOKEN = previousToken;
+  });
+  beforeEach(() => {
+    process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+    knowledgeBase = {
+      UMS_Chatbot_Paths: {
+        Finance: ["Login -> UmsHome -> Fee Receipts"],
+      },
+    };
+  });
+
+  async function request(method, path, body, token = ADMIN_TOKEN) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        "content-type": "application/json",
+        ...(token && { authorization: `Bearer ${token}` }),
+      },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  describe("authentication", () => {
+    it("is switched off without ADMIN_TOKEN", async () => {
+      delete process.env.ADMIN_TOKEN;
+      assert.equal((await request("GET", "/categories")).status, 503);
+    });
+
+    it("rejects a missing or wrong token", async () => {
+      assert.equal(
+        (await request("GET", "/categories", undefined, null)).status,
+        401
+      );
+      assert.equal(
+        (await request("GET", "/categories", undefined, "wrong")).status,
+        401
+      );
+    });
+  });
+
+  describe("categories", () => {
+    it("lists categories with their path counts", async () => {
+      const { status, body } = await request("GET", "/categories");
+      assert.equal(status, 200);
+      assert.deepEqual(body.categories, [{ name: "Finance", pathCount: 1 }]);
+    });
+
+    it("creates, renames and refuses duplicates", async () => {
+      assert.equal(
+        (await request("POST", "/categories", { name: "Hostel" })).status,
+        201
+      );
+      assert.equal(
+        (await request("POST", "/categories", { name: "Hostel" })).status,
+        409
+      );
+      assert.equal(
+        (await request("PUT", "/categories/Hostel", { name: "Finance" }))
+          .status,
+        409
+      );
+
+      const renamed = await request("PUT", "/categories/Finance", {
+        name: "Fees",
+      });
+      assert.equal(renamed.status, 200);
+      assert.deepEqual(Object.keys(knowledgeBase.UMS_Chatbot_Paths), [
+        "Fees",
+        "Hostel",
+      ]);
+    });
+
+    it("requires a name", async () => {
+      const { status, body } = await request("POST", "/categories", {
+        name: "  ",
+      });
+      assert.equal(status, 400);
+      assert.equal(body.error, "name is required.");
+    });
+
+    it("treats inherited property names as ordinary categories", async () => {
+      for (const name of ["constructor", "toString", "__proto__"]) {
+        const missing = await request(
+          "GET",
+          `/categories/${encodeURIComponent(name)}/paths`
+        );
+        assert.equal(missing.status, 404, name);
+        assert.equal(
+          (await request("PUT", `/categories/${name}`, { name: "X" })).status,
+          404,
+          name
+        );
+      }
+
+      assert.equal(
+        (await request("POST", "/categories", { name: "__proto__" })).status,
+        201
+      );
+      assert.ok(Object.hasOwn(knowledgeBase.UMS_Chatbot_Paths, "__proto__"));
+      assert.equal(
+        Object.getPrototypeOf(knowledgeBase.UMS_Chatbot_Paths),
+        Object.prototype
+      );
+
+      assert.equal(
+        (await request("POST", "/categories", { name: "constructor" })).status,
+        201
+      );
+      assert.deepEqual(
+        (await request("GET", "/categories/constructor/paths")).body,
+        { category: "constructor", paths: [] }
+      );
+    });
+  });
+
+  describe("paths", () => {
+    const category = "/categories/Finance/paths";
+
+    it("adds, edits and deletes paths", async () => {
+      const added = await request("POST", category, {
+        path: "Login -> UmsHome -> Fee Statement",
+      });
+      assert.equal(added.status, 201);
+      assert.deepEqual(added.body.reindexed, { added: 0, removed: 0 });
+
+      assert.equal(
+        (
+          await request("PUT", category, {
+            oldPath: "Login -> UmsHome -> Fee Statement",
+            path: "Login -> UmsHome -> Fees -> Fee Statement",
+          })
+        ).status,
+        200
+      );
+      assert.equal(
+        (
+          await request("DELETE", category, {
+            path: "Login -> UmsHome -> Fee Receipts",
+          })
+        ).status,
+        200
+      );
+
+      assert.deepEqual((await request("GET", category)).body.paths, [
+        "Login -> UmsHome -> Fees -> Fee Statement",
+      ]);
+    });
+
+    it("refuses duplicate and unknown paths", async () => {
+      assert.equal(
+        (
+          await request("POST", category, {
+            path: "Login -> UmsHome -> Fee Receipts",
+          })
+        ).status,
+        409
+      );
+      assert.equal(
+        (
+          await request("PUT", category, {
+            oldPath: "Login -> UmsHome -> Nowhere",
+            path: "Login -> UmsHome -> Somewhere",
+          })
+        ).status,
+        404
+      );
+      assert.equal(
+        (await request("DELETE", `${category}?path=Nowhere`)).status,
+        404
+      );
+      assert.equal(
+        (await request("POST", "/categories/Library/paths", { path: "x" }))
+          .status,
+        404
+      );
+    });
+  });
+});
@@ -0,0 +1,250 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  REFUSAL_ANSWER,
+  SYNTHESIS_MIN_SCORE,
+  buildSynthesisMessages,
+  checkCitations,
+  streamSynthesizedAnswer,
+  synthesizeAnswer,
+} from "../answer_synthesis.js";
+import { createChatModel, createStubChatModel } from "../chat_models.js";
+
+const relevant = SYNTHESIS_MIN_SCORE + 0.3;
+const irrelevant = SYNTHESIS_MIN_SCORE / 2;
+
+// Numbered retrieval results, the way /api/query hands them over
+const sources = [
+  {
+    id: 1,
+    path: "Login -> UmsHome -> Examination -> Admit Card",
+    category: "Examination",
+    score: relevant,
+  },
+  {
+    id: 2,
+    path: "Login -> UmsHome -> Examination -> Exam Schedule",
+    category: "Examination",
+    score: relevant,
+  },
+  {
+    id: 3,
+    path: "Login -> UmsHome -> Hostel -> Leave",
+    category: "Hostel",
+    score: irrelevant,
+  },
+];
+
+describe("synthesizeAnswer", () => {
+  it("answers from the retrieved paths and cites them", async () => {
+    const result = await synthesizeAnswer({
+      question: "Where do I download my admit card?",
+      sources,
+      chatModel: createStubChatModel(),
+    });
+    assert.deepEqual(result, {
+      answer:
+        "1. Go to Login -> UmsHome -> Examination -> Admit Card [1]\n" +
+        "2. Go to Login -> UmsHome -> Examination -> Exam Schedule [2]",
+      citations: [1, 2],
+      refused: false,
+    });
+  });
+
+  it("only shows the model sources above the minimum score", async (t) => {
+    const chatModel = createStubChatModel();
+    const generate = t.mock.method(chatModel, "generate");
+    await synthesizeAnswer({ question: "admit card", sources, chatModel });
+
+    const [messages] = generate.mock.calls[0].arguments;
+    assert.match(messages[1].content, /\[2\] Login -> UmsHome/);
+    assert.doesNotMatch(messages[1].content, /\[3\]/);
+  });
+
+  it("refuses without asking the model when nothing relevant was retrieved", async (t) => {
+    const chatModel = createStubChatModel();
+    const generate = t.mock.method(chatModel, "generate");
+    const result = await synthesizeAnswer({
+      question: "What's for lunch?",
+      sources: sources.filter((source) => source.score < SYNTHESIS_MIN_SCORE),
+      chatModel,
+    });
+    assert.deepEqual(result, {
+      answer: REFUSAL_ANSWER,
+      citations: [],
+      refused: true,
+    });
+    assert.equal(generate.mock.callCount(), 0);
+  });
+
+  it("refuses when the model answers NO_ANSWER", async () => {
+    const stub = createStubChatModel();
+    // The stub says NO_ANSWER when the prompt lists no paths
+    const chatModel = {
+      name: "stub",
+      generate: ([system]) => stub.generate([system]),
+    };
+    const result = await synthesizeAnswer({
+      question: "What's for lunch?",
+      sources,
+      chatModel,
+    });
+    assert.equal(result.answer, REFUSAL_ANSWER);
+    assert.equal(result.refused, true);
+  });
+
+  it("strips citations of paths outside the retrieved set", async () => {
+    const stub = createStubChatModel();
+    const chatModel = {
+      name: "stub",
+      generate: async (messages) =>
+        `${await stub.generate(messages)}\n3. Then open Library -> Books [3] [7]`,
+    };
+    const result = await synthesizeAnswer({
+      question: "admit card",
+      sources,
+      chatModel,
+    });
+    assert.equal(result.refused, false);
+    assert.deepEqual(result.citations, [1, 2]);
+    assert.doesNotMatch(result.answer, /\[3\]|\[7\]/);
+    assert.match(result.answer, /3\. Then open Library -> Books$/);
+  });
+
+  it("refuses an answer that cites nothing it was given", async () => {
+    const result = await synthesizeAnswer({
+      question: "admit card",
+      sources,
+      chatModel: {
+        name: "stub",
+        generate: async () => "Open the Library menu [9].",
+      },
+    });
+    assert.equal(result.answer, REFUSAL_ANSWER);
+    assert.equal(result.refused, true);
+  });
+
+  it("leaves the sources it was given untouched for the response", async () => {
+    const given = structuredClone(sources);
+    await synthesizeAnswer({
+      question: "admit card",
+      sources: given,
+      chatModel: createStubChatModel(),
+    });
+    assert.deepEqual(given, sources);
+  });
+});
+
+describe("streamSynthesizedAnswer", () => {
+  // Replays a fixed reply token by token, like a model would stream it
+  const streaming = (tokens) => ({
+    name: "stub",
+    async *stream() {
+      yield* tokens;
+    },
+  });
+
+  it("streams the stub's answer and resolves to the checked result", async () => {
+    const tokens = [];
+    const result = await streamSynthesizedAnswer({
+      question: "admit card",
+      sources,
+      chatModel: createStubChatModel(),
+      onToken: (token) => tokens.push(token),
+    });
+    assert.ok(tokens.length > 1);
+    assert.equal(tokens.join(""), result.answer);
+    assert.deepEqual(result.citations, [1, 2]);
+    assert.equal(result.refused, false);
+  });
+
+  it("never lets the NO_ANSWER marker reach the student", async () => {
+    const tokens = [];
+    const result = await streamSynthesizedAnswer({
+      question: "What's for lunch?",
+      sources,
+      chatModel: streaming(["NO", "_ANS", "WER"]),
+      onToken: (token) => tokens.push(token),
+    });
+    assert.deepEqual(tokens, [REFUSAL_ANSWER]);
+    assert.equal(result.refused, true);
+  });
+
+  it("releases held-back tokens once the reply is clearly an answer", async () => {
+    const tokens = [];
+    const result = await streamSynthesizedAnswer({
+      question: "admit card",
+      sources,
+      chatModel: streaming(["N", "ext, open Admit Card [1]", " or Books [7]"]),
+      onToken: (token) => tokens.push(token),
+    });
+    assert.deepEqual(tokens, ["Next, open Admit Card [1]", " or Books [7]"]);
+    // The streamed text is replaced by the checked answer
+    assert.equal(result.answer, "Next, open Admit Card [1] or Books");
+  });
+
+  it("refuses straight away when nothing relevant was retrieved", async () => {
+    const tokens = [];
+    const result = await streamSynthesizedAnswer({
+      question: "admit card",
+      sources: sources.slice(2),
+      chatModel: streaming(["never used"]),
+      onToken: (token) => tokens.push(token),
+    });
+    assert.deepEqual(tokens, [REFUSAL_ANSWER]);
+    assert.equal(result.refused, true);
+  });
+
+  it("stops the stub when the request is aborted", async () => {
+    const controller = new AbortController();
+    const tokens = [];
+    await streamSynthesizedAnswer({
+      question: "admit card",
+      sources,
+      chatModel: createStubChatModel(),
+      signal: controller.signal,
+      onToken: (token) => {
+        tokens.push(token);
+        controller.abort();
+      },
+    });
+    assert.equal(tokens.length, 1);
+  });
+});
+
+describe("checkCitations", () => {
+  it("keeps valid citations and reports them in order", () => {
+    assert.deepEqual(
+      checkCitations("Open [2] then [1], not [5]", sources.slice(0, 2)),
+      { text: "Open [2] then [1], not", citations: [1, 2] }
+    );
+  });
+});
+
+describe("buildSynthesisMessages", () => {
+  it("numbers the paths the way they are cited", () => {
+    const [system, user] = buildSynthesisMessages("admit card", sources);
+    assert.equal(system.role, "system");
+    assert.match(system.content, /NO_ANSWER/);
+    assert.equal(
+      user.content,
+      "Navigation paths:\n" +
+        "[1] Login -> UmsHome -> Examination -> Admit Card\n" +
+        "[2] Login -> UmsHome -> Examination -> Exam Schedule\n" +
+        "[3] Login -> UmsHome -> Hostel -> Leave\n\n" +
+        "Question: admit card"
+    );
+  });
+});
+
+describe("createChatModel", () => {
+  it("is off unless a provider is chosen", () => {
+    assert.equal(createChatModel(""), null);
+    assert.equal(createChatModel("off"), null);
+    assert.equal(createChatModel("stub").name, "stub");
+  });
+
+  it("rejects unknown providers", () => {
+    assert.throws(() => createChatModel("llama"), /Unknown ANSWER_SYNTHESIS/);
+  });
+});
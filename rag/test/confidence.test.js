@@ -0,0 +1,101 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { assessConfidence } from "../confidence.js";
+
+const options = { minScore: 0.3, margin: 0.03, maxOptions: 3 };
+
+const hit = (path, category, score) => ({ path, category, score });
+
+describe("assessConfidence", () => {
+  it("is confident about a clear winner", () => {
+    assert.deepEqual(
+      assessConfidence(
+        [
+          hit("Login -> UmsHome -> Fees", "Finance", 0.7),
+          hit("Login -> UmsHome -> Hostel", "Hostel", 0.4),
+        ],
+        options
+      ),
+      { status: "confident", options: [] }
+    );
+  });
+
+  it("doesn't mind near-ties inside one category", () => {
+    const { status } = assessConfidence(
+      [
+        hit("Login -> UmsHome -> Fees -> Receipt", "Finance", 0.61),
+        hit("Login -> UmsHome -> Fees -> Statement", "Finance", 0.6),
+        hit("Login -> UmsHome -> Hostel", "Hostel", 0.3),
+      ],
+      options
+    );
+    assert.equal(status, "confident");
+  });
+
+  it("offers one option per category when categories are near-tied", () => {
+    const result = assessConfidence(
+      [
+        hit("Login -> UmsHome -> Fees -> Hostel Fee", "Finance", 0.61),
+        hit("Login -> UmsHome -> Fees -> Mess Fee", "Finance", 0.6),
+        hit("Login -> UmsHome -> Hostel -> Fee Details", "Hostel", 0.59),
+        hit("Login -> UmsHome -> Exams", "Examination", 0.4),
+      ],
+      options
+    );
+    assert.equal(result.status, "ambiguous");
+    assert.deepEqual(result.options, [
+      {
+        label: "Finance",
+        query: "Login -> UmsHome -> Fees -> Hostel Fee",
+        path: "Login -> UmsHome -> Fees -> Hostel Fee",
+        category: "Finance",
+        score: 0.61,
+      },
+      {
+        label: "Hostel",
+        query: "Login -> UmsHome -> Hostel -> Fee Details",
+        path: "Login -> UmsHome -> Hostel -> Fee Details",
+        category: "Hostel",
+        score: 0.59,
+      },
+    ]);
+  });
+
+  it("suggests weak hits down to half the threshold", () => {
+    const result = assessConfidence(
+      [
+        hit("Login -> UmsHome -> Library", "Library", 0.25),
+        hit("Login -> UmsHome -> Fees", "Finance", 0.2),
+        hit("Login -> UmsHome -> Hostel", "Hostel", 0.1),
+      ],
+      options
+    );
+    assert.equal(result.status, "low");
+    assert.deepEqual(
+      result.options.map((option) => option.label),
+      ["Library", "Finance"]
+    );
+  });
+
+  it("has nothing to offer when every hit is far off", () => {
+    assert.deepEqual(
+      assessConfidence([hit("Login -> UmsHome", null, 0.05)], options),
+      { status: "none", options: [] }
+    );
+    assert.deepEqual(assessConfidence([], options), {
+      status: "none",
+      options: [],
+    });
+  });
+
+  it("labels uncategorised hits with their path and caps the options", () => {
+    const result = assessConfidence(
+      ["A", "B", "C", "D"].map((path) => hit(path, null, 0.2)),
+      options
+    );
+    assert.deepEqual(
+      result.options.map((option) => option.label),
+      ["A", "B", "C"]
+    );
+  });
+});
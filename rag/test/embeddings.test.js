@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import {
+  LocalTfidfEmbeddings,
+  createEmbeddings,
+  resolveEmbeddingsProvider,
+  tokenize,
+} from "../embeddings.js";
+
+const corpus = [
+  "Login -> UmsHome -> Fee Receipts",
+  "Login -> UmsHome -> Examination -> Admit Card",
+  "Login -> UmsHome -> Hostel -> Fee Details",
+];
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe("tokenize", () => {
+  it("drops stop words, folds plurals and adds word pairs", () => {
+    assert.deepEqual(tokenize("How do I get my fee receipts?"), [
+      "get",
+      "fee",
+      "receipt",
+      "get_fee",
+      "fee_receipt",
+    ]);
+    assert.deepEqual(tokenize("Activities"), ["activity"]);
+    assert.deepEqual(tokenize("Class"), ["class"]);
+  });
+});
+
+describe("LocalTfidfEmbeddings", () => {
+  it("learns the vocabulary on the first embedDocuments call", async () => {
+    const embeddings = new LocalTfidfEmbeddings({ dimensions: 64 });
+    const vectors = await embeddings.embedDocuments(corpus);
+    assert.equal(vectors.length, 3);
+    assert.equal(embeddings.documentCount, 3);
+    // Shared by every path, so worth less than a word only one path has
+    assert.ok(embeddings.idf.get("umshome") < embeddings.idf.get("admit"));
+  });
+
+  it("produces unit vectors that rank the closest path first", async () => {
+    const embeddings = new LocalTfidfEmbeddings({ dimensions: 256 });
+    const vectors = await embeddings.embedDocuments(corpus);
+    for (const vector of vectors) {
+      assert.ok(Math.abs(dot(vector, vector) - 1) < 1e-9);
+    }
+
+    const query = await embeddings.embedQuery("where is my fee receipt");
+    const scores = vectors.map((vector) => dot(query, vector));
+    assert.equal(scores.indexOf(Math.max(...scores)), 0);
+  });
+
+  it("gives a text with no known terms its own direction", async () => {
+    const embeddings = new LocalTfidfEmbeddings({ dimensions: 64 });
+    const [document] = await embeddings.embedDocuments(corpus);
+    const unknown = await embeddings.embedQuery("library books");
+    assert.equal(unknown[0], 1);
+    assert.equal(dot(unknown, document), 0);
+  });
+
+  it("is deterministic across instances", async () => {
+    const first = new LocalTfidfEmbeddings({ dimensions: 64 });
+    const second = new LocalTfidfEmbeddings({ dimensions: 64 });
+    await first.embedDocuments(corpus);
+    await second.embedDocuments(corpus);
+    assert.deepEqual(
+      await first.embedQuery("admit card"),
+      await second.embedQuery("admit card")
+    );
+    assert.equal(first.model, "local-tfidf-64");
+  });
+});
+
+describe("resolveEmbeddingsProvider", () => {
+  const saved = {
+    EMBEDDINGS_PROVIDER: process.env.EMBEDDINGS_PROVIDER,
+    OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+  };
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it("uses OpenAI only when a key is present", () => {
+    delete process.env.EMBEDDINGS_PROVIDER;
+    delete process.env.OPENAI_API_KEY;
+    assert.equal(resolveEmbeddingsProvider(), "local");
+    process.env.OPENAI_API_KEY = "sk-test";
+    assert.equal(resolveEmbeddingsProvider(), "openai");
+    process.env.EMBEDDINGS_PROVIDER = "local";
+    assert.equal(resolveEmbeddingsProvider(), "local");
+  });
+
+  it("rejects unknown providers and OpenAI without a key", () => {
+    process.env.EMBEDDINGS_PROVIDER = "cohere";
+    assert.throws(resolveEmbeddingsProvider, /Unknown EMBEDDINGS_PROVIDER/);
+    delete process.env.OPENAI_API_KEY;
+    assert.throws(() => createEmbeddings("openai"), /requires OPENAI_API_KEY/);
+  });
+});
@@ -0,0 +1,150 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import {
+  buildEvaluationIndex,
+  compareReports,
+  evaluateRetrieval,
+  isRegression,
+  loadGoldenSet,
+} from "../evaluation.js";
+
+const umsData = {
+  UMS_Chatbot_Paths: {
+    "Password Change": ["Login -> UmsHome -> Change Password"],
+    Examination: [
+      "Login -> UmsHome -> Examination -> Admit Card",
+      "Login -> UmsHome -> Examination -> Result",
+    ],
+  },
+};
+
+async function goldenFile(t, questions) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "golden-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "golden.json");
+  await fs.writeFile(file, JSON.stringify({ version: 3, questions }));
+  return file;
+}
+
+describe("loadGoldenSet", () => {
+  it("labels every question with its expected category", async (t) => {
+    const file = await goldenFile(t, [
+      {
+        id: "q1",
+        question: "admit card",
+        expected: ["Login -> UmsHome -> Examination -> Admit Card"],
+      },
+    ]);
+    const goldenSet = await loadGoldenSet(umsData, file);
+    assert.equal(goldenSet.version, 3);
+    assert.equal(goldenSet.questions[0].category, "Examination");
+  });
+
+  it("rejects duplicate ids and paths missing from the knowledge base", async (t) => {
+    const entry = {
+      id: "q1",
+      question: "admit card",
+      expected: ["Login -> UmsHome -> Examination -> Admit Card"],
+    };
+    await assert.rejects(
+      loadGoldenSet(umsData, await goldenFile(t, [entry, entry])),
+      /duplicate id "q1"/
+    );
+    await assert.rejects(
+      loadGoldenSet(
+        umsData,
+        await goldenFile(t, [{ ...entry, expected: ["Login -> Nowhere"] }])
+      ),
+      /q1 expects paths not in the knowledge base: Login -> Nowhere/
+    );
+  });
+});
+
+describe("evaluateRetrieval", () => {
+  it("scores top-1, recall@k and MRR per question and category", async () => {
+    const vectorstore = await buildEvaluationIndex(umsData, { mode: "path" });
+    const goldenSet = {
+      version: 1,
+      questions: [
+        {
+          id: "q1",
+          question: "change password",
+          category: "Password Change",
+          expected: ["Login -> UmsHome -> Change Password"],
+        },
+        {
+          id: "q2",
+          question: "examination result",
+          category: "Examination",
+          expected: ["Login -> UmsHome -> Examination -> Result"],
+        },
+      ],
+    };
+    const report = await evaluateRetrieval({ vectorstore, goldenSet, k: 3 });
+
+    assert.deepEqual(report.settings, { k: 3, aliases: false });
+    assert.deepEqual(
+      report.results.map((result) => [result.id, result.rank, result.recall]),
+      [
+        ["q1", 1, 1],
+        ["q2", 1, 1],
+      ]
+    );
+    assert.deepEqual(report.summary, {
+      questions: 2,
+      top1: 1,
+      recallAtK: 1,
+      mrr: 1,
+    });
+    assert.deepEqual(Object.keys(report.categories), [
+      "Examination",
+      "Password Change",
+    ]);
+  });
+});
+
+describe("compareReports", () => {
+  const report = (ranks, k = 3) => ({
+    goldenSetVersion: 1,
+    settings: { k, aliases: true },
+    summary: {
+      top1: ranks.filter((rank) => rank === 1).length / ranks.length,
+      recallAtK: 1,
+      mrr: 1,
+    },
+    categories: {},
+    results: ranks.map((rank, i) => ({
+      id: `q${i}`,
+      question: `question ${i}`,
+      rank,
+    })),
+  });
+
+  it("lists questions whose expected path moved down, out or up", () => {
+    const diff = compareReports(report([1, 2, null]), report([2, 1, 3]));
+    const changes = (list) =>
+      list.map((change) => [change.id, change.from, change.to]);
+    assert.deepEqual(changes(diff.regressions), [
+      ["q1", 1, 2],
+      ["q2", 3, null],
+    ]);
+    assert.deepEqual(changes(diff.improvements), [["q0", 2, 1]]);
+    assert.deepEqual(diff.changedSettings, []);
+  });
+
+  it("flags a drop in any headline metric as a regression", () => {
+    const baseline = report([1, 1]);
+    assert.equal(isRegression(compareReports(report([1, 2]), baseline)), true);
+    assert.equal(isRegression(compareReports(report([1, 1]), baseline)), false);
+  });
+
+  it("reports changed settings", () => {
+    assert.deepEqual(
+      compareReports(report([1], 5), report([1])).changedSettings,
+      ["k"]
+    );
+  });
+});
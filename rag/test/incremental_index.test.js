@@ -0,0 +1,146 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { FaissStore } from "@langchain/community/vectorstores/faiss";
+import { LocalTfidfEmbeddings } from "../embeddings.js";
+import { applyKnowledgeBaseEdit } from "../incremental_index.js";
+import { buildIndexDocuments } from "../indexing.js";
+import { readKnowledgeBase, writeKnowledgeBase } from "../knowledge_base.js";
+
+const indexConfig = { mode: "path" };
+
+const knowledgeBase = {
+  UMS_Chatbot_Paths: {
+    Finance: ["Login -> UmsHome -> Fee Receipts"],
+    Examination: ["Login -> UmsHome -> Admit Card"],
+  },
+};
+
+// The same knowledge base with "Admit Card" renamed and a new category
+function editedKnowledgeBase() {
+  const next = structuredClone(knowledgeBase);
+  next.UMS_Chatbot_Paths.Examination = ["Login -> UmsHome -> Exam Admit Card"];
+  next.UMS_Chatbot_Paths.Library = ["Login -> UmsHome -> Library Books"];
+  return next;
+}
+
+const indexedPaths = (vectorstore) => {
+  const docstore = vectorstore.getDocstore();
+  return Object.values(vectorstore.getMapping())
+    .map((id) => docstore.search(id).metadata.path)
+    .sort();
+};
+
+describe("applyKnowledgeBaseEdit", () => {
+  let dir;
+  let file;
+  let vectorstore;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "kb-edit-"));
+    file = path.join(dir, "ums_paths.json");
+  });
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  beforeEach(async () => {
+    await writeKnowledgeBase(knowledgeBase, file);
+    vectorstore = await FaissStore.fromDocuments(
+      await buildIndexDocuments(knowledgeBase, indexConfig),
+      new LocalTfidfEmbeddings({ dimensions: 64 })
+    );
+  });
+
+  it("re-embeds only the touched documents and writes the file", async () => {
+    const next = editedKnowledgeBase();
+    const result = await applyKnowledgeBaseEdit({
+      vectorstore,
+      indexConfig,
+      current: knowledgeBase,
+      next,
+      file,
+    });
+
+    assert.deepEqual(
+      { added: result.added, removed: result.removed },
+      { added: 2, removed: 1 }
+    );
+    assert.deepEqual(indexedPaths(vectorstore), [
+      "Login -> UmsHome -> Exam Admit Card",
+      "Login -> UmsHome -> Fee Receipts",
+      "Login -> UmsHome -> Library Books",
+    ]);
+    assert.deepEqual((await readKnowledgeBase(file)).umsData, next);
+    assert.ok(vectorstore.embeddings.idf.has("library"));
+  });
+
+  it("rolls the file, index and vocabulary back when the index update fails", async (t) => {
+    const vocabulary = vectorstore.embeddings.toJSON();
+    // Fails removing the renamed path, after the new ones were added
+    t.mock.method(
+      vectorstore,
+      "delete",
+      async () => {
+        throw new Error("index write failed");
+      },
+      { times: 1 }
+    );
+
+    await assert.rejects(
+      applyKnowledgeBaseEdit({
+        vectorstore,
+        indexConfig,
+        current: knowledgeBase,
+        next: editedKnowledgeBase(),
+        file,
+      }),
+      /index write failed/
+    );
+
+    assert.deepEqual(indexedPaths(vectorstore), [
+      "Login -> UmsHome -> Admit Card",
+      "Login -> UmsHome -> Fee Receipts",
+    ]);
+    assert.deepEqual((await readKnowledgeBase(file)).umsData, knowledgeBase);
+    assert.deepEqual(vectorstore.embeddings.toJSON(), vocabulary);
+  });
+
+  it("leaves everything as it was when the file can't be written", async () => {
+    const vocabulary = vectorstore.embeddings.toJSON();
+    await assert.rejects(
+      applyKnowledgeBaseEdit({
+        vectorstore,
+        indexConfig,
+        current: knowledgeBase,
+        next: editedKnowledgeBase(),
+        file: path.join(dir, "missing", "ums_paths.json"),
+      }),
+      { code: "ENOENT" }
+    );
+
+    assert.deepEqual(indexedPaths(vectorstore), [
+      "Login -> UmsHome -> Admit Card",
+      "Login -> UmsHome -> Fee Receipts",
+    ]);
+    assert.deepEqual(vectorstore.embeddings.toJSON(), vocabulary);
+  });
+
+  it("indexes a category whatever its name", async () => {
+    const next = {
+      UMS_Chatbot_Paths: {
+        ...knowledgeBase.UMS_Chatbot_Paths,
+        ["__proto__"]: ["Login -> UmsHome -> Odd Menu"],
+      },
+    };
+    await applyKnowledgeBaseEdit({
+      vectorstore,
+      indexConfig,
+      current: knowledgeBase,
+      next,
+      file,
+    });
+    const [[best]] = await vectorstore.similaritySearchWithScore("odd menu", 1);
+    assert.equal(best.metadata.category, "__proto__");
+  });
+});
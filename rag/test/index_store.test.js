@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { FaissStore } from "@langchain/community/vectorstores/faiss";
+import { Document } from "@langchain/core/documents";
+import { LocalTfidfEmbeddings } from "../embeddings.js";
+import {
+  computeIndexHash,
+  loadSavedIndex,
+  saveIndex,
+  versionFromHash,
+} from "../index_store.js";
+
+const inputs = {
+  rawData: '{"UMS_Chatbot_Paths":{}}',
+  indexConfig: { mode: "path" },
+  embeddingsModel: "local-tfidf-1024",
+};
+
+describe("computeIndexHash", () => {
+  it("is stable for the same inputs", () => {
+    assert.equal(computeIndexHash(inputs), computeIndexHash({ ...inputs }));
+    assert.match(computeIndexHash(inputs), /^[0-9a-f]{64}$/);
+  });
+
+  it("changes with the knowledge base, the config or the model", () => {
+    const hash = computeIndexHash(inputs);
+    for (const changed of [
+      { rawData: '{"UMS_Chatbot_Paths":{"Fees":[]}}' },
+      { indexConfig: { mode: "split" } },
+      { embeddingsModel: "text-embedding-3-small" },
+    ]) {
+      assert.notEqual(computeIndexHash({ ...inputs, ...changed }), hash);
+    }
+  });
+
+  it("shortens to a twelve-character version", () => {
+    assert.equal(versionFromHash("0123456789abcdef"), "0123456789ab");
+  });
+});
+
+describe("saveIndex / loadSavedIndex", () => {
+  let dir;
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "faiss-index-"));
+  });
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it("returns null when nothing was saved", async () => {
+    assert.equal(await loadSavedIndex("any", path.join(dir, "missing")), null);
+  });
+
+  it("reuses a saved index with its fitted vocabulary", async () => {
+    const vectorstore = await FaissStore.fromDocuments(
+      [
+        new Document({ pageContent: "Login -> UmsHome -> Fee Receipts" }),
+        new Document({ pageContent: "Login -> UmsHome -> Admit Card" }),
+      ],
+      new LocalTfidfEmbeddings({ dimensions: 64 })
+    );
+    const hash = computeIndexHash(inputs);
+    const meta = await saveIndex(vectorstore, { hash, provider: "local" }, dir);
+    assert.equal(meta.version, versionFromHash(hash));
+    assert.equal(meta.embeddings.model, "local-tfidf-64");
+
+    const saved = await loadSavedIndex(hash, dir);
+    assert.equal(saved.meta.hash, hash);
+    assert.deepEqual(
+      [...saved.vectorstore.embeddings.idf],
+      [...vectorstore.embeddings.idf]
+    );
+    const [[best]] = await saved.vectorstore.similaritySearchWithScore(
+      "admit card",
+      1
+    );
+    assert.equal(best.pageContent, "Login -> UmsHome -> Admit Card");
+  });
+
+  it("ignores a saved index whose hash no longer matches", async (t) => {
+    t.mock.method(console, "log", () => {});
+    assert.equal(await loadSavedIndex("stale-hash", dir), null);
+  });
+});
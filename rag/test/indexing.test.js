@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, afterEach, before, describe, it } from "node:test";
+import { buildIndexDocuments, loadIndexConfig } from "../indexing.js";
+
+const longPath = [
+  "Login",
+  "UmsHome",
+  "Change of Programme",
+  "Programme Change Request Form",
+  "Submit Application for Change of Programme",
+  "View Status of Submitted Change of Programme Requests",
+].join(" -> ");
+
+const umsData = {
+  UMS_Chatbot_Paths: {
+    "Change of Programme": [longPath],
+    Finance: ["Login -> UmsHome -> Fees"],
+  },
+};
+
+const splitConfig = (categories = {}) => ({
+  mode: "split",
+  splitter: {
+    default: { chunkSize: 40, chunkOverlap: 0 },
+    categories,
+  },
+});
+
+describe("buildIndexDocuments", () => {
+  it("embeds each path whole by default", async () => {
+    const docs = await buildIndexDocuments(umsData, { mode: "path" });
+    assert.deepEqual(
+      docs.map((doc) => [doc.pageContent, doc.metadata]),
+      [
+        [longPath, { category: "Change of Programme", path: longPath }],
+        [
+          "Login -> UmsHome -> Fees",
+          { category: "Finance", path: "Login -> UmsHome -> Fees" },
+        ],
+      ]
+    );
+  });
+
+  it("keeps the complete path on every chunk when splitting", async () => {
+    const docs = await buildIndexDocuments(umsData, splitConfig());
+    const chunks = docs.filter(
+      (doc) => doc.metadata.category === "Change of Programme"
+    );
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+      assert.ok(chunk.pageContent.length <= 40);
+      assert.equal(chunk.metadata.path, longPath);
+    }
+  });
+
+  it("uses a category's own splitter settings over the default", async () => {
+    const docs = await buildIndexDocuments(
+      umsData,
+      splitConfig({ "Change of Programme": { chunkSize: 1000 } })
+    );
+    assert.deepEqual(
+      docs.map((doc) => doc.pageContent),
+      [longPath, "Login -> UmsHome -> Fees"]
+    );
+  });
+});
+
+describe("loadIndexConfig", () => {
+  const previousMode = process.env.INDEX_MODE;
+  let dir;
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "index-config-"));
+  });
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+  afterEach(() => {
+    if (previousMode === undefined) delete process.env.INDEX_MODE;
+    else process.env.INDEX_MODE = previousMode;
+  });
+
+  async function writeConfig(config) {
+    const file = path.join(dir, "index_config.json");
+    await fs.writeFile(file, JSON.stringify(config));
+    return file;
+  }
+
+  it("defaults to whole paths when there is no config file", async () => {
+    delete process.env.INDEX_MODE;
+    const config = await loadIndexConfig("/nonexistent/index_config.json");
+    assert.equal(config.mode, "path");
+    assert.deepEqual(config.splitter, {
+      default: { chunkSize: 200, chunkOverlap: 20 },
+      categories: {},
+    });
+  });
+
+  it("merges the file over the defaults and lets INDEX_MODE win", async () => {
+    const file = await writeConfig({
+      mode: "path",
+      splitter: { default: { chunkSize: 120 } },
+    });
+    process.env.INDEX_MODE = "split";
+    const config = await loadIndexConfig(file);
+    assert.equal(config.mode, "split");
+    assert.deepEqual(config.splitter.default, {
+      chunkSize: 120,
+      chunkOverlap: 20,
+    });
+  });
+
+  it("rejects an unknown mode", async () => {
+    process.env.INDEX_MODE = "sentences";
+    await assert.rejects(
+      loadIndexConfig("/nonexistent/index_config.json"),
+      /Unknown INDEX_MODE "sentences"/
+    );
+  });
+});
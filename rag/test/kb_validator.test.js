@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { describe, it } from "node:test";
+import {
+  formatValidationReport,
+  validateKnowledgeBase,
+} from "../kb_validator.js";
+
+const validate = (UMS_Chatbot_Paths) =>
+  validateKnowledgeBase({ UMS_Chatbot_Paths });
+
+const codes = (issues) => issues.map((issue) => issue.code);
+
+describe("validateKnowledgeBase", () => {
+  it("accepts the bundled knowledge base without errors", () => {
+    const umsData = JSON.parse(
+      fs.readFileSync(new URL("../ums_paths.json", import.meta.url), "utf-8")
+    );
+    assert.deepEqual(validateKnowledgeBase(umsData).errors, []);
+  });
+
+  it("reports structural errors", () => {
+    assert.deepEqual(codes(validateKnowledgeBase([]).errors), ["invalid-root"]);
+    assert.deepEqual(codes(validateKnowledgeBase({}).errors), [
+      "missing-paths",
+    ]);
+    assert.deepEqual(
+      codes(
+        validate({
+          " ": ["Login -> UmsHome -> Fees"],
+          Finance: "Login -> UmsHome -> Fees",
+          Exams: ["", 42, "Login -> -> Admit Card"],
+        }).errors
+      ),
+      [
+        "empty-category",
+        "invalid-category",
+        "invalid-path",
+        "invalid-path",
+        "empty-segment",
+      ]
+    );
+  });
+
+  it("warns about duplicate and near-duplicate paths", () => {
+    const { errors, warnings } = validate({
+      Leave: [
+        "Login -> UmsHome -> Leave -> Duty Leave",
+        "Login -> UmsHome -> Leave -> Duty Leave Request",
+      ],
+      Attendance: ["Login -> UmsHome -> Leave -> Duty Leave"],
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(codes(warnings), [
+      "duplicate-path",
+      "near-duplicate",
+      "category-not-mentioned",
+    ]);
+  });
+
+  it("warns about paths outside the known roots", () => {
+    const { warnings } = validate({ Fees: ["Dashboard -> Fees"] });
+    assert.deepEqual(codes(warnings), ["unknown-root"]);
+    assert.deepEqual(
+      validateKnowledgeBase(
+        { UMS_Chatbot_Paths: { Fees: ["Dashboard -> Fees"] } },
+        { roots: ["Dashboard"] }
+      ).warnings,
+      []
+    );
+  });
+
+  it("accepts a category mentioned by abbreviation or in another order", () => {
+    const { warnings } = validate({
+      "Finance Management System (FMS)": ["Login -> UmsHome -> FMS -> Fees"],
+      "Password Change": ["Login -> UmsHome -> Change Password"],
+    });
+    assert.ok(!codes(warnings).includes("category-not-mentioned"));
+  });
+
+  it("warns about nested categories and inconsistent spelling", () => {
+    const { warnings } = validate({
+      "Placement Services": [
+        "Login -> UmsHome -> Placement Services -> Placement Portal",
+      ],
+      "Placement Portal": [
+        "Login -> UmsHome -> Placement services -> Placement Portal -> Jobs",
+      ],
+    });
+    assert.deepEqual(codes(warnings), [
+      "nested-category",
+      "inconsistent-spelling",
+    ]);
+    assert.match(
+      warnings[1].message,
+      /"Placement Services", "Placement services"/
+    );
+  });
+});
+
+describe("formatValidationReport", () => {
+  it("lists errors and warnings with their codes", () => {
+    const report = formatValidationReport({
+      errors: [{ code: "invalid-root", message: "Bad." }],
+      warnings: [{ code: "unknown-root", message: "Odd." }],
+    });
+    assert.equal(
+      report,
+      "❌ 1 error(s):\n   [invalid-root] Bad.\n⚠️  1 warning(s):\n   [unknown-root] Odd."
+    );
+    assert.equal(
+      formatValidationReport({ errors: [], warnings: [] }),
+      "✅ Knowledge base is valid."
+    );
+  });
+});
@@ -0,0 +1,132 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  buildMenuTree,
+  findNodes,
+  parsePath,
+  serializeNode,
+} from "../menu_tree.js";
+
+const umsData = {
+  UMS_Chatbot_Paths: {
+    Hostel: [
+      "Login -> UmsHome -> Residential Services -> Hostel Leave",
+      "Login -> UmsHome -> Residential Services -> Mess Food Feedback",
+    ],
+    Profile: [
+      "Login -> UmsHome -> Profile -> Profile Update",
+      "Login -> UmsHome -> My Profile -> Profile Update",
+    ],
+    Misc: [
+      "Login -> UmsHome -> Residential Services -> Hostel Leave",
+      "Dashboard -> Notices",
+      " -> ",
+    ],
+  },
+};
+
+describe("parsePath", () => {
+  it("splits on arrows and drops empty segments", () => {
+    assert.deepEqual(parsePath("Login ->UmsHome->  Fees -> "), [
+      "Login",
+      "UmsHome",
+      "Fees",
+    ]);
+  });
+});
+
+describe("buildMenuTree", () => {
+  const tree = buildMenuTree(umsData);
+
+  it("merges shared prefixes into one node", () => {
+    const [login] = [...tree.root.children.values()];
+    assert.equal(login.name, "Login");
+    const umsHome = login.children.get("UmsHome");
+    assert.deepEqual(
+      [...umsHome.children.keys()],
+      ["Residential Services", "Profile", "My Profile"]
+    );
+    const services = umsHome.children.get("Residential Services");
+    assert.equal(services.path, "Login -> UmsHome -> Residential Services");
+    assert.equal(services.depth, 3);
+    assert.deepEqual([...services.categories], ["Hostel", "Misc"]);
+  });
+
+  it("reports duplicate paths, repeated names and orphans", () => {
+    assert.deepEqual(tree.issues.duplicatePaths, [
+      {
+        path: "Login -> UmsHome -> Residential Services -> Hostel Leave",
+        categories: ["Hostel", "Misc"],
+      },
+    ]);
+    assert.deepEqual(tree.issues.repeatedNodeNames, [
+      {
+        name: "Profile Update",
+        paths: [
+          "Login -> UmsHome -> Profile -> Profile Update",
+          "Login -> UmsHome -> My Profile -> Profile Update",
+        ],
+      },
+    ]);
+    assert.deepEqual(tree.issues.orphanPaths, [
+      { path: "Dashboard -> Notices", category: "Misc" },
+    ]);
+  });
+
+  it("counts unique paths, nodes and leaves", () => {
+    assert.deepEqual(tree.stats, {
+      nodes: 11,
+      leaves: 5,
+      maxDepth: 4,
+      totalPaths: 5,
+    });
+  });
+});
+
+describe("findNodes", () => {
+  const tree = buildMenuTree(umsData);
+
+  it("matches a full path exactly, ignoring case", () => {
+    const nodes = findNodes(tree, "login -> umshome -> residential services");
+    assert.deepEqual(
+      nodes.map((node) => node.path),
+      ["Login -> UmsHome -> Residential Services"]
+    );
+  });
+
+  it("matches a partial path against the end of every node's path", () => {
+    assert.deepEqual(
+      findNodes(tree, "Profile Update").map((node) => node.path),
+      [
+        "Login -> UmsHome -> Profile -> Profile Update",
+        "Login -> UmsHome -> My Profile -> Profile Update",
+      ]
+    );
+    assert.deepEqual(
+      findNodes(tree, "My Profile -> Profile Update").map((node) => node.path),
+      ["Login -> UmsHome -> My Profile -> Profile Update"]
+    );
+  });
+
+  it("returns the root for an empty path and nothing for unknown ones", () => {
+    assert.deepEqual(findNodes(tree, ""), [tree.root]);
+    assert.deepEqual(findNodes(tree, "Library"), []);
+  });
+});
+
+describe("serializeNode", () => {
+  it("limits how many levels of children are included", () => {
+    const [node] = findNodes(buildMenuTree(umsData), "Residential Services");
+    const serialized = serializeNode(node, 1);
+    assert.equal(serialized.isLeaf, false);
+    assert.equal(serialized.childCount, 2);
+    assert.deepEqual(
+      serialized.children.map((child) => [child.name, child.children]),
+      [
+        ["Hostel Leave", undefined],
+        ["Mess Food Feedback", undefined],
+      ]
+    );
+    assert.equal(serializeNode(node, 0).children, undefined);
+  });
+});
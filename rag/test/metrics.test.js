@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { counter, gauge, histogram, renderMetrics } from "../metrics.js";
+
+// The registry is module-wide, so every test uses its own metric names
+const seriesOf = (name) =>
+  renderMetrics()
+    .split("\n")
+    .filter((line) => line.startsWith(name));
+
+describe("metrics", () => {
+  it("counts per label combination and escapes label values", () => {
+    const requests = counter({
+      name: "test_requests_total",
+      help: "Test requests.",
+      labelNames: ["route"],
+    });
+    requests.inc({ route: "/api/query" });
+    requests.inc({ route: "/api/query" }, 2);
+    requests.inc({ route: 'say "hi"\n' });
+
+    assert.deepEqual(seriesOf("test_requests_total"), [
+      'test_requests_total{route="/api/query"} 3',
+      'test_requests_total{route="say \\"hi\\"\\n"} 1',
+    ]);
+    assert.match(
+      renderMetrics(),
+      /# HELP test_requests_total Test requests\.\n# TYPE test_requests_total counter\n/
+    );
+  });
+
+  it("reads collected gauges on every scrape", () => {
+    let open = 0;
+    gauge({ name: "test_open", help: "Open.", collect: () => open });
+    assert.deepEqual(seriesOf("test_open"), ["test_open 0"]);
+    open = 1;
+    assert.deepEqual(seriesOf("test_open"), ["test_open 1"]);
+  });
+
+  it("fills histogram buckets cumulatively", () => {
+    const duration = histogram({
+      name: "test_duration_seconds",
+      help: "Duration.",
+      buckets: [0.1, 1],
+    });
+    duration.observe({}, 0.05);
+    duration.observe({}, 0.5);
+    duration.observe({}, 5);
+
+    assert.deepEqual(seriesOf("test_duration_seconds"), [
+      'test_duration_seconds_bucket{le="0.1"} 1',
+      'test_duration_seconds_bucket{le="1"} 2',
+      'test_duration_seconds_bucket{le="+Inf"} 3',
+      "test_duration_seconds_sum 5.55",
+      "test_duration_seconds_count 3",
+    ]);
+  });
+
+  it("refuses to register a name twice", () => {
+    counter({ name: "test_once_total", help: "Once." });
+    assert.throws(
+      () => counter({ name: "test_once_total", help: "Again." }),
+      /already registered/
+    );
+  });
+});
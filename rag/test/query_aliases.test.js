@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import {
+  expandQuery,
+  loadAliases,
+  readCustomAliases,
+  seedAliases,
+} from "../query_aliases.js";
+
+const umsData = {
+  UMS_Chatbot_Paths: {
+    "Finance Management System (FMS)": ["Login -> UmsHome -> FMS -> Fee"],
+    Hostel: [
+      "Login -> UmsHome -> Residential Services (RMS) -> Leave (Day Scholar)",
+    ],
+  },
+};
+
+async function aliasesFile(t, content) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "aliases-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "aliases.json");
+  if (content !== undefined) await fs.writeFile(file, content);
+  return file;
+}
+
+describe("seedAliases", () => {
+  it("turns every 'Full Name (ABBR)' into an alias", () => {
+    assert.deepEqual(
+      Object.fromEntries(
+        [...seedAliases(umsData)].map(([alias, set]) => [alias, [...set]])
+      ),
+      {
+        fms: ["Finance Management System"],
+        rms: ["Residential Services"],
+      }
+    );
+  });
+});
+
+describe("loadAliases", () => {
+  it("adds hand-written aliases and lets an empty list remove a seeded one", async (t) => {
+    const file = await aliasesFile(
+      t,
+      JSON.stringify({ hostel: "Residential Services", rms: [] })
+    );
+    assert.deepEqual(Object.fromEntries(await loadAliases(umsData, file)), {
+      fms: ["Finance Management System"],
+      hostel: ["Residential Services"],
+    });
+  });
+
+  it("works without an aliases file", async (t) => {
+    const file = await aliasesFile(t);
+    assert.deepEqual(
+      [...(await loadAliases(umsData, file)).keys()],
+      ["fms", "rms"]
+    );
+  });
+});
+
+describe("readCustomAliases", () => {
+  it("rejects files that aren't alias -> expansions", async (t) => {
+    await assert.rejects(
+      readCustomAliases(await aliasesFile(t, "[]")),
+      /must be an object/
+    );
+    await assert.rejects(
+      readCustomAliases(await aliasesFile(t, '{ "fms": [1] }')),
+      /expansions for "fms"/
+    );
+  });
+});
+
+describe("expandQuery", () => {
+  const aliases = new Map([
+    ["fms", ["Finance Management System"]],
+    ["wi-fi", ["WiFi Password"]],
+    ["fee", ["Finance Management System"]],
+  ]);
+
+  it("appends expansions for whole-word aliases once", () => {
+    assert.equal(
+      expandQuery("FMS fee receipt", aliases),
+      "FMS fee receipt (Finance Management System)"
+    );
+    assert.equal(
+      expandQuery("reset wi-fi", aliases),
+      "reset wi-fi (WiFi Password)"
+    );
+  });
+
+  it("ignores aliases inside other words and known expansions", () => {
+    assert.equal(expandQuery("coffee", aliases), "coffee");
+    assert.equal(
+      expandQuery("Finance Management System fee", aliases),
+      "Finance Management System fee"
+    );
+    assert.equal(expandQuery("fms", new Map()), "fms");
+  });
+});
@@ -0,0 +1,162 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  MAX_HISTORY_TURNS,
+  isFollowUp,
+  resolveRewriteMode,
+  rewriteQuestion,
+  sanitizeHistory,
+} from "../query_rewriter.js";
+
+const history = [
+  {
+    question: "How do I apply for hostel leave?",
+    answer: "Login -> UmsHome -> Hostel -> Leave Request",
+    category: "Hostel",
+  },
+];
+
+describe("isFollowUp", () => {
+  it("spots continuations and references to earlier turns", () => {
+    assert.equal(isFollowUp("and for the summer term?"), true);
+    assert.equal(isFollowUp("What about the fee?"), true);
+    assert.equal(isFollowUp("where do I pay for it?"), true);
+    assert.equal(isFollowUp("How do I download my admit card?"), false);
+  });
+
+  it("treats long questions as standing on their own", () => {
+    assert.equal(
+      isFollowUp(
+        "and where in the portal can I find the exam schedule for this year"
+      ),
+      false
+    );
+  });
+});
+
+describe("rewriteQuestion", () => {
+  it("splices the previous question into a continuation", async () => {
+    assert.equal(
+      await rewriteQuestion({ question: "and for the summer term?", history }),
+      "How do I apply for hostel leave for the summer term"
+    );
+  });
+
+  it("replaces a reference with the previous category", async () => {
+    assert.equal(
+      await rewriteQuestion({ question: "who approves it?", history }),
+      "who approves Hostel?"
+    );
+  });
+
+  it("builds on the previous rewrite rather than the raw follow-up", async () => {
+    const turns = [
+      ...history,
+      {
+        question: "and for the summer term?",
+        rewrittenQuestion:
+          "How do I apply for hostel leave for the summer term",
+        answer: "",
+        category: "Hostel",
+      },
+    ];
+    assert.equal(
+      await rewriteQuestion({
+        question: "what about weekends",
+        history: turns,
+      }),
+      "How do I apply for hostel leave for the summer term weekends"
+    );
+  });
+
+  it("leaves standalone questions, first questions and mode off alone", async () => {
+    const standalone = "How do I download my admit card?";
+    assert.equal(
+      await rewriteQuestion({ question: standalone, history }),
+      standalone
+    );
+    assert.equal(
+      await rewriteQuestion({ question: "and for it?", history: [] }),
+      "and for it?"
+    );
+    assert.equal(
+      await rewriteQuestion({ question: "and for it?", history, mode: "off" }),
+      "and for it?"
+    );
+  });
+
+  it("asks the chat model in llm mode", async () => {
+    const chatModel = {
+      generate: async (messages) => {
+        assert.match(
+          messages[1].content,
+          /Student: How do I apply for hostel leave\?/
+        );
+        assert.match(messages[1].content, /Follow-up: and for summer\?/);
+        return "How do I apply for hostel leave for the summer term?";
+      },
+    };
+    assert.equal(
+      await rewriteQuestion({
+        question: "and for summer?",
+        history,
+        mode: "llm",
+        chatModel,
+      }),
+      "How do I apply for hostel leave for the summer term?"
+    );
+  });
+
+  it("falls back to the heuristic when the model fails or rambles", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const expected = "How do I apply for hostel leave for summer";
+    for (const generate of [
+      async () => {
+        throw new Error("quota");
+      },
+      async () => "1. Open Hostel\n2. Open Leave",
+    ]) {
+      assert.equal(
+        await rewriteQuestion({
+          question: "and for summer?",
+          history,
+          mode: "llm",
+          chatModel: { generate },
+        }),
+        expected
+      );
+    }
+  });
+});
+
+describe("sanitizeHistory", () => {
+  it("keeps the latest well-formed turns only", () => {
+    const turns = [
+      null,
+      { question: "  " },
+      { question: 42 },
+      ...Array.from({ length: MAX_HISTORY_TURNS + 2 }, (_, i) => ({
+        question: ` question ${i} `,
+        answer: i,
+        category: "Hostel",
+      })),
+    ];
+    const sanitized = sanitizeHistory(turns);
+    assert.equal(sanitized.length, MAX_HISTORY_TURNS);
+    assert.deepEqual(sanitized[MAX_HISTORY_TURNS - 1], {
+      question: `question ${MAX_HISTORY_TURNS + 1}`,
+      rewrittenQuestion: undefined,
+      answer: "",
+      category: "Hostel",
+    });
+    assert.deepEqual(sanitizeHistory("not a list"), []);
+  });
+});
+
+describe("resolveRewriteMode", () => {
+  it("defaults to the heuristic and rejects unknown modes", () => {
+    assert.equal(resolveRewriteMode(""), "heuristic");
+    assert.equal(resolveRewriteMode("llm"), "llm");
+    assert.throws(() => resolveRewriteMode("magic"), /Unknown QUERY_REWRITING/);
+  });
+});
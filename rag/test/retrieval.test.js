@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { distanceToScore, searchPaths } from "../retrieval.js";
+
+// Just the part of a FaissStore that retrieval calls
+const storeReturning = (results) => ({
+  similaritySearchWithScore: async () => results,
+});
+
+const doc = (pageContent, metadata = {}) => ({ pageContent, metadata });
+
+describe("distanceToScore", () => {
+  it("maps squared L2 distance of unit vectors onto cosine similarity", () => {
+    assert.equal(distanceToScore(0), 1);
+    assert.equal(distanceToScore(1), 0.5);
+    assert.equal(distanceToScore(2), 0);
+  });
+
+  it("never goes below zero and rounds to four places", () => {
+    assert.equal(distanceToScore(4), 0);
+    assert.equal(distanceToScore(0.123456), 0.9383);
+  });
+});
+
+describe("searchPaths", () => {
+  const fees = "Login -> UmsHome -> Fees -> Fee Statement";
+  const exams = "Login -> UmsHome -> Examination -> Admit Card";
+
+  it("resolves every chunk to its complete path, best first", async () => {
+    const store = storeReturning([
+      [doc("Fee Statement", { category: "Finance", path: fees }), 0.2],
+      [doc("Admit Card", { category: "Examination", path: exams }), 0.8],
+    ]);
+    assert.deepEqual(await searchPaths(store, "fee statement"), [
+      {
+        path: fees,
+        category: "Finance",
+        score: 0.9,
+        matchedText: "Fee Statement",
+      },
+      {
+        path: exams,
+        category: "Examination",
+        score: 0.6,
+        matchedText: "Admit Card",
+      },
+    ]);
+  });
+
+  it("keeps the best chunk when several belong to the same path", async () => {
+    const store = storeReturning([
+      [doc("Login -> UmsHome", { category: "Finance", path: fees }), 0.6],
+      [doc("Admit Card", { category: "Examination", path: exams }), 0.4],
+      [doc("Fees -> Fee Statement", { category: "Finance", path: fees }), 0.2],
+    ]);
+    const matches = await searchPaths(store, "fee statement", 3);
+    assert.deepEqual(
+      matches.map(({ path, score, matchedText }) => [path, score, matchedText]),
+      [
+        [fees, 0.9, "Fees -> Fee Statement"],
+        [exams, 0.8, "Admit Card"],
+      ]
+    );
+  });
+
+  it("asks for extra candidates and returns at most k paths", async () => {
+    let requested;
+    const store = {
+      similaritySearchWithScore: async (question, k) => {
+        requested = k;
+        return ["A", "B", "C"].map((path, i) => [doc(path), i / 10]);
+      },
+    };
+    const matches = await searchPaths(store, "anything", 2);
+    assert.ok(requested > 2);
+    assert.deepEqual(
+      matches.map((match) => match.path),
+      ["A", "B"]
+    );
+  });
+
+  it("falls back to the text when a document has no metadata", async () => {
+    const [match] = await searchPaths(
+      storeReturning([[doc("Login -> UmsHome"), 0]]),
+      "home"
+    );
+    assert.equal(match.path, "Login -> UmsHome");
+    assert.equal(match.category, null);
+  });
+});
@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { describe, it } from "node:test";
+import {
+  SIGNATURE_HEADERS,
+  canonicalPath,
+  canonicalRequest,
+} from "../request_signing.js";
+import { createRequestVerifier } from "../service_auth.js";
+
+const MAX_SKEW_MS = 300000;
+
+// A request as the backend would sign it, shaped like the parts of an
+// Express request the verifier reads
+function signedRequest({
+  secret = "current-secret",
+  method = "POST",
+  path = "/api/query",
+  body = '{"question":"admit card"}',
+  timestamp = String(Date.now()),
+  nonce = crypto.randomBytes(16).toString("hex"),
+} = {}) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(canonicalRequest({ timestamp, nonce, method, path, body }))
+    .digest("hex");
+  const headers = {
+    [SIGNATURE_HEADERS.timestamp]: timestamp,
+    [SIGNATURE_HEADERS.nonce]: nonce,
+    [SIGNATURE_HEADERS.signature]: signature,
+  };
+  return {
+    method,
+    originalUrl: path,
+    rawBody: body,
+    get: (name) => headers[name.toLowerCase()],
+  };
+}
+
+const verifier = () =>
+  createRequestVerifier({
+    secrets: ["current-secret", "previous-secret"],
+    maxSkewMs: MAX_SKEW_MS,
+  });
+
+describe("createRequestVerifier", () => {
+  it("accepts requests signed with the current or a previous secret", () => {
+    const verify = verifier();
+    assert.equal(verify(signedRequest()), null);
+    assert.equal(verify(signedRequest({ secret: "previous-secret" })), null);
+  });
+
+  it("rejects unsigned and malformed requests", () => {
+    const verify = verifier();
+    assert.equal(
+      verify({ method: "GET", originalUrl: "/health", get: () => undefined }),
+      "missing signature"
+    );
+
+    const request = signedRequest();
+    const { get } = request;
+    request.get = (name) =>
+      name === SIGNATURE_HEADERS.signature ? "not-hex" : get(name);
+    assert.equal(verify(request), "malformed signature");
+  });
+
+  it("rejects an unknown secret", () => {
+    assert.equal(
+      verifier()(signedRequest({ secret: "wrong-secret" })),
+      "bad signature"
+    );
+  });
+
+  it("rejects a request whose body or path was changed", () => {
+    const verify = verifier();
+    const tamperedBody = signedRequest();
+    tamperedBody.rawBody = '{"question":"fee receipt"}';
+    assert.equal(verify(tamperedBody), "bad signature");
+
+    const tamperedPath = signedRequest();
+    tamperedPath.originalUrl = "/api/admin/categories";
+    assert.equal(verify(tamperedPath), "bad signature");
+  });
+
+  it("rejects timestamps outside the allowed skew", () => {
+    const timestamp = String(Date.now() - MAX_SKEW_MS - 1000);
+    assert.equal(
+      verifier()(signedRequest({ timestamp })),
+      "timestamp outside allowed skew"
+    );
+  });
+
+  it("rejects a replayed request", () => {
+    const verify = verifier();
+    const request = signedRequest();
+    assert.equal(verify(request), null);
+    assert.equal(verify(request), "replayed request");
+  });
+
+  it("doesn't let a forged request burn a real nonce", () => {
+    const verify = verifier();
+    const nonce = "a".repeat(32);
+    assert.equal(
+      verify(signedRequest({ nonce, secret: "wrong-secret" })),
+      "bad signature"
+    );
+    assert.equal(verify(signedRequest({ nonce })), null);
+  });
+});
+
+describe("canonicalPath", () => {
+  it("gives every encoding of the same URL the same form", () => {
+    const expected = canonicalPath("/api/suggest?q=student%27s%20fee");
+    for (const variant of [
+      "/api/suggest?q=student's fee",
+      "/api/suggest?q=student's+fee",
+      "/api/suggest?q=student%27s+fee",
+    ]) {
+      assert.equal(canonicalPath(variant), expected, variant);
+    }
+    assert.equal(
+      canonicalPath("/api/admin/categories/Student's%20Corner/paths"),
+      canonicalPath("/api/admin/categories/Student%27s%20Corner/paths")
+    );
+  });
+
+  it("keeps different URLs apart", () => {
+    assert.notEqual(canonicalPath("/api/a%2Fb"), canonicalPath("/api/a/b"));
+    assert.notEqual(
+      canonicalPath("/api/suggest?q=a%2Bb"),
+      canonicalPath("/api/suggest?q=a+b")
+    );
+    assert.notEqual(
+      canonicalPath("/api/suggest?q=a&limit=5"),
+      canonicalPath("/api/suggest?q=a%26limit%3D5")
+    );
+  });
+
+  it("leaves malformed escapes alone", () => {
+    assert.equal(canonicalPath("/api/x%zz"), "/api/x%25zz");
+  });
+});
+
+describe("signatures over reserved characters", () => {
+  it("verify when the path was signed in another encoding", () => {
+    const request = signedRequest({
+      method: "GET",
+      path: "/api/menu-tree/children?path=Student%27s%20Corner",
+      body: "",
+    });
+    request.originalUrl = "/api/menu-tree/children?path=Student's%20Corner";
+    assert.equal(verifier()(request), null);
+  });
+});
@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { readKnowledgeBase } from "../knowledge_base.js";
+import { loadAliases } from "../query_aliases.js";
+import {
+  MAX_SUGGESTION_LIMIT,
+  buildSuggestionIndex,
+  starterSuggestions,
+  suggest,
+} from "../suggestions.js";
+
+const KNOWLEDGE_BASE = new URL("../ums_paths.json", import.meta.url);
+const ALIASES = new URL("../aliases.json", import.meta.url);
+
+describe("suggest", () => {
+  let umsData;
+  let index;
+
+  before(async () => {
+    ({ umsData } = await readKnowledgeBase(KNOWLEDGE_BASE));
+    index = buildSuggestionIndex(umsData);
+  });
+
+  const labels = (results) => results.map((result) => result.label);
+
+  it("matches word prefixes while the student is typing", () => {
+    const results = suggest(index, "chang pass");
+    assert.ok(results.every((result) => result.match === "prefix"));
+    assert.ok(labels(results).includes("Change UMS Password"));
+  });
+
+  it("suggests pages with their full path as the query", () => {
+    const results = suggest(index, "change ums password");
+    const page = results.find((result) => result.type === "path");
+    assert.ok(page.path.startsWith("Login ->"));
+    assert.equal(page.query, page.path);
+  });
+
+  it("matches a page's initials", () => {
+    const results = suggest(index, "cup");
+    assert.ok(
+      results.some(
+        (result) =>
+          result.match === "abbreviation" &&
+          result.label === "Change UMS Password"
+      ),
+      labels(results).join(", ")
+    );
+  });
+
+  it("tolerates typos and swapped letters", () => {
+    assert.ok(
+      labels(suggest(index, "atendance")).some((l) => /Attendance/.test(l))
+    );
+    assert.ok(
+      labels(suggest(index, "chnage password")).some((l) => /Change/.test(l))
+    );
+  });
+
+  it("finds a page from a full question", () => {
+    const results = suggest(index, "how do I check my exam attendance?");
+    assert.ok(labels(results).includes("Exam Attendance"));
+  });
+
+  it("expands query aliases", async () => {
+    const aliases = await loadAliases(umsData, ALIASES);
+    const results = suggest(index, "fms", { aliases });
+    assert.ok(results.length > 0);
+    assert.ok(results.every((result) => result.match === "abbreviation"));
+  });
+
+  it("returns nothing for stop words or unknown words", () => {
+    assert.deepEqual(suggest(index, "how do I"), []);
+    assert.deepEqual(suggest(index, "qwxz"), []);
+  });
+
+  it("honours the limit and never repeats a query", () => {
+    const results = suggest(index, "a", { limit: MAX_SUGGESTION_LIMIT });
+    assert.ok(results.length <= MAX_SUGGESTION_LIMIT);
+    const queries = results.map((result) => result.query);
+    assert.equal(new Set(queries).size, queries.length);
+    assert.equal(suggest(index, "password", { limit: 2 }).length, 2);
+  });
+
+  it("starts with a question about each category's first page", () => {
+    const starters = starterSuggestions(index);
+    assert.deepEqual(
+      starters.map((starter) => starter.category),
+      Object.keys(umsData.UMS_Chatbot_Paths)
+    );
+    for (const starter of starters) {
+      const [firstPath] = umsData.UMS_Chatbot_Paths[starter.category];
+      assert.equal(starter.type, "starter");
+      assert.equal(starter.query, firstPath);
+      assert.equal(starter.path, firstPath);
+      assert.match(starter.label, /^Where do I find .+\?$/);
+    }
+  });
+});
+
+describe("starterSuggestions", () => {
+  it("names the page and skips categories without paths", () => {
+    const index = buildSuggestionIndex({
+      UMS_Chatbot_Paths: {
+        Finance: [
+          "Login -> UmsHome -> FMS -> Fee Receipts",
+          "Login -> UmsHome -> FMS -> Fee Statement",
+        ],
+        Library: [],
+      },
+    });
+    assert.deepEqual(starterSuggestions(index), [
+      {
+        type: "starter",
+        label: "Where do I find Fee Receipts?",
+        query: "Login -> UmsHome -> FMS -> Fee Receipts",
+        category: "Finance",
+        path: "Login -> UmsHome -> FMS -> Fee Receipts",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,37 @@
+import fs from "fs/promises";
+import { KNOWLEDGE_BASE_FILE } from "./knowledge_base.js";
+import {
+  formatValidationReport,
+  validateKnowledgeBase,
+} from "./kb_validator.js";
+
+// ----------------- KNOWLEDGE BASE LINTER -----------------
+// Usage: node validate_kb.js [file] [--strict] [--json]
+//   --strict  exit non-zero on warnings too
+//   --json    print the raw result instead of the text report
+
+const args = process.argv.slice(2);
+const strict = args.includes("--strict");
+const asJson = args.includes("--json");
+const file = args.find((arg) => !arg.startsWith("--")) || KNOWLEDGE_BASE_FILE;
+
+let umsData;
+try {
+  umsData = JSON.parse(await fs.readFile(file, "utf-8"));
+} catch (error) {
+  console.error(`❌ Could not read ${file}: ${error.message}`);
+  process.exit(1);
+}
+
+const result = validateKnowledgeBase(umsData);
+
+if (asJson) {
+  console.log(JSON.stringify(result, null, 2));
+} else {
+  console.log(`🔎 Validating ${file}\n`);
+  console.log(formatValidationReport(result));
+}
+
+const failed =
+  result.errors.length > 0 || (strict && result.warnings.length > 0);
+process.exit(failed ? 1 : 0);
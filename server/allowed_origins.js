@@ -0,0 +1,52 @@
+// ----------------- ALLOWED ORIGINS -----------------
+// Which web pages may call the API from a browser. Department sites that
+// embed the chat widget have to be listed here.
+//
+//   CORS_ALLOWED_ORIGINS  comma-separated origins, e.g.
+//                         "https://ums-live.vercel.app,https://cse.example.edu".
+//                         A "*" stands for one or more subdomain labels:
+//                         "https://*.vercel.app" covers every preview deploy.
+//                         Defaults to the production app, its Vercel previews
+//                         and the local dev server.
+//
+// Requests without an Origin header (curl, Postman, other servers) are not
+// subject to CORS and are always let through.
+
+const DEFAULT_ALLOWED_ORIGINS = [
+  "https://ums-live.vercel.app",
+  "https://*.vercel.app",
+  "http://localhost:3000",
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "https://*.vercel.app" -> /^https:\/\/[a-z0-9-]+(?:\.[a-z0-9-]+)*\.vercel\.app$/
+function toPattern(origin) {
+  const normalized = origin.trim().replace(/\/+$/, "").toLowerCase();
+  if (!normalized.includes("*")) return normalized;
+  const source = normalized
+    .split("*")
+    .map(escapeRegExp)
+    .join("[a-z0-9-]+(?:\\.[a-z0-9-]+)*");
+  return new RegExp(`^${source}$`);
+}
+
+export function loadAllowedOrigins(value = process.env.CORS_ALLOWED_ORIGINS) {
+  const origins = value
+    ? value
+        .split(",")
+        .map((origin) => origin.trim())
+        .filter(Boolean)
+    : DEFAULT_ALLOWED_ORIGINS;
+  return { origins, patterns: origins.map(toPattern) };
+}
+
+export function isAllowedOrigin(origin, { patterns }) {
+  if (!origin) return true;
+  const normalized = origin.toLowerCase();
+  return patterns.some((pattern) =>
+    typeof pattern === "string"
+      ? pattern === normalized
+      : pattern.test(normalized)
+  );
+}
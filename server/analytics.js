@@ -0,0 +1,228 @@
+import { createJsonlStore } from "./jsonl_store.js";
+import { logger, redact } from "./logger.js";
+import { unmatchedReason } from "./feedback.js";
+import { normalizeQuestion } from "./questions.js";
+
+// ----------------- QUERY ANALYTICS -----------------
+// One record per question asked: when, which route, how long it took, what
+// it matched and how it ended. The admin endpoints aggregate these on read.
+//
+//   ANALYTICS_FILE  query records (default data/analytics.jsonl)
+
+export const analyticsStore = createJsonlStore(
+  process.env.ANALYTICS_FILE || "data/analytics.jsonl"
+);
+
+// How a query ended. "degraded" was answered by the keyword fallback while
+// the RAG server was down. The last four are failures and count as errors.
+export const OUTCOMES = [
+  "answered",
+  "clarify",
+  "unmatched",
+  "degraded",
+  "cancelled",
+  "timeout",
+  "rag_unavailable",
+  "rag_error",
+  "error",
+];
+const ERROR_OUTCOMES = new Set([
+  "timeout",
+  "rag_unavailable",
+  "rag_error",
+  "error",
+]);
+
+export const INTERVALS = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+
+export function outcomeForResult(result) {
+  if (unmatchedReason(result)) return "unmatched";
+  if (result.clarify) return "clarify";
+  return "answered";
+}
+
+// Same classification as the student-facing error responses
+export function outcomeForError(error) {
+  if (error.code === "ECONNABORTED") return "timeout";
+  if (error.response) return "rag_error";
+  if (error.request) return "rag_unavailable";
+  return "error";
+}
+
+// Starts the clock for one query. finish() records it once; later calls
+// are ignored, so every exit path can call it safely.
+export function trackQuery({ route, question, sessionId }) {
+  const startedAt = Date.now();
+  let finished = false;
+
+  return {
+    finish(outcome, result = {}) {
+      if (finished) return;
+      finished = true;
+
+      analyticsStore
+        .append({
+          timestamp: new Date(startedAt).toISOString(),
+          route,
+          question: question.trim(),
+          sessionId: sessionId ?? null,
+          outcome,
+          latencyMs: Date.now() - startedAt,
+          category: result.category ?? null,
+          score: result.score ?? null,
+          cached: result.cached === true,
+        })
+        .catch((error) =>
+          logger.error("failed to record analytics", { error })
+        );
+    },
+  };
+}
+
+// ----------------- AGGREGATES -----------------
+export async function readQueries({ days }) {
+  const since = Date.now() - days * INTERVALS.day;
+  const records = await analyticsStore.readAll();
+  return records.filter((record) => Date.parse(record.timestamp) >= since);
+}
+
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[Math.max(0, index)];
+}
+
+const countBy = (records, key) => {
+  const counts = {};
+  for (const record of records) {
+    const value = key(record);
+    counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+};
+
+const bucketStart = (timestamp, interval) =>
+  new Date(
+    Math.floor(Date.parse(timestamp) / INTERVALS[interval]) *
+      INTERVALS[interval]
+  ).toISOString();
+
+export function summarizeQueries(records) {
+  // Cancelled requests say nothing about how fast we are
+  const latencies = records
+    .filter((record) => record.outcome !== "cancelled")
+    .map((record) => record.latencyMs);
+  const errors = records.filter((record) => ERROR_OUTCOMES.has(record.outcome));
+
+  return {
+    total: records.length,
+    outcomes: countBy(records, (record) => record.outcome),
+    errorRate: records.length ? errors.length / records.length : 0,
+    latencyMs: {
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      p99: percentile(latencies, 99),
+    },
+  };
+}
+
+export function topQuestions(records, limit) {
+  const questions = new Map();
+  for (const record of records) {
+    const key = normalizeQuestion(record.question);
+    if (!questions.has(key)) {
+      questions.set(key, {
+        question: record.question,
+        count: 0,
+        categories: {},
+      });
+    }
+    const entry = questions.get(key);
+    entry.count += 1;
+    if (record.category) {
+      entry.categories[record.category] =
+        (entry.categories[record.category] || 0) + 1;
+    }
+  }
+
+  return [...questions.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+// Questions asked in at least `minSessions` different conversations, most
+// widely asked first. Unlike topQuestions this is shown to students, so one
+// student repeating a question doesn't make it popular, and registration
+// numbers, emails and phone numbers are redacted (which also groups "my
+// attendance 12345678" with everyone else's).
+export function popularQuestions(records, { minSessions, limit }) {
+  const questions = new Map();
+  for (const record of records) {
+    if (!record.sessionId) continue;
+    const question = redact(record.question);
+    const key = normalizeQuestion(question);
+    if (!questions.has(key)) {
+      questions.set(key, { question, sessions: new Set(), categories: {} });
+    }
+    const entry = questions.get(key);
+    entry.sessions.add(record.sessionId);
+    if (record.category) {
+      entry.categories[record.category] =
+        (entry.categories[record.category] || 0) + 1;
+    }
+  }
+
+  return [...questions.values()]
+    .filter((entry) => entry.sessions.size >= minSessions)
+    .sort((a, b) => b.sessions.size - a.sessions.size)
+    .slice(0, limit)
+    .map(({ question, sessions, categories }) => ({
+      question,
+      sessions: sessions.size,
+      categories,
+    }));
+}
+
+// [{ start, total, categories: { name: count } }], oldest first. Queries
+// that matched nothing usable are counted under "(none)".
+export function categoryDistribution(records, interval) {
+  const buckets = new Map();
+  for (const record of records) {
+    const start = bucketStart(record.timestamp, interval);
+    if (!buckets.has(start)) {
+      buckets.set(start, { start, total: 0, categories: {} });
+    }
+    const bucket = buckets.get(start);
+    const category =
+      (record.outcome !== "unmatched" && record.category) || "(none)";
+    bucket.total += 1;
+    bucket.categories[category] = (bucket.categories[category] || 0) + 1;
+  }
+  return [...buckets.values()].sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// [{ start, total, errors, errorRate, outcomes }], oldest first
+export function errorRates(records, interval) {
+  const buckets = new Map();
+  for (const record of records) {
+    const start = bucketStart(record.timestamp, interval);
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(record);
+  }
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([start, bucket]) => {
+      const errors = bucket.filter((record) =>
+        ERROR_OUTCOMES.has(record.outcome)
+      ).length;
+      return {
+        start,
+        total: bucket.length,
+        errors,
+        errorRate: errors / bucket.length,
+        outcomes: countBy(bucket, (record) => record.outcome),
+      };
+    });
+}
@@ -0,0 +1,92 @@
+// ----------------- CIRCUIT BREAKER -----------------
+// Stops calling the RAG server once it keeps failing, so a dead or
+// cold-starting server isn't hammered with requests that will only time out.
+//
+//   closed     calls go through; consecutive failures are counted
+//   open       calls fail fast until the reset timeout has passed
+//   half_open  one trial call is let through; success closes the circuit,
+//              failure opens it again
+//
+//   CIRCUIT_FAILURE_THRESHOLD  consecutive failures that open it (default 5)
+//   CIRCUIT_RESET_SECONDS      how long it stays open (default 30)
+
+export const CIRCUIT_STATES = ["closed", "open", "half_open"];
+
+export class CircuitOpenError extends Error {
+  constructor(retryAt) {
+    super("RAG circuit is open");
+    this.name = "CircuitOpenError";
+    this.retryAt = retryAt;
+  }
+}
+
+export function createCircuitBreaker({
+  failureThreshold = Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+  resetMs = (Number(process.env.CIRCUIT_RESET_SECONDS) || 30) * 1000,
+  onStateChange = () => {},
+} = {}) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  // When the half-open trial started; a trial that never reports back (a
+  // cancelled stream) stops blocking others after resetMs
+  let trialStartedAt = null;
+
+  function transition(next) {
+    if (next === state) return;
+    const previous = state;
+    state = next;
+    onStateChange(next, previous);
+  }
+
+  // Throws CircuitOpenError instead of letting the call through
+  function beforeCall() {
+    if (state === "open") {
+      if (Date.now() - openedAt < resetMs) {
+        throw new CircuitOpenError(new Date(openedAt + resetMs));
+      }
+      transition("half_open");
+    }
+    if (state === "half_open") {
+      if (trialStartedAt !== null && Date.now() - trialStartedAt < resetMs) {
+        throw new CircuitOpenError(new Date(trialStartedAt + resetMs));
+      }
+      trialStartedAt = Date.now();
+    }
+  }
+
+  function recordSuccess() {
+    failures = 0;
+    trialStartedAt = null;
+    transition("closed");
+  }
+
+  function recordFailure() {
+    failures += 1;
+    trialStartedAt = null;
+    if (state === "half_open" || failures >= failureThreshold) {
+      openedAt = Date.now();
+      transition("open");
+    }
+  }
+
+  // The state a caller would see right now, without starting a trial
+  function currentState() {
+    if (state === "open" && Date.now() - openedAt >= resetMs) {
+      return "half_open";
+    }
+    return state;
+  }
+
+  function getStats() {
+    return {
+      state: currentState(),
+      consecutive_failures: failures,
+      failure_threshold: failureThreshold,
+      reset_seconds: resetMs / 1000,
+      opened_at: openedAt ? new Date(openedAt).toISOString() : null,
+    };
+  }
+
+  return { beforeCall, recordSuccess, recordFailure, currentState, getStats };
+}
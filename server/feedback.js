@@ -0,0 +1,180 @@
+import crypto from "crypto";
+import { createJsonlStore } from "./jsonl_store.js";
+import { logger } from "./logger.js";
+import { normalizeQuestion } from "./questions.js";
+
+// ----------------- STUDENT FEEDBACK -----------------
+// Thumbs up/down on answers, plus every question the RAG server could not
+// match, so the content team can see which UMS paths are missing or wrong.
+//
+//   FEEDBACK_FILE   feedback records (default data/feedback.jsonl)
+//   UNMATCHED_FILE  unmatched questions (default data/unmatched.jsonl)
+
+export const feedbackStore = createJsonlStore(
+  process.env.FEEDBACK_FILE || "data/feedback.jsonl"
+);
+export const unmatchedStore = createJsonlStore(
+  process.env.UNMATCHED_FILE || "data/unmatched.jsonl"
+);
+
+export const RATINGS = ["up", "down"];
+// Feedback is public and every record is kept, so each field is bounded.
+// Longer comments are refused (the client stops at this length); the other
+// fields are echoes of what the chat showed and are cut short instead.
+export const MAX_COMMENT_LENGTH = 1000;
+export const MAX_QUESTION_LENGTH = 500;
+const MAX_TEXT_LENGTH = 2000;
+
+export class FeedbackError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FeedbackError";
+    this.status = 400;
+  }
+}
+
+const optionalString = (value, field, max = MAX_TEXT_LENGTH) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string") {
+    throw new FeedbackError(`${field} must be a string`);
+  }
+  return value.trim().slice(0, max);
+};
+
+// Builds the record to store from a POST /api/feedback body
+export function createFeedbackRecord(body = {}) {
+  const { rating, question, score } = body;
+
+  if (!RATINGS.includes(rating)) {
+    throw new FeedbackError(`rating must be one of: ${RATINGS.join(", ")}`);
+  }
+  if (!question || typeof question !== "string" || !question.trim()) {
+    throw new FeedbackError("question is required");
+  }
+  if (score !== undefined && score !== null && typeof score !== "number") {
+    throw new FeedbackError("score must be a number");
+  }
+  const comment = optionalString(body.comment, "comment", Infinity);
+  if (comment && comment.length > MAX_COMMENT_LENGTH) {
+    throw new FeedbackError(
+      `comment must be at most ${MAX_COMMENT_LENGTH} characters`
+    );
+  }
+
+  return {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    rating,
+    comment,
+    question: question.trim().slice(0, MAX_QUESTION_LENGTH),
+    answer: optionalString(body.answer, "answer"),
+    path: optionalString(body.path, "path"),
+    category: optionalString(body.category, "category"),
+    score: score ?? null,
+    sessionId: optionalString(body.sessionId, "sessionId", 64),
+  };
+}
+
+// A RAG result counts as unmatched when nothing scored well enough to
+// answer with, or when generation refused to answer from what was found.
+export function unmatchedReason(result) {
+  if (!result.category) return "no-match";
+  if (result.clarify?.reason === "none" || result.clarify?.reason === "low") {
+    return "low-confidence";
+  }
+  if (result.synthesized === false) return "refused";
+  return null;
+}
+
+export function recordUnmatched(question, result) {
+  const reason = unmatchedReason(result);
+  if (!reason) return;
+
+  unmatchedStore
+    .append({
+      timestamp: new Date().toISOString(),
+      question: question.trim(),
+      reason,
+      category: result.category ?? null,
+      score: result.score ?? null,
+    })
+    .catch((error) =>
+      logger.error("failed to record unmatched question", { error })
+    );
+}
+
+// Lowest-rated answers (grouped by question and returned path) and the most
+// frequent unmatched questions, worst first.
+export async function buildFeedbackReport({ limit = 20 } = {}) {
+  const [feedback, unmatched] = await Promise.all([
+    feedbackStore.readAll(),
+    unmatchedStore.readAll(),
+  ]);
+
+  const answers = new Map();
+  for (const record of feedback) {
+    const key = `${normalizeQuestion(record.question)}\0${record.path ?? ""}`;
+    if (!answers.has(key)) {
+      answers.set(key, {
+        question: record.question,
+        path: record.path,
+        category: record.category,
+        score: record.score,
+        up: 0,
+        down: 0,
+        comments: [],
+        lastAt: record.timestamp,
+      });
+    }
+    const entry = answers.get(key);
+    entry[record.rating] += 1;
+    if (record.comment) entry.comments.push(record.comment);
+    entry.lastAt = record.timestamp;
+  }
+
+  const lowestRated = [...answers.values()]
+    .filter((entry) => entry.down > 0)
+    .sort((a, b) => b.down - b.up - (a.down - a.up) || b.down - a.down)
+    .slice(0, limit)
+    .map((entry) => ({ ...entry, comments: entry.comments.slice(-5) }));
+
+  const questions = new Map();
+  for (const record of unmatched) {
+    const key = normalizeQuestion(record.question);
+    if (!questions.has(key)) {
+      questions.set(key, {
+        question: record.question,
+        count: 0,
+        reasons: {},
+        bestGuess: null,
+        lastAt: record.timestamp,
+      });
+    }
+    const entry = questions.get(key);
+    entry.count += 1;
+    entry.reasons[record.reason] = (entry.reasons[record.reason] || 0) + 1;
+    if (
+      record.category &&
+      record.score > 0 &&
+      (!entry.bestGuess || record.score > entry.bestGuess.score)
+    ) {
+      entry.bestGuess = { category: record.category, score: record.score };
+    }
+    entry.lastAt = record.timestamp;
+  }
+
+  const neverMatched = [...questions.values()]
+    .sort((a, b) => b.count - a.count || b.lastAt.localeCompare(a.lastAt))
+    .slice(0, limit);
+
+  return {
+    totals: {
+      feedback: feedback.length,
+      up: feedback.filter((record) => record.rating === "up").length,
+      down: feedback.filter((record) => record.rating === "down").length,
+      unmatched: unmatched.length,
+    },
+    lowestRated,
+    neverMatched,
+  };
+}
@@ -1,49 +1,103 @@
-import dotenv from "dotenv";
-dotenv.config();
+// Must be the first import: modules below read process.env when loaded
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import axios from "axios";
+import crypto from "crypto";
+import { isRagUnavailable, ragCircuit, ragClient } from "./rag_client.js";
+import { CircuitOpenError } from "./circuit_breaker.js";
+import { fallbackAnswer, keywordSearch } from "./keyword_fallback.js";
+import { logger, requestLogger } from "./logger.js";
+import { httpMetrics, metricsHandler } from "./metrics.js";
+import { createSessionStore } from "./sessions.js";
+import { createResponseCache } from "./response_cache.js";
+import {
+  createRateLimitMiddleware,
+  loadRateLimitConfig,
+} from "./rate_limiter.js";
+import { isAllowedOrigin, loadAllowedOrigins } from "./allowed_origins.js";
+import {
+  FeedbackError,
+  buildFeedbackReport,
+  createFeedbackRecord,
+  feedbackStore,
+  recordUnmatched,
+} from "./feedback.js";
+import {
+  INTERVALS,
+  categoryDistribution,
+  errorRates,
+  outcomeForError,
+  outcomeForResult,
+  readQueries,
+  summarizeQueries,
+  popularQuestions,
+  topQuestions,
+  trackQuery,
+} from "./analytics.js";
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a proxy, req.ip must be the student's address, not the proxy's, for
+// per-IP rate limits to work. Off by default: trusting X-Forwarded-For when
+// nothing sets it would let any client pick its own IP. On Render (one
+// proxy in front of us) set TRUST_PROXY=1; any value Express's
+// "trust proxy" accepts works (a hop count, true, or IPs/subnets).
+function trustProxySetting(value = process.env.TRUST_PROXY) {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+app.set("trust proxy", trustProxySetting());
+
+// Longer questions are rejected before they cost an embedding call
+const MAX_QUESTION_LENGTH = Number(process.env.MAX_QUESTION_LENGTH) || 500;
+
 // ❗ Must exist in Render ENV
 const RAG_API_URL = process.env.RAG_API_URL;
 
+// Admin routes are disabled unless ADMIN_TOKEN is set. RAG_ADMIN_TOKEN is
+// what we present to the RAG server (defaults to the same token).
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const RAG_ADMIN_TOKEN = process.env.RAG_ADMIN_TOKEN || ADMIN_TOKEN;
+
+// Conversation history per session, so the RAG server can resolve follow-ups
+const sessions = createSessionStore();
+
+// Answers to repeat questions, dropped whenever the knowledge base changes
+const responseCache = createResponseCache();
+const CACHE_VERSION_CHECK_MS =
+  (Number(process.env.CACHE_VERSION_CHECK_SECONDS) || 60) * 1000;
+
 if (!RAG_API_URL) {
-  console.error(
-    "❌ CRITICAL ERROR: RAG_API_URL is missing in Environment Variables"
-  );
-  console.error("Please set RAG_API_URL in Render dashboard or .env file");
-  console.error("Example: RAG_API_URL=https://ums-rag-server.onrender.com");
+  logger.error("RAG_API_URL is missing in Environment Variables", {
+    hint: "Set RAG_API_URL in Render dashboard or .env file, e.g. https://ums-rag-server.onrender.com",
+  });
 }
 
 //
 // ------------------ CORS CONFIGURATION ------------------
 //
+// The app, its previews and any site embedding the widget; see
+// allowed_origins.js for CORS_ALLOWED_ORIGINS
+const allowedOrigins = loadAllowedOrigins();
+logger.info("allowed origins", { origins: allowedOrigins.origins });
+
 app.use(
   cors({
     origin: (origin, callback) => {
-      const allowed = [
-        "https://ums-live.vercel.app", // Production Vercel
-        "http://localhost:3000", // Local frontend
-      ];
-
-      // Allow ALL Vercel preview URLs + no origin (for tools like Postman)
-      if (
-        !origin ||
-        allowed.includes(origin) ||
-        (origin && origin.endsWith(".vercel.app"))
-      ) {
+      if (isAllowedOrigin(origin, allowedOrigins)) {
         callback(null, true);
       } else {
-        console.log("❌ BLOCKED ORIGIN:", origin);
+        logger.warn("blocked origin", { origin });
         callback(new Error("Not allowed by CORS"));
       }
     },
     credentials: true,
-    methods: ["GET", "POST", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id"],
+    exposedHeaders: ["X-Session-Id", "Retry-After", "X-Request-Id"],
   })
 );
 
@@ -51,16 +105,30 @@ app.use(
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// ✅ Request logging middleware
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`\n📥 [${timestamp}] ${req.method} ${req.path}`);
-  console.log(`   Origin: ${req.get("origin") || "No origin"}`);
-  if (req.body && Object.keys(req.body).length > 0) {
-    console.log(`   Body:`, JSON.stringify(req.body));
+// ✅ Request id + one log line per request (bodies are never logged)
+app.use(requestLogger(logger));
+app.use(httpMetrics());
+
+//
+// ------------------ QUERY LIMITS ------------------
+//
+const rateLimit = createRateLimitMiddleware(loadRateLimitConfig(), {
+  isLiveSession: (sessionId) => sessions.get(sessionId) !== null,
+});
+
+const limitQuestionLength = (req, res, next) => {
+  const { question } = req.body;
+  if (typeof question === "string" && question.length > MAX_QUESTION_LENGTH) {
+    req.log.warn("question too long", { length: question.length });
+    return res.status(413).json({
+      error: "Question too long",
+      answer: `Please keep your question under ${MAX_QUESTION_LENGTH} characters.`,
+    });
   }
   next();
-});
+};
+
+const queryLimits = [rateLimit, limitQuestionLength];
 
 //
 // ------------------ ROOT ROUTE ------------------
@@ -72,8 +140,19 @@ app.get("/", (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       health: "GET /health",
+      metrics: "GET /metrics",
       query: "POST /api/query",
+      queryStream: "POST /api/query/stream (SSE)",
+      session: "POST /api/session, DELETE /api/session/:sessionId",
+      feedback: "POST /api/feedback",
       ragHealth: "GET /api/rag-health",
+      menuTree: "GET /api/menu-tree",
+      menuTreeChildren: "GET /api/menu-tree/children?path=...",
+      suggest: "GET /api/suggest?q=...",
+      adminCategories: "GET|POST|PUT|DELETE /api/admin/categories/...",
+      adminFeedback: "GET /api/admin/feedback",
+      adminAnalytics:
+        "GET /api/admin/analytics/{summary,top-questions,categories,errors}",
     },
   });
 });
@@ -82,28 +161,37 @@ app.get("/", (req, res) => {
 // ------------------ HEALTH CHECK ------------------
 //
 app.get("/health", (req, res) => {
-  console.log("✅ Health check requested");
   res.json({
     status: "healthy",
     service: "UMS Backend Server",
     timestamp: new Date().toISOString(),
     rag_url: RAG_API_URL || "NOT CONFIGURED",
     environment: process.env.NODE_ENV || "development",
+    active_sessions: sessions.size,
+    cache: responseCache.getStats(),
+    rag_circuit: ragCircuit.getStats(),
   });
 });
 
 //
-// ------------------ PROXY QUERY TO RAG SERVER ------------------
+// ------------------ PROMETHEUS METRICS ------------------
 //
-app.post("/api/query", async (req, res) => {
-  console.log("🔍 Query request received");
+// Request counts and latencies here, RAG call latency and upstream errors
+// (see rag_client.js). The RAG server has its own /metrics.
+app.get("/metrics", metricsHandler);
 
+//
+// ------------------ PROXY QUERY TO RAG SERVER ------------------
+//
+app.post("/api/query", queryLimits, async (req, res) => {
+  let query = null;
+  let session = null;
   try {
-    const { question } = req.body;
+    const { question, sessionId } = req.body;
 
     // Validate question
     if (!question || typeof question !== "string" || !question.trim()) {
-      console.log("❌ Invalid or missing question");
+      req.log.warn("invalid or missing question");
       return res.status(400).json({
         error: "Question is required",
         answer: "Please provide a valid question to get an answer.",
@@ -112,7 +200,7 @@ app.post("/api/query", async (req, res) => {
 
     // Check if RAG_API_URL is configured
     if (!RAG_API_URL) {
-      console.error("❌ RAG_API_URL not configured");
+      req.log.error("RAG_API_URL not configured");
       return res.status(500).json({
         error: "Server configuration error",
         answer:
@@ -120,83 +208,687 @@ app.post("/api/query", async (req, res) => {
       });
     }
 
-    console.log(`📤 Forwarding to RAG: ${RAG_API_URL}/api/query`);
-    console.log(`   Question: "${question}"`);
+    session = sessions.resolve(sessionId);
+    query = trackQuery({
+      route: "/api/query",
+      question,
+      sessionId: session.sessionId,
+    });
+
+    const history = sessions.history(session.sessionId);
+    const cached = cachedAnswer(question, history);
+    if (cached) {
+      req.log.info("cache hit", { question });
+      recordResult(session.sessionId, question, cached);
+      query.finish(outcomeForResult(cached), cached);
+      return res.json({ ...cached, sessionId: session.sessionId });
+    }
+
+    req.log.info("forwarding query to RAG", {
+      question,
+      sessionId: session.sessionId,
+      turns: session.turns,
+    });
 
     // Forward to RAG server with timeout
-    const response = await axios.post(
+    const response = await ragClient.post(
       `${RAG_API_URL}/api/query`,
-      { question: question.trim() },
+      { question: question.trim(), history },
       {
         timeout: 30000, // 30 second timeout
+        retry: true,
+        headers: {
+          "Content-Type": "application/json",
+          "X-Request-Id": req.id,
+        },
+      }
+    );
+
+    req.log.info("RAG answered", {
+      category: response.data.category || null,
+      score: response.data.score ?? null,
+      alternatives: response.data.alternatives?.length || 0,
+      answerLength: response.data.answer?.length || 0,
+      rewrittenQuestion: response.data.rewrittenQuestion,
+    });
+
+    recordResult(session.sessionId, question, response.data);
+    cacheAnswer(question, response.data, response.headers["x-index-version"]);
+    query.finish(outcomeForResult(response.data), response.data);
+
+    // Pass answer, category, score and alternatives through untouched
+    res.json({ ...response.data, sessionId: session.sessionId });
+  } catch (error) {
+    if (session && isRagUnavailable(error)) {
+      const result = answerOffline(req, session.sessionId, error);
+      query.finish("degraded", result);
+      return res.json({ ...result, sessionId: session.sessionId });
+    }
+    query?.finish(outcomeForError(error));
+    sendQueryError(error, req, res);
+  }
+});
+
+//
+// ------------------ STREAM QUERY FROM RAG SERVER (SSE) ------------------
+//
+// Relays the RAG server's event stream byte for byte, so tokens reach the
+// browser as soon as they are produced. /api/query stays for JSON clients.
+app.post("/api/query/stream", queryLimits, async (req, res) => {
+  const { question, sessionId } = req.body;
+
+  if (!question || typeof question !== "string" || !question.trim()) {
+    req.log.warn("invalid or missing question");
+    return res.status(400).json({
+      error: "Question is required",
+      answer: "Please provide a valid question to get an answer.",
+    });
+  }
+
+  if (!RAG_API_URL) {
+    req.log.error("RAG_API_URL not configured");
+    return res.status(500).json({
+      error: "Server configuration error",
+      answer: "The server is not properly configured. Please contact support.",
+    });
+  }
+
+  const session = sessions.resolve(sessionId);
+  res.set("X-Session-Id", session.sessionId);
+
+  const query = trackQuery({
+    route: "/api/query/stream",
+    question,
+    sessionId: session.sessionId,
+  });
+
+  // Cancel the upstream request when the student cancels or leaves. After a
+  // finished stream finish() has already run and this is a no-op.
+  const abort = new AbortController();
+  res.on("close", () => {
+    abort.abort();
+    query.finish("cancelled");
+  });
+
+  const history = sessions.history(session.sessionId);
+  const cached = cachedAnswer(question, history);
+  if (cached) {
+    req.log.info("cache hit", { question });
+    recordResult(session.sessionId, question, cached);
+    query.finish(outcomeForResult(cached), cached);
+    return replayStream(res, cached);
+  }
+
+  try {
+    req.log.info("streaming query from RAG", {
+      question,
+      sessionId: session.sessionId,
+      turns: session.turns,
+    });
+
+    const response = await ragClient.post(
+      `${RAG_API_URL}/api/query/stream`,
+      { question: question.trim(), history },
+      {
+        responseType: "stream",
+        signal: abort.signal,
+        timeout: 30000, // no data for 30 seconds
+        retry: true,
         headers: {
           "Content-Type": "application/json",
+          "X-Request-Id": req.id,
         },
       }
     );
 
-    console.log("✅ Response received from RAG");
-    console.log(`   Answer length: ${response.data.answer?.length || 0} chars`);
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    // Read along to record the finished turn in the session
+    let meta = {};
+    watchSseEvents(response.data, (event, data) => {
+      if (event === "meta") meta = data;
+      if (event === "done") {
+        const result = { ...meta, ...data };
+        recordResult(session.sessionId, question, result);
+        cacheAnswer(question, result, response.headers["x-index-version"]);
+        query.finish(outcomeForResult(result), result);
+      }
+      if (event === "error") query.finish("rag_error", meta);
+    });
+
+    response.data.on("error", (error) => {
+      if (!abort.signal.aborted) {
+        req.log.error("RAG stream interrupted", { error });
+        query.finish("rag_error", meta);
+      }
+      res.end();
+    });
+    response.data.pipe(res);
+  } catch (error) {
+    if (abort.signal.aborted) {
+      req.log.info("stream cancelled by client");
+      return;
+    }
+    if (isRagUnavailable(error)) {
+      const result = answerOffline(req, session.sessionId, error);
+      query.finish("degraded", result);
+      return replayStream(res, result);
+    }
+    query.finish(outcomeForError(error));
+    sendQueryError(error, req, res);
+  }
+});
+
+// Sends a finished answer (cached, or from the keyword fallback) in the same
+// event order the RAG server uses
+function replayStream(res, result) {
+  const { answer, synthesized, citations, clarify, ...meta } = result;
+  const send = (event, data) =>
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  send("meta", meta);
+  send("token", { text: answer });
+  send("done", {
+    answer,
+    synthesized,
+    citations,
+    clarify,
+    cached: meta.cached,
+    degraded: meta.degraded,
+  });
+  res.end();
+}
+
+// Calls onEvent(name, data) for each event in a Server-Sent Events stream,
+// without consuming it for anyone else.
+function watchSseEvents(stream, onEvent) {
+  let buffer = "";
+  stream.on("data", (chunk) => {
+    buffer += chunk.toString();
+    const blocks = buffer.split("\n\n");
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      let event = "message";
+      let data = "";
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      try {
+        if (data) onEvent(event, JSON.parse(data));
+      } catch {
+        // Not ours to fix; the client sees the same bytes
+      }
+    }
+  });
+}
+
+//
+// ------------------ RESPONSE CACHE ------------------
+//
+// Follow-ups depend on the conversation, so only questions asked without
+// history are answered from the cache. Results the RAG server rewrote are
+// never stored for the same reason.
+function cachedAnswer(question, history) {
+  if (history.length > 0) return null;
+  const cached = responseCache.get(question);
+  return cached && { ...cached, cached: true };
+}
+
+function cacheAnswer(question, result, indexVersion) {
+  if (result.rewrittenQuestion) return;
+  const { sessionId, cached, ...answer } = result;
+  responseCache.set(question, answer, indexVersion);
+}
+
+// The cache also learns the version from every RAG answer; polling catches
+// edits made while every question is a cache hit.
+async function refreshCacheVersion() {
+  if (!RAG_API_URL) return;
+  try {
+    const response = await ragClient.get(`${RAG_API_URL}/health`, {
+      timeout: 10000,
+    });
+    responseCache.setVersion(response.data.index?.version);
+  } catch (error) {
+    logger.warn("could not check knowledge base version", { error });
+  }
+}
+
+// Keeps the turn for follow-ups and notes questions nothing matched. Misses
+// of the keyword fallback say nothing about the knowledge base.
+function recordResult(sessionId, question, result) {
+  if (!result.degraded) recordUnmatched(question, result);
+  sessions.append(sessionId, {
+    question: question.trim(),
+    rewrittenQuestion: result.rewrittenQuestion,
+    answer: result.answer,
+    category: result.category ?? null,
+  });
+}
+
+//
+// ------------------ DEGRADED MODE ------------------
+//
+// While the RAG server can't be reached (circuit open, or still failing
+// after retries) questions are answered by keyword matching instead of a
+// 503. Results carry `degraded: true` so the client can say so.
+function answerOffline(req, sessionId, error) {
+  const { question } = req.body;
+  const result = fallbackAnswer(question);
+  req.log.warn("RAG unavailable, answering from keyword fallback", {
+    reason: error instanceof CircuitOpenError ? "circuit_open" : "unreachable",
+    category: result.category,
+    score: result.score,
+  });
+  recordResult(sessionId, question, result);
+  return result;
+}
+
+// Maps an axios failure talking to the RAG server onto a student-facing
+// error response.
+function sendQueryError(error, req, res) {
+  // Handle timeout
+  if (error.code === "ECONNABORTED") {
+    req.log.error("RAG request timed out", { error });
+    return res.status(504).json({
+      error: "Request timeout",
+      answer:
+        "The request took too long to process. Please try again with a simpler question.",
+    });
+  }
+
+  // Handle RAG server errors
+  if (error.response) {
+    // Streamed responses carry a stream here, not the error body
+    const data =
+      typeof error.response.data?.pipe === "function"
+        ? undefined
+        : error.response.data;
+    req.log.error("RAG server error", {
+      status: error.response.status,
+      data,
+    });
+
+    return res.status(error.response.status).json({
+      error: "Error from RAG API",
+      answer:
+        "Sorry, there was an error processing your question. Please try again.",
+      details: process.env.NODE_ENV === "development" ? data : undefined,
+    });
+  }
+
+  // Handle connection errors
+  if (error.request) {
+    req.log.error("no response from RAG server", { error });
+    return res.status(503).json({
+      error: "RAG API unavailable",
+      answer:
+        "The AI service is currently unavailable. Please try again in a moment.",
+    });
+  }
+
+  // Handle other errors
+  req.log.error("unexpected error", { error, stack: error.stack });
+
+  res.status(500).json({
+    error: "Internal server error",
+    answer: "An unexpected error occurred. Please try again.",
+  });
+}
+
+//
+// ------------------ CONVERSATION SESSIONS ------------------
+//
+// Sessions are also started implicitly by the query routes; this lets a
+// client begin a fresh conversation up front.
+app.post("/api/session", rateLimit, (req, res) => {
+  const session = sessions.create();
+  req.log.info("session started", { sessionId: session.sessionId });
+  res.status(201).json(session);
+});
+
+// Forgets the conversation history; the next query starts a new session
+app.delete("/api/session/:sessionId", (req, res) => {
+  const cleared = sessions.clear(req.params.sessionId);
+  req.log.info(cleared ? "session cleared" : "session not found", {
+    sessionId: req.params.sessionId,
+  });
+  if (!cleared) {
+    return res.status(404).json({ error: "Session not found or expired" });
+  }
+  res.json({ sessionId: req.params.sessionId, cleared: true });
+});
+
+//
+// ------------------ STUDENT FEEDBACK ------------------
+//
+// Rate-limited like questions: every rating is a disk write
+app.post("/api/feedback", rateLimit, async (req, res) => {
+  try {
+    const record = createFeedbackRecord(req.body);
+    await feedbackStore.append(record);
+
+    req.log.info("feedback received", {
+      rating: record.rating,
+      question: record.question,
+      comment: record.comment,
+    });
+    res.status(201).json({ id: record.id });
+  } catch (error) {
+    if (error instanceof FeedbackError) {
+      req.log.warn("invalid feedback", { error });
+      return res.status(error.status).json({ error: error.message });
+    }
+    req.log.error("failed to store feedback", { error });
+    res.status(500).json({ error: "Could not save feedback" });
+  }
+});
+
+//
+// ------------------ PROXY MENU TREE TO RAG SERVER ------------------
+//
+// Read-only GET routes are forwarded as-is, query string included.
+const proxyRagGet = (ragPath) => async (req, res) => {
+  try {
+    if (!RAG_API_URL) {
+      req.log.error("RAG_API_URL not configured");
+      return res.status(500).json({ error: "Server configuration error" });
+    }
+
+    const response = await ragClient.get(`${RAG_API_URL}${ragPath}`, {
+      params: req.query,
+      timeout: 10000, // 10 second timeout
+      retry: true,
+      headers: { "X-Request-Id": req.id },
+    });
 
     res.json(response.data);
   } catch (error) {
-    console.error("\n❌ ERROR in /api/query:");
-    console.error(`   Message: ${error.message}`);
+    sendProxyError(req, res, error, ragPath);
+  }
+};
 
-    // Handle timeout
-    if (error.code === "ECONNABORTED") {
-      console.error("   Type: Request timeout");
-      return res.status(504).json({
-        error: "Request timeout",
-        answer:
-          "The request took too long to process. Please try again with a simpler question.",
+function sendProxyError(req, res, error, ragPath) {
+  req.log.error("RAG proxy failed", { ragPath, error });
+
+  if (error.code === "ECONNABORTED") {
+    return res.status(504).json({ error: "Request timeout" });
+  }
+
+  // Pass RAG validation errors (400/404/409) straight through
+  if (error.response) {
+    return res.status(error.response.status).json(error.response.data);
+  }
+
+  if (error.request) {
+    return res.status(503).json({ error: "RAG API unavailable" });
+  }
+
+  res.status(500).json({ error: "Internal server error" });
+}
+
+app.get("/api/menu-tree", proxyRagGet("/api/menu-tree"));
+app.get("/api/menu-tree/children", proxyRagGet("/api/menu-tree/children"));
+
+//
+// ------------------ QUESTION SUGGESTIONS ------------------
+//
+// Typeahead for the chat input. Matching happens on the RAG server; with an
+// empty `q` the questions students asked most this week go in front of its
+// starter questions. While the RAG server is unreachable, the keyword
+// fallback suggests paths instead.
+const POPULAR_DAYS = 7;
+const POPULAR_LIMIT = 5;
+// A question only counts as popular once it was asked in several
+// conversations, so nobody's one-off question is shown to everyone
+const POPULAR_MIN_SESSIONS = 3;
+const POPULAR_TTL_MS = 10 * 60 * 1000;
+let popular = { expiresAt: 0, suggestions: [] };
+
+// Read from the analytics log at most every ten minutes; keystrokes must
+// not each scan the file
+async function popularSuggestions() {
+  if (Date.now() < popular.expiresAt) return popular.suggestions;
+
+  const records = await readQueries({ days: POPULAR_DAYS });
+  const answered = records.filter((record) => record.outcome === "answered");
+  const suggestions = popularQuestions(answered, {
+    minSessions: POPULAR_MIN_SESSIONS,
+    limit: POPULAR_LIMIT,
+  }).map((entry) => ({
+    type: "popular",
+    label: entry.question,
+    query: entry.question,
+    category:
+      Object.entries(entry.categories).sort((a, b) => b[1] - a[1])[0]?.[0] ??
+      null,
+  }));
+
+  popular = { expiresAt: Date.now() + POPULAR_TTL_MS, suggestions };
+  return suggestions;
+}
+
+const keywordSuggestions = (question) =>
+  keywordSearch(question, 5).map((result) => ({
+    type: "path",
+    label: result.path.split("->").pop().trim(),
+    query: result.path,
+    category: result.category,
+    path: result.path,
+  }));
+
+app.get("/api/suggest", async (req, res) => {
+  const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  const starters = query
+    ? []
+    : await popularSuggestions().catch((error) => {
+        req.log.warn("could not read popular questions", { error });
+        return [];
       });
+
+  try {
+    if (!RAG_API_URL) {
+      req.log.error("RAG_API_URL not configured");
+      return res.status(500).json({ error: "Server configuration error" });
     }
 
-    // Handle RAG server errors
-    if (error.response) {
-      console.error(`   Type: RAG server error`);
-      console.error(`   Status: ${error.response.status}`);
-      console.error(`   Data:`, error.response.data);
+    // Short timeout and no retries: a late suggestion is a useless one
+    const response = await ragClient.get(`${RAG_API_URL}/api/suggest`, {
+      params: req.query,
+      timeout: 5000,
+      headers: { "X-Request-Id": req.id },
+    });
 
-      return res.status(error.response.status).json({
-        error: "Error from RAG API",
-        answer:
-          "Sorry, there was an error processing your question. Please try again.",
-        details:
-          process.env.NODE_ENV === "development"
-            ? error.response.data
-            : undefined,
+    res.json({
+      ...response.data,
+      suggestions: [...starters, ...response.data.suggestions],
+    });
+  } catch (error) {
+    if (isRagUnavailable(error)) {
+      req.log.warn("RAG unavailable, suggesting from keywords", {
+        reason:
+          error instanceof CircuitOpenError ? "circuit_open" : "unreachable",
       });
+      return res.json({
+        query,
+        suggestions: query ? keywordSuggestions(query) : starters,
+        degraded: true,
+      });
+    }
+    sendProxyError(req, res, error, "/api/suggest");
+  }
+});
+
+//
+// ------------------ ADMIN: KNOWLEDGE BASE EDITING ------------------
+//
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ error: "Admin API is disabled" });
+  }
+
+  const header = req.get("authorization") || "";
+  const token = Buffer.from(
+    header.startsWith("Bearer ") ? header.slice(7) : ""
+  );
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (
+    token.length !== expected.length ||
+    !crypto.timingSafeEqual(token, expected)
+  ) {
+    req.log.warn("invalid admin token");
+    return res.status(401).json({ error: "Invalid admin token" });
+  }
+  next();
+};
+
+// Forwarded as-is (method, path, query, body) with the RAG admin token
+app.use("/api/admin/categories", requireAdmin, async (req, res) => {
+  req.log.info("admin knowledge base request", {
+    method: req.method,
+    path: req.originalUrl,
+  });
+
+  try {
+    if (!RAG_API_URL) {
+      return res.status(500).json({ error: "Server configuration error" });
+    }
+
+    const response = await ragClient.request({
+      method: req.method,
+      url: `${RAG_API_URL}${req.originalUrl}`,
+      data: req.body,
+      timeout: 60000, // re-embedding a renamed category can take a while
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${RAG_ADMIN_TOKEN}`,
+        "X-Request-Id": req.id,
+      },
+    });
+
+    // Edits bump the index version; stop serving old answers right away
+    if (response.data?.indexVersion) {
+      responseCache.setVersion(response.data.indexVersion);
     }
 
-    // Handle connection errors
+    res.status(response.status).json(response.data);
+  } catch (error) {
+    req.log.error("admin request failed", { error });
+
+    if (error.code === "ECONNABORTED") {
+      return res.status(504).json({ error: "Request timeout" });
+    }
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
     if (error.request) {
-      console.error("   Type: No response from RAG server");
-      return res.status(503).json({
-        error: "RAG API unavailable",
-        answer:
-          "The AI service is currently unavailable. Please try again in a moment.",
-      });
+      return res.status(503).json({ error: "RAG API unavailable" });
     }
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    // Handle other errors
-    console.error("   Type: Unexpected error");
-    console.error("   Stack:", error.stack);
+//
+// ------------------ ADMIN: FEEDBACK REPORT ------------------
+//
+// Which answers students disliked and which questions nothing matched, to
+// tell the content team what to add to ums_paths.json
+app.get("/api/admin/feedback", requireAdmin, async (req, res) => {
+  const limit = positiveIntParam(req, "limit", 20);
+  if (limit === null) {
+    return res.status(400).json({ error: "limit must be a positive integer" });
+  }
 
-    res.status(500).json({
-      error: "Internal server error",
-      answer: "An unexpected error occurred. Please try again.",
-    });
+  try {
+    res.json(await buildFeedbackReport({ limit }));
+  } catch (error) {
+    req.log.error("failed to build feedback report", { error });
+    res.status(500).json({ error: "Could not read feedback" });
   }
 });
 
+//
+// ------------------ ADMIN: QUERY ANALYTICS ------------------
+//
+// All take ?days= (default 7). Time series also take ?interval=hour|day.
+const analyticsRoute = (build) => async (req, res) => {
+  const days = positiveIntParam(req, "days", 7);
+  const limit = positiveIntParam(req, "limit", 10);
+  const interval = req.query.interval || "day";
+  if (days === null || limit === null) {
+    return res
+      .status(400)
+      .json({ error: "days and limit must be positive integers" });
+  }
+  if (!INTERVALS[interval]) {
+    return res.status(400).json({
+      error: `interval must be one of: ${Object.keys(INTERVALS).join(", ")}`,
+    });
+  }
+
+  try {
+    const records = await readQueries({ days });
+    res.json({ days, ...build(records, { limit, interval }) });
+  } catch (error) {
+    req.log.error("failed to read analytics", { error });
+    res.status(500).json({ error: "Could not read analytics" });
+  }
+};
+
+app.get(
+  "/api/admin/analytics/summary",
+  requireAdmin,
+  analyticsRoute((records) => summarizeQueries(records))
+);
+app.get(
+  "/api/admin/analytics/top-questions",
+  requireAdmin,
+  analyticsRoute((records, { limit }) => ({
+    questions: topQuestions(records, limit),
+  }))
+);
+app.get(
+  "/api/admin/analytics/categories",
+  requireAdmin,
+  analyticsRoute((records, { interval }) => ({
+    interval,
+    buckets: categoryDistribution(records, interval),
+  }))
+);
+app.get(
+  "/api/admin/analytics/errors",
+  requireAdmin,
+  analyticsRoute((records, { interval }) => ({
+    interval,
+    buckets: errorRates(records, interval),
+  }))
+);
+
+// Reads an optional positive integer query parameter; null if invalid
+function positiveIntParam(req, name, fallback) {
+  if (req.query[name] === undefined) return fallback;
+  const value = Number(req.query[name]);
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
+
 //
 // ------------------ CHECK RAG SERVER HEALTH ------------------
 //
 app.get("/api/rag-health", async (req, res) => {
-  console.log("🏥 RAG health check requested");
-
   try {
     if (!RAG_API_URL) {
       return res.status(500).json({
@@ -205,14 +897,11 @@ app.get("/api/rag-health", async (req, res) => {
       });
     }
 
-    console.log(`   Checking: ${RAG_API_URL}/health`);
-
-    const response = await axios.get(`${RAG_API_URL}/health`, {
+    const response = await ragClient.get(`${RAG_API_URL}/health`, {
       timeout: 10000, // 10 second timeout
+      headers: { "X-Request-Id": req.id },
     });
 
-    console.log("✅ RAG server is healthy");
-
     res.json({
       status: "connected",
       message: "RAG API is healthy and reachable",
@@ -220,13 +909,16 @@ app.get("/api/rag-health", async (req, res) => {
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    console.error("❌ RAG health check failed");
-    console.error(`   Error: ${error.message}`);
+    req.log.error("RAG health check failed", { error });
 
     res.status(503).json({
-      status: "unavailable",
-      message: "RAG API is not reachable",
+      status: error instanceof CircuitOpenError ? "degraded" : "unavailable",
+      message:
+        error instanceof CircuitOpenError
+          ? "RAG API keeps failing; answering from keyword fallback"
+          : "RAG API is not reachable",
       error: error.message,
+      circuit: ragCircuit.getStats(),
       timestamp: new Date().toISOString(),
     });
   }
@@ -236,7 +928,6 @@ app.get("/api/rag-health", async (req, res) => {
 // ------------------ 404 HANDLER (MUST BE LAST) ------------------
 //
 app.use((req, res) => {
-  console.log(`❌ 404 - Route not found: ${req.method} ${req.path}`);
   res.status(404).json({
     error: "Route not found",
     path: req.path,
@@ -244,8 +935,19 @@ app.use((req, res) => {
     availableRoutes: [
       "GET /",
       "GET /health",
+      "GET /metrics",
       "POST /api/query",
+      "POST /api/query/stream",
+      "POST /api/session",
+      "DELETE /api/session/:sessionId",
+      "POST /api/feedback",
       "GET /api/rag-health",
+      "GET /api/menu-tree",
+      "GET /api/menu-tree/children",
+      "GET /api/suggest",
+      "* /api/admin/categories/...",
+      "GET /api/admin/feedback",
+      "GET /api/admin/analytics/...",
     ],
     message: "The requested endpoint does not exist",
   });
@@ -255,8 +957,10 @@ app.use((req, res) => {
 // ------------------ ERROR HANDLER ------------------
 //
 app.use((err, req, res, next) => {
-  console.error("\n❌ UNHANDLED ERROR:");
-  console.error(err.stack);
+  (req.log || logger).error("unhandled error", {
+    error: err,
+    stack: err.stack,
+  });
 
   res.status(500).json({
     error: "Internal server error",
@@ -271,35 +975,23 @@ app.use((err, req, res, next) => {
 // ------------------ START SERVER ------------------
 //
 app.listen(PORT, "0.0.0.0", () => {
-  console.log("\n╔═══════════════════════════════════════════════════╗");
-  console.log("║     🚀 UMS CHATBOT BACKEND SERVER STARTED       ║");
-  console.log("╚═══════════════════════════════════════════════════╝\n");
-  console.log(`📍 Server URL:  http://localhost:${PORT}`);
-  console.log(`🔗 RAG Server:  ${RAG_API_URL || "⚠️  NOT CONFIGURED"}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || "development"}`);
-  console.log(`⏰ Started at:  ${new Date().toLocaleString()}\n`);
-  console.log("Available endpoints:");
-  console.log(`  • GET  /              - API info`);
-  console.log(`  • GET  /health        - Health check`);
-  console.log(`  • POST /api/query     - Send query to RAG`);
-  console.log(`  • GET  /api/rag-health - Check RAG status\n`);
+  logger.info("UMS chatbot backend server started", {
+    url: `http://localhost:${PORT}`,
+    ragUrl: RAG_API_URL || null,
+    environment: process.env.NODE_ENV || "development",
+  });
 
-  if (!RAG_API_URL) {
-    console.log("⚠️  WARNING: RAG_API_URL is not set!");
-    console.log("   Set it in Render dashboard Environment Variables");
-    console.log(
-      "   Example: RAG_API_URL=https://ums-rag-server.onrender.com\n"
-    );
-  }
+  responseCache.load().then(refreshCacheVersion);
+  setInterval(refreshCacheVersion, CACHE_VERSION_CHECK_MS).unref();
 });
 
 // Handle graceful shutdown
 process.on("SIGTERM", () => {
-  console.log("\n👋 SIGTERM received, shutting down gracefully...");
+  logger.info("SIGTERM received, shutting down gracefully");
   process.exit(0);
 });
 
 process.on("SIGINT", () => {
-  console.log("\n👋 SIGINT received, shutting down gracefully...");
+  logger.info("SIGINT received, shutting down gracefully");
   process.exit(0);
 });
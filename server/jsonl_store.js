@@ -0,0 +1,46 @@
+import fs from "fs/promises";
+import path from "path";
+
+// ----------------- JSONL STORE -----------------
+// Append-only file with one JSON record per line. Small enough for the
+// volume one campus produces, needs no database, and survives restarts.
+// Appends are queued so concurrent requests never interleave lines.
+export function createJsonlStore(file) {
+  let pending = Promise.resolve();
+
+  function append(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    const write = pending.then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, line, "utf-8");
+    });
+    // A failed write must not block the ones queued after it
+    pending = write.catch(() => {});
+    return write;
+  }
+
+  // Every record, oldest first. Lines that don't parse (e.g. a write cut off
+  // by a crash) are skipped.
+  async function readAll() {
+    let text;
+    try {
+      text = await fs.readFile(file, "utf-8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const line of text.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // skip
+      }
+    }
+    return records;
+  }
+
+  return { file, append, readAll };
+}
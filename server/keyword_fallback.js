@@ -0,0 +1,158 @@
+import fs from "fs";
+
+// ----------------- OFFLINE KEYWORD FALLBACK -----------------
+// Answers questions without the RAG server while its circuit is open, by
+// matching keywords against a bundled copy of the knowledge base. Much
+// cruder than embeddings, but a likely path beats "service unavailable".
+// Results look like RAG results with `degraded: true` added.
+//
+// ums_paths.json here is a copy of rag/ums_paths.json (the services deploy
+// separately). Refresh it with `npm run sync-paths` after editing the
+// knowledge base.
+
+const PATHS_FILE = new URL("./ums_paths.json", import.meta.url);
+
+export const NO_FALLBACK_MATCH_ANSWER =
+  "The assistant is running in limited mode right now and couldn't find a match. Please try again in a minute.";
+
+// Words that say nothing about where to go
+const STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "can",
+  "do",
+  "does",
+  "for",
+  "from",
+  "how",
+  "i",
+  "in",
+  "is",
+  "it",
+  "me",
+  "my",
+  "of",
+  "on",
+  "or",
+  "please",
+  "the",
+  "to",
+  "what",
+  "where",
+  "which",
+  "with",
+]);
+
+const tokenize = (text) =>
+  text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOPWORDS.has(word));
+
+// "attend" finds "attendance" and "results" finds "result"
+const wordsMatch = (a, b) =>
+  a === b ||
+  (Math.min(a.length, b.length) >= 4 && (a.startsWith(b) || b.startsWith(a)));
+
+let index = null;
+
+// Built on first use, so a healthy RAG server never costs us the parse
+function loadIndex() {
+  if (index) return index;
+
+  const { UMS_Chatbot_Paths: categories } = JSON.parse(
+    fs.readFileSync(PATHS_FILE, "utf-8")
+  );
+  const entries = Object.entries(categories).flatMap(([category, paths]) =>
+    paths.map((path) => {
+      const steps = path.split("->").map((step) => step.trim());
+      return {
+        path,
+        category,
+        words: [...new Set(tokenize(`${category} ${path}`))],
+        leafWords: tokenize(steps[steps.length - 1]),
+      };
+    })
+  );
+
+  // Rare words (e.g. "hostel") tell paths apart better than common ones
+  // ("login", "umshome")
+  const documentFrequency = new Map();
+  for (const entry of entries) {
+    for (const word of entry.words) {
+      documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+    }
+  }
+
+  index = { entries, documentFrequency };
+  return index;
+}
+
+// Best `k` paths for the question, best first, with a 0-1 score: the share
+// of the question's (weighted) keywords the path contains.
+export function keywordSearch(question, k = 3) {
+  const { entries, documentFrequency } = loadIndex();
+  const weight = (word) => {
+    let df = 0;
+    for (const [known, count] of documentFrequency) {
+      if (wordsMatch(word, known)) df = Math.max(df, count);
+    }
+    return df ? Math.log(1 + entries.length / df) : 0;
+  };
+
+  const queryWords = [...new Set(tokenize(question))]
+    .map((word) => ({ word, weight: weight(word) }))
+    .filter(({ weight }) => weight > 0);
+  const total = queryWords.reduce((sum, { weight }) => sum + weight, 0);
+  if (total === 0) return [];
+
+  return entries
+    .map((entry) => {
+      let matched = 0;
+      let leafHits = 0;
+      for (const { word, weight } of queryWords) {
+        if (entry.words.some((w) => wordsMatch(word, w))) matched += weight;
+        if (entry.leafWords.some((w) => wordsMatch(word, w))) leafHits += 1;
+      }
+      return { entry, score: matched / total, leafHits };
+    })
+    .filter(({ score }) => score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.leafHits - a.leafHits ||
+        a.entry.path.length - b.entry.path.length
+    )
+    .slice(0, k)
+    .map(({ entry, score }) => ({
+      path: entry.path,
+      category: entry.category,
+      score: Number(score.toFixed(4)),
+    }));
+}
+
+// A result shaped like the RAG server's /api/query response
+export function fallbackAnswer(question) {
+  const results = keywordSearch(question);
+  const [best, ...alternatives] = results;
+  if (!best) {
+    return {
+      answer: NO_FALLBACK_MATCH_ANSWER,
+      category: null,
+      score: null,
+      alternatives: [],
+      sources: [],
+      degraded: true,
+    };
+  }
+  return {
+    answer: best.path,
+    category: best.category,
+    score: best.score,
+    alternatives,
+    sources: results.map((result, i) => ({ id: i + 1, ...result })),
+    degraded: true,
+  };
+}
@@ -0,0 +1,138 @@
+import crypto from "crypto";
+import { SERVICE } from "./service_name.js";
+
+// ----------------- STRUCTURED LOGGING -----------------
+// One JSON object per line, with a level, the service name and the request
+// id, so logs from both services can be searched and joined on requestId.
+// Student text goes through redact() first: registration numbers, emails
+// and phone numbers never reach the logs.
+//
+//   LOG_LEVEL   debug | info | warn | error (default info)
+//   LOG_FORMAT  json (default) | pretty for reading locally
+//
+// Shared with the backend: this file is the original and server/logger.js
+// is a copy (the services deploy separately). Edit it here, then run
+// `npm run sync-shared` in server/; a server test fails while they differ.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+const PRETTY = process.env.LOG_FORMAT === "pretty";
+
+// Applied in order: phone numbers before registration numbers so the digits
+// of a phone number are not half-matched as a registration number.
+const REDACTIONS = [
+  [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, "[email]"],
+  // 10-13 digits, optionally with a leading + and space/dash separators
+  [/\+?\d(?:[\s-]?\d){9,12}/g, "[phone]"],
+  // UMS registration numbers are 8 digits
+  [/\b\d{8}\b/g, "[reg-no]"],
+];
+
+// Our own identifiers; a UUID or hash segment can look like a phone or
+// registration number
+const UNREDACTED_FIELDS = new Set([
+  "time",
+  "requestId",
+  "sessionId",
+  "version",
+]);
+
+export function redact(value, depth = 0) {
+  if (typeof value === "string") {
+    return REDACTIONS.reduce(
+      (text, [pattern, replacement]) => text.replace(pattern, replacement),
+      value
+    );
+  }
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redact(value.message),
+      ...(value.code && { code: value.code }),
+      ...(MIN_LEVEL <= LEVELS.debug && { stack: redact(value.stack) }),
+    };
+  }
+  if (depth > 5 || value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value).map(([k, v]) => [
+      k,
+      UNREDACTED_FIELDS.has(k) ? v : redact(v, depth + 1),
+    ])
+  );
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    service: SERVICE,
+    msg,
+    ...bindings,
+    ...fields,
+  });
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (PRETTY) {
+    const { time, level: _, service, msg: text, ...rest } = entry;
+    const extra = Object.entries(rest)
+      .map(([k, v]) => `${k}=${typeof v === "object" ? JSON.stringify(v) : v}`)
+      .join(" ");
+    stream.write(
+      `${time} ${level.toUpperCase().padEnd(5)} [${service}] ${text} ${extra}\n`
+    );
+  } else {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+// logger.info("message", { any: "fields" }); child() adds fields to every
+// line it logs, e.g. the request id.
+export function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write("debug", bindings, msg, fields),
+    info: (msg, fields) => write("info", bindings, msg, fields),
+    warn: (msg, fields) => write("warn", bindings, msg, fields),
+    error: (msg, fields) => write("error", bindings, msg, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra }),
+  };
+}
+
+export const logger = createLogger();
+
+// Ids we accept from upstream; anything else is replaced with a new one
+const REQUEST_ID = /^[\w-]{1,64}$/;
+
+// Express middleware: gives every request an id (reusing X-Request-Id from
+// the caller when present), a req.log child logger, and one summary line
+// when the response is finished. Bodies are never logged here.
+export function requestLogger(base = logger) {
+  return (req, res, next) => {
+    const incoming = req.get("x-request-id");
+    req.id =
+      incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = base.child({ requestId: req.id });
+    res.set("X-Request-Id", req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on("finish", () => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      const level =
+        res.statusCode >= 500
+          ? "error"
+          : res.statusCode >= 400
+            ? "warn"
+            : "info";
+      req.log[level]("request completed", {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Number(durationMs.toFixed(1)),
+        origin: req.get("origin"),
+      });
+    });
+    next();
+  };
+}
@@ -0,0 +1,56 @@
+// ----------------- QUESTION NORMALIZATION -----------------
+// "How do I pay fees?" and "how do i pay fees" are the same question for
+// reporting purposes: lowercase, collapse whitespace, drop trailing
+// punctuation.
+export function normalizeQuestion(question) {
+  return question
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/[\s?.!]+$/, "")
+    .trim();
+}
+
+// Words that don't change which UMS menu a question is about
+const FILLER_WORDS = new Set([
+  "a",
+  "an",
+  "the",
+  "my",
+  "me",
+  "i",
+  "you",
+  "please",
+  "kindly",
+  "pls",
+  "plz",
+  "can",
+  "could",
+  "would",
+  "do",
+  "does",
+  "how",
+  "where",
+  "what",
+  "is",
+  "are",
+  "to",
+  "tell",
+  "show",
+  "find",
+  "want",
+  "need",
+  "hi",
+  "hello",
+  "hey",
+]);
+
+// Stricter than normalizeQuestion, for the response cache key: also drops
+// punctuation and filler words, so "How do I download my admit card?" and
+// "download admit card please" collide.
+export function questionKey(question) {
+  return normalizeQuestion(question)
+    .replace(/[^\p{L}\p{N}\s]+/gu, " ")
+    .split(" ")
+    .filter((word) => word && !FILLER_WORDS.has(word))
+    .join(" ");
+}
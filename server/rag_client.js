@@ -0,0 +1,203 @@
+import axios from "axios";
+import crypto from "crypto";
+import { CircuitOpenError, createCircuitBreaker } from "./circuit_breaker.js";
+import { logger } from "./logger.js";
+import {
+  SIGNATURE_HEADERS,
+  canonicalRequest,
+  sign,
+} from "./request_signing.js";
+import { counter, gauge, histogram } from "./metrics.js";
+
+// ----------------- RAG SERVER CLIENT -----------------
+// Every call to the RAG server goes through this axios instance, which signs
+// it (see request_signing.js) so the RAG server can tell it really came from
+// us.
+//
+//   SERVICE_AUTH_SECRET  shared secret; unset = requests go out unsigned
+
+export const ragClient = axios.create();
+
+ragClient.interceptors.request.use((config) => {
+  const secret = process.env.SERVICE_AUTH_SECRET;
+  if (!secret) return config;
+
+  // Sign exactly the bytes we send
+  if (config.data !== undefined && typeof config.data !== "string") {
+    config.data = JSON.stringify(config.data);
+    config.headers.set("Content-Type", "application/json");
+  }
+
+  const url = new URL(ragClient.getUri(config));
+  const timestamp = String(Date.now());
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const signature = sign(
+    secret,
+    canonicalRequest({
+      timestamp,
+      nonce,
+      method: config.method || "get",
+      path: `${url.pathname}${url.search}`,
+      body: config.data,
+    })
+  ).toString("hex");
+
+  config.headers.set(SIGNATURE_HEADERS.timestamp, timestamp);
+  config.headers.set(SIGNATURE_HEADERS.nonce, nonce);
+  config.headers.set(SIGNATURE_HEADERS.signature, signature);
+  return config;
+});
+
+// ----------------- RAG CALL METRICS -----------------
+const ragDuration = histogram({
+  name: "rag_proxy_duration_seconds",
+  help: "Time until the RAG server responds (headers, for streams), by RAG route.",
+  labelNames: ["route"],
+});
+
+const ragErrors = counter({
+  name: "rag_upstream_errors_total",
+  help: "Failed calls to the RAG server, by RAG route and type (timeout, response, no_response).",
+  labelNames: ["route", "type"],
+});
+
+// Admin paths carry category names; keep one series for all of them
+function ragRoute(config) {
+  const { pathname } = new URL(ragClient.getUri(config));
+  return pathname.startsWith("/api/admin/")
+    ? "/api/admin/categories"
+    : pathname;
+}
+
+// Same split as the query routes' error handling in index.js
+function upstreamErrorType(error) {
+  if (error.code === "ECONNABORTED") return "timeout";
+  if (error.response) return "response";
+  if (error.request) return "no_response";
+  return null;
+}
+
+ragClient.interceptors.request.use((config) => {
+  config.stopTimer = ragDuration.startTimer({ route: ragRoute(config) });
+  return config;
+});
+
+ragClient.interceptors.response.use(
+  (response) => {
+    response.config.stopTimer?.();
+    return response;
+  },
+  (error) => {
+    // A student cancelling a stream is not a RAG failure
+    const type = axios.isCancel(error) ? null : upstreamErrorType(error);
+    if (error.config) {
+      error.config.stopTimer?.();
+      if (type) ragErrors.inc({ route: ragRoute(error.config), type });
+    }
+    return Promise.reject(error);
+  }
+);
+
+// ----------------- RETRIES AND CIRCUIT BREAKER -----------------
+// Calls made with `retry: true` (read-only ones, never admin edits) are
+// retried when the RAG server can't be reached or answers 502/503/504, as it
+// does while cold-starting on Render. Backoff uses full jitter so students
+// retrying at the same moment don't all arrive together. Every call also
+// passes one circuit breaker: while it is open, calls fail fast with a
+// CircuitOpenError instead of waiting on a dead server.
+//
+//   RAG_RETRIES        extra attempts after the first (default 2)
+//   RAG_RETRY_BASE_MS  backoff ceiling for the first retry, doubled after
+//                      each one (default 300)
+//   RAG_RETRY_MAX_MS   largest backoff ceiling (default 3000)
+
+const RETRIES = Number(process.env.RAG_RETRIES ?? 2);
+const RETRY_BASE_MS = Number(process.env.RAG_RETRY_BASE_MS) || 300;
+const RETRY_MAX_MS = Number(process.env.RAG_RETRY_MAX_MS) || 3000;
+const RETRYABLE_STATUSES = new Set([502, 503, 504]);
+
+export const ragCircuit = createCircuitBreaker({
+  onStateChange: (state, previous) =>
+    logger[state === "open" ? "warn" : "info"]("RAG circuit state changed", {
+      state,
+      previous,
+    }),
+});
+
+const ragRetries = counter({
+  name: "rag_retries_total",
+  help: "Retried calls to the RAG server, by RAG route.",
+  labelNames: ["route"],
+});
+
+gauge({
+  name: "rag_circuit_open",
+  help: "1 while the RAG circuit breaker is open and queries use the keyword fallback.",
+  collect: () => (ragCircuit.currentState() === "open" ? 1 : 0),
+});
+
+// Failed without the RAG server saying anything useful: nothing answered,
+// or a gateway/cold-start status. Timeouts are left out; waiting another
+// 30 seconds would not help.
+const isUnreachable = (error) =>
+  error.code !== "ECONNABORTED" &&
+  (error.response
+    ? RETRYABLE_STATUSES.has(error.response.status)
+    : Boolean(error.request));
+
+// What counts against the breaker; a 4xx answer means the server is up
+const isRagFailure = (error) =>
+  error.code === "ECONNABORTED" ||
+  (error.response ? error.response.status >= 500 : Boolean(error.request));
+
+// True when the query routes should answer from the keyword fallback
+export const isRagUnavailable = (error) =>
+  error instanceof CircuitOpenError ||
+  (!axios.isCancel(error) && isUnreachable(error));
+
+const backoffMs = (attempt) =>
+  Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+
+// Registered last, so it runs before signing: no point signing a call the
+// breaker refuses
+ragClient.interceptors.request.use((config) => {
+  ragCircuit.beforeCall();
+  return config;
+});
+
+ragClient.interceptors.response.use(
+  (response) => {
+    ragCircuit.recordSuccess();
+    return response;
+  },
+  async (error) => {
+    const { config } = error;
+    if (!config || axios.isCancel(error)) throw error;
+    if (!isRagFailure(error)) {
+      ragCircuit.recordSuccess();
+      throw error;
+    }
+
+    // A half-open circuit gets exactly one trial call, so no retries then
+    const attempt = config.retryAttempt || 0;
+    if (
+      config.retry &&
+      attempt < RETRIES &&
+      isUnreachable(error) &&
+      ragCircuit.currentState() === "closed"
+    ) {
+      // Streamed error responses hold a socket open until read
+      error.response?.data?.destroy?.();
+      await new Promise((resolve) => setTimeout(resolve, backoffMs(attempt)));
+      if (config.signal?.aborted) throw error;
+
+      const route = ragRoute(config);
+      ragRetries.inc({ route });
+      logger.info("retrying RAG call", { route, attempt: attempt + 1 });
+      return ragClient.request({ ...config, retryAttempt: attempt + 1 });
+    }
+
+    ragCircuit.recordFailure();
+    throw error;
+  }
+);
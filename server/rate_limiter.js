@@ -0,0 +1,120 @@
+import { logger } from "./logger.js";
+
+// ----------------- RATE LIMITING -----------------
+// Sliding-window limits on questions, per client IP and per conversation
+// session. Every question costs an embedding call, so these sit in front of
+// the query routes. Requests without a live session (none sent, or an
+// unknown or expired id) share one session budget per IP, so leaving out
+// the sessionId or making one up doesn't skip the session limit.
+//
+//   RATE_LIMIT_IP_MAX             questions per IP per window (default 30)
+//   RATE_LIMIT_IP_WINDOW_SECONDS  IP window length (default 60)
+//   RATE_LIMIT_SESSION_MAX        questions per session per window (default 10)
+//   RATE_LIMIT_SESSION_WINDOW_SECONDS  session window length (default 60)
+//   RATE_LIMIT_ALLOWLIST          comma-separated IPs that are never limited
+//                                 (default 127.0.0.1,::1 for local tools)
+// A max of 0 turns that limit off.
+
+// Sliding window log: remembers when each recent request happened, so the
+// window moves with time instead of resetting on the minute.
+export function createSlidingWindowLimiter({ max, windowMs }) {
+  const hits = new Map();
+
+  function hit(key, now = Date.now()) {
+    if (max <= 0) return { allowed: true, remaining: Infinity };
+
+    const recent = (hits.get(key) || []).filter((t) => now - t < windowMs);
+    if (recent.length >= max) {
+      hits.set(key, recent);
+      // The oldest request leaving the window frees the next slot
+      const retryAfterMs = windowMs - (now - recent[0]);
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000)),
+      };
+    }
+
+    recent.push(now);
+    hits.set(key, recent);
+    return { allowed: true, remaining: max - recent.length };
+  }
+
+  // Forget keys with nothing left in their window
+  function sweep(now = Date.now()) {
+    for (const [key, times] of hits) {
+      if (times.every((t) => now - t >= windowMs)) hits.delete(key);
+    }
+  }
+
+  const timer = setInterval(sweep, Math.max(windowMs, 60 * 1000));
+  timer.unref();
+
+  return { hit, sweep };
+}
+
+const seconds = (name, fallback) =>
+  (Number(process.env[name]) || fallback) * 1000;
+const count = (name, fallback) => Number(process.env[name] ?? fallback);
+
+export function loadRateLimitConfig() {
+  return {
+    ip: {
+      max: count("RATE_LIMIT_IP_MAX", 30),
+      windowMs: seconds("RATE_LIMIT_IP_WINDOW_SECONDS", 60),
+    },
+    session: {
+      max: count("RATE_LIMIT_SESSION_MAX", 10),
+      windowMs: seconds("RATE_LIMIT_SESSION_WINDOW_SECONDS", 60),
+    },
+    allowlist: (process.env.RATE_LIMIT_ALLOWLIST ?? "127.0.0.1,::1")
+      .split(",")
+      .map((ip) => ip.trim())
+      .filter(Boolean),
+  };
+}
+
+// IPv4 clients can show up as "::ffff:1.2.3.4" on dual-stack sockets
+const normalizeIp = (ip = "") => ip.replace(/^::ffff:/, "");
+
+// Express middleware. Rejections get a 429 with Retry-After and a
+// student-facing `answer`, like the other query errors. `isLiveSession`
+// tells real session ids from made-up ones.
+export function createRateLimitMiddleware(
+  config = loadRateLimitConfig(),
+  { isLiveSession = () => true } = {}
+) {
+  const byIp = createSlidingWindowLimiter(config.ip);
+  const bySession = createSlidingWindowLimiter(config.session);
+  const allowlist = new Set(config.allowlist.map(normalizeIp));
+
+  return (req, res, next) => {
+    const ip = normalizeIp(req.ip);
+    if (allowlist.has(ip)) return next();
+
+    const sessionId = req.body?.sessionId;
+    const sessionKey =
+      typeof sessionId === "string" && sessionId && isLiveSession(sessionId)
+        ? sessionId
+        : `ip:${ip}`;
+    let scope = "ip";
+    let limited = byIp.hit(ip);
+    if (limited.allowed) {
+      scope = "session";
+      limited = bySession.hit(sessionKey);
+    }
+    if (limited.allowed) return next();
+
+    (req.log || logger).warn("rate limited", {
+      scope,
+      ip,
+      retryAfterSeconds: limited.retryAfterSeconds,
+    });
+    res.set("Retry-After", String(limited.retryAfterSeconds));
+    res.status(429).json({
+      error: "Too many requests",
+      answer: `You're asking questions a little too quickly. Please wait ${limited.retryAfterSeconds} seconds and try again.`,
+      retryAfter: limited.retryAfterSeconds,
+    });
+  };
+}
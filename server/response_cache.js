@@ -0,0 +1,145 @@
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "./logger.js";
+import { questionKey } from "./questions.js";
+
+// ----------------- RESPONSE CACHE -----------------
+// LRU cache of RAG answers keyed on the normalized question, so repeat
+// questions ("admit card", "change password") skip the RAG server and the
+// embedding API. Every entry remembers the knowledge-base version it was
+// answered from; when the RAG server reports a new version the whole cache
+// is dropped.
+//
+//   CACHE_MAX_ENTRIES  answers kept, least recently used dropped first
+//                      (default 500, 0 disables the cache)
+//   CACHE_TTL_MINUTES  how long an answer is reused (default 60)
+//   CACHE_FILE         optional JSON file to keep the cache across restarts
+
+export function createResponseCache({
+  maxEntries = Number(process.env.CACHE_MAX_ENTRIES ?? 500),
+  ttlMs = (Number(process.env.CACHE_TTL_MINUTES) || 60) * 60 * 1000,
+  file = process.env.CACHE_FILE || null,
+} = {}) {
+  // Map iteration order doubles as least-recently-used order
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, invalidations: 0 };
+  let version = null;
+  let saveTimer = null;
+
+  const enabled = maxEntries > 0;
+  const isExpired = (entry) => Date.now() - entry.storedAt > ttlMs;
+
+  function get(question) {
+    if (!enabled) return null;
+    const key = questionKey(question);
+    const entry = entries.get(key);
+
+    if (!entry || isExpired(entry) || entry.version !== version) {
+      if (entry) entries.delete(key);
+      stats.misses += 1;
+      return null;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    stats.hits += 1;
+    return entry.value;
+  }
+
+  function set(question, value, answeredVersion = version) {
+    if (!enabled) return;
+    // An answer from a different knowledge base than we are tracking
+    // would only be thrown away again
+    if (answeredVersion !== version) setVersion(answeredVersion);
+
+    const key = questionKey(question);
+    if (!key) return;
+    entries.delete(key);
+    entries.set(key, { value, version, storedAt: Date.now() });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    scheduleSave();
+  }
+
+  // Called with the RAG server's current index version; a change means the
+  // knowledge base was edited and every cached answer may be stale.
+  function setVersion(next) {
+    if (!next || next === version) return;
+    if (version !== null && entries.size > 0) {
+      logger.info("knowledge base changed, dropping cached answers", {
+        version: next,
+        previousVersion: version,
+        dropped: entries.size,
+      });
+      stats.invalidations += 1;
+    }
+    entries.clear();
+    version = next;
+    scheduleSave();
+  }
+
+  function clear() {
+    entries.clear();
+    stats.invalidations += 1;
+    scheduleSave();
+  }
+
+  // ---- Optional disk store ----
+  async function load() {
+    if (!enabled || !file) return;
+    try {
+      const saved = JSON.parse(await fs.readFile(file, "utf-8"));
+      version = saved.version ?? null;
+      for (const [key, entry] of saved.entries || []) {
+        if (!isExpired(entry)) entries.set(key, entry);
+      }
+      logger.info("loaded cached answers", { count: entries.size, file });
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.warn("could not load response cache", { error });
+      }
+    }
+  }
+
+  async function save() {
+    saveTimer = null;
+    const tmp = `${file}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(
+        tmp,
+        JSON.stringify({ version, entries: [...entries] }),
+        "utf-8"
+      );
+      await fs.rename(tmp, file);
+    } catch (error) {
+      logger.warn("could not save response cache", { error });
+    }
+  }
+
+  // Writes are batched: at most one save every few seconds
+  function scheduleSave() {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(save, 5000);
+    saveTimer.unref();
+  }
+
+  function getStats() {
+    const lookups = stats.hits + stats.misses;
+    return {
+      enabled,
+      size: entries.size,
+      max_entries: maxEntries,
+      ttl_minutes: ttlMs / 60000,
+      version,
+      hits: stats.hits,
+      misses: stats.misses,
+      hit_rate: lookups ? Number((stats.hits / lookups).toFixed(4)) : 0,
+      invalidations: stats.invalidations,
+      persisted: Boolean(file),
+    };
+  }
+
+  return { get, set, setVersion, clear, load, getStats };
+}
@@ -0,0 +1,112 @@
+import crypto from "crypto";
+
+// ----------------- CONVERSATION SESSIONS -----------------
+// In-memory, per-process conversation history. Each session keeps only its
+// last few turns and expires after a period of inactivity; anything older
+// is useless for resolving follow-ups anyway.
+//
+//   SESSION_TTL_MINUTES  idle time before a session is dropped (default 30)
+//   SESSION_MAX_TURNS    turns kept per session (default 6)
+//   SESSION_MAX_COUNT    sessions kept in memory, oldest dropped (default 10000)
+
+const SESSION_ID = /^[0-9a-f-]{36}$/;
+
+export function createSessionStore({
+  ttlMs = (Number(process.env.SESSION_TTL_MINUTES) || 30) * 60 * 1000,
+  maxTurns = Number(process.env.SESSION_MAX_TURNS) || 6,
+  maxSessions = Number(process.env.SESSION_MAX_COUNT) || 10000,
+} = {}) {
+  // Map iteration order doubles as least-recently-used order
+  const sessions = new Map();
+
+  const isExpired = (session, now = Date.now()) =>
+    now - session.lastActiveAt > ttlMs;
+
+  const touch = (id, session) => {
+    session.lastActiveAt = Date.now();
+    sessions.delete(id);
+    sessions.set(id, session);
+  };
+
+  const describe = (id, session) => ({
+    sessionId: id,
+    turns: session.turns.length,
+    expiresAt: new Date(session.lastActiveAt + ttlMs).toISOString(),
+  });
+
+  function create() {
+    while (sessions.size >= maxSessions) {
+      sessions.delete(sessions.keys().next().value);
+    }
+    const id = crypto.randomUUID();
+    const session = { turns: [], lastActiveAt: Date.now() };
+    sessions.set(id, session);
+    return describe(id, session);
+  }
+
+  // Live session for `id`, or null if it is unknown or has expired
+  function get(id) {
+    if (typeof id !== "string" || !SESSION_ID.test(id)) return null;
+    const session = sessions.get(id);
+    if (!session) return null;
+    if (isExpired(session)) {
+      sessions.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  // Reuses `id` when it is still live, otherwise starts a new session
+  function resolve(id) {
+    const session = get(id);
+    if (session) {
+      touch(id, session);
+      return describe(id, session);
+    }
+    return create();
+  }
+
+  function history(id) {
+    return get(id)?.turns ?? [];
+  }
+
+  // turn: { question, rewrittenQuestion?, answer, category }
+  function append(id, turn) {
+    const session = get(id);
+    if (!session) return;
+    session.turns.push(turn);
+    if (session.turns.length > maxTurns) {
+      session.turns.splice(0, session.turns.length - maxTurns);
+    }
+    touch(id, session);
+  }
+
+  function clear(id) {
+    return sessions.delete(id);
+  }
+
+  function sweep() {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (isExpired(session, now)) sessions.delete(id);
+    }
+  }
+
+  // Expired sessions are also dropped lazily on access; the sweep just
+  // keeps abandoned ones from piling up.
+  const timer = setInterval(sweep, Math.min(ttlMs, 60 * 1000));
+  timer.unref();
+
+  return {
+    create,
+    get,
+    resolve,
+    history,
+    append,
+    clear,
+    sweep,
+    get size() {
+      return sessions.size;
+    },
+  };
+}
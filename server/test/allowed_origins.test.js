@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { isAllowedOrigin, loadAllowedOrigins } from "../allowed_origins.js";
+
+describe("allowed origins", () => {
+  it("defaults to the production app, its previews and local dev", () => {
+    const allowed = loadAllowedOrigins("");
+    assert.equal(isAllowedOrigin("https://ums-live.vercel.app", allowed), true);
+    assert.equal(
+      isAllowedOrigin("https://ums-git-feature-x.vercel.app", allowed),
+      true
+    );
+    assert.equal(isAllowedOrigin("http://localhost:3000", allowed), true);
+    assert.equal(isAllowedOrigin("https://evil.example", allowed), false);
+  });
+
+  it("matches listed origins exactly, ignoring case and trailing slashes", () => {
+    const allowed = loadAllowedOrigins(" https://CSE.example.edu/ ,");
+    assert.deepEqual(allowed.origins, ["https://CSE.example.edu/"]);
+    assert.equal(isAllowedOrigin("https://cse.example.edu", allowed), true);
+    assert.equal(isAllowedOrigin("http://cse.example.edu", allowed), false);
+    assert.equal(
+      isAllowedOrigin("https://cse.example.edu.evil.example", allowed),
+      false
+    );
+  });
+
+  it("lets '*' stand for subdomain labels only", () => {
+    const allowed = loadAllowedOrigins("https://*.example.edu");
+    assert.equal(isAllowedOrigin("https://a.b.example.edu", allowed), true);
+    assert.equal(isAllowedOrigin("https://example.edu", allowed), false);
+    assert.equal(
+      isAllowedOrigin("https://evil.com/.example.edu", allowed),
+      false
+    );
+    assert.equal(isAllowedOrigin("https://evilexample.edu", allowed), false);
+  });
+
+  it("always lets requests without an Origin through", () => {
+    assert.equal(isAllowedOrigin(undefined, loadAllowedOrigins("")), true);
+  });
+});
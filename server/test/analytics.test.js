@@ -0,0 +1,197 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  categoryDistribution,
+  errorRates,
+  outcomeForError,
+  outcomeForResult,
+  percentile,
+  popularQuestions,
+  summarizeQueries,
+  topQuestions,
+} from "../analytics.js";
+
+const query = (timestamp, outcome, extra = {}) => ({
+  timestamp,
+  route: "query",
+  question: "How do I see my admit card?",
+  outcome,
+  latencyMs: 100,
+  category: "Examination",
+  ...extra,
+});
+
+describe("outcomes", () => {
+  it("classifies RAG results", () => {
+    assert.equal(outcomeForResult({ category: null }), "unmatched");
+    assert.equal(
+      outcomeForResult({ category: "Fees", clarify: { reason: "ambiguous" } }),
+      "clarify"
+    );
+    assert.equal(outcomeForResult({ category: "Fees" }), "answered");
+  });
+
+  it("classifies failures the way students are told about them", () => {
+    assert.equal(outcomeForError({ code: "ECONNABORTED" }), "timeout");
+    assert.equal(outcomeForError({ response: {} }), "rag_error");
+    assert.equal(outcomeForError({ request: {} }), "rag_unavailable");
+    assert.equal(outcomeForError(new Error("bug")), "error");
+  });
+});
+
+describe("summarizeQueries", () => {
+  it("counts outcomes, errors and latency percentiles", () => {
+    const records = [
+      query("2026-01-01T10:00:00Z", "answered", { latencyMs: 100 }),
+      query("2026-01-01T10:01:00Z", "answered", { latencyMs: 300 }),
+      query("2026-01-01T10:02:00Z", "timeout", { latencyMs: 10000 }),
+      query("2026-01-01T10:03:00Z", "cancelled", { latencyMs: 50000 }),
+    ];
+    assert.deepEqual(summarizeQueries(records), {
+      total: 4,
+      outcomes: { answered: 2, timeout: 1, cancelled: 1 },
+      errorRate: 0.25,
+      latencyMs: { p50: 300, p95: 10000, p99: 10000 },
+    });
+  });
+
+  it("copes with no queries at all", () => {
+    assert.deepEqual(summarizeQueries([]), {
+      total: 0,
+      outcomes: {},
+      errorRate: 0,
+      latencyMs: { p50: null, p95: null, p99: null },
+    });
+  });
+});
+
+describe("percentile", () => {
+  it("uses the nearest rank", () => {
+    const values = [5, 1, 4, 2, 3];
+    assert.equal(percentile(values, 50), 3);
+    assert.equal(percentile(values, 95), 5);
+    assert.equal(percentile(values, 0), 1);
+  });
+});
+
+describe("topQuestions", () => {
+  it("groups spellings of one question and counts its categories", () => {
+    const records = [
+      query("2026-01-01T10:00:00Z", "answered"),
+      query("2026-01-01T10:00:00Z", "answered", {
+        question: "how do i see my admit card",
+        category: "Student Services",
+      }),
+      query("2026-01-01T10:00:00Z", "answered", { question: "fee receipt" }),
+    ];
+    assert.deepEqual(topQuestions(records, 1), [
+      {
+        question: "How do I see my admit card?",
+        count: 2,
+        categories: { Examination: 1, "Student Services": 1 },
+      },
+    ]);
+  });
+});
+
+describe("bucketed reports", () => {
+  const records = [
+    query("2026-01-01T11:30:00Z", "rag_error"),
+    query("2026-01-01T10:05:00Z", "answered"),
+    query("2026-01-01T10:45:00Z", "unmatched", { category: "Hostel" }),
+    query("2026-01-01T11:10:00Z", "answered", { category: "Finance" }),
+  ];
+
+  it("splits categories per hour, with unmatched queries under (none)", () => {
+    assert.deepEqual(categoryDistribution(records, "hour"), [
+      {
+        start: "2026-01-01T10:00:00.000Z",
+        total: 2,
+        categories: { Examination: 1, "(none)": 1 },
+      },
+      {
+        start: "2026-01-01T11:00:00.000Z",
+        total: 2,
+        categories: { Examination: 1, Finance: 1 },
+      },
+    ]);
+  });
+
+  it("reports error rates per day", () => {
+    assert.deepEqual(errorRates(records, "day"), [
+      {
+        start: "2026-01-01T00:00:00.000Z",
+        total: 4,
+        errors: 1,
+        errorRate: 0.25,
+        outcomes: { rag_error: 1, answered: 2, unmatched: 1 },
+      },
+    ]);
+  });
+});
+
+const record = (question, sessionId, category = "Examination") => ({
+  question,
+  sessionId,
+  category,
+  outcome: "answered",
+});
+
+const options = { minSessions: 3, limit: 5 };
+
+describe("popularQuestions", () => {
+  it("needs the question in several conversations, not several times", () => {
+    const records = [
+      record("How do I see my admit card?", "a"),
+      record("how do i see my admit card", "a"),
+      record("How do I see my admit card", "a"),
+      record("How do I see my admit card", "a"),
+    ];
+    assert.deepEqual(popularQuestions(records, options), []);
+
+    records.push(
+      record("how do I see my admit card?", "b"),
+      record("How do I see my admit card", "c")
+    );
+    const [popular] = popularQuestions(records, options);
+    assert.equal(popular.question, "How do I see my admit card?");
+    assert.equal(popular.sessions, 3);
+  });
+
+  it("ranks by how many conversations asked", () => {
+    const records = [
+      ...["a", "b", "c"].map((s) => record("fee receipt", s, "Finance")),
+      ...["a", "b", "c", "d"].map((s) => record("exam result", s)),
+      ...Array.from({ length: 10 }, () => record("hostel leave", "e")),
+    ];
+    assert.deepEqual(
+      popularQuestions(records, options).map((entry) => entry.question),
+      ["exam result", "fee receipt"]
+    );
+  });
+
+  it("redacts personal details before grouping and publishing", () => {
+    const records = [
+      record("attendance for 12345678", "a"),
+      record("attendance for 87654321", "b"),
+      record("attendance for 11223344", "c"),
+      record("mail me at someone@example.com", "a"),
+      record("mail me at other@example.com", "b"),
+      record("mail me at third@example.com", "c"),
+    ];
+    const questions = popularQuestions(records, options).map(
+      (entry) => entry.question
+    );
+    assert.deepEqual(questions.sort(), [
+      "attendance for [reg-no]",
+      "mail me at [email]",
+    ]);
+  });
+
+  it("ignores records without a session", () => {
+    const records = ["a", null, undefined, "b"].map((s) =>
+      record("library fine", s)
+    );
+    assert.deepEqual(popularQuestions(records, options), []);
+  });
+});
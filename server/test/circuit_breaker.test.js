@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { CircuitOpenError, createCircuitBreaker } from "../circuit_breaker.js";
+import {
+  NO_FALLBACK_MATCH_ANSWER,
+  fallbackAnswer,
+  keywordSearch,
+} from "../keyword_fallback.js";
+
+function breaker(t, options = {}) {
+  const now = t.mock.method(Date, "now", () => 0);
+  const changes = [];
+  const circuit = createCircuitBreaker({
+    failureThreshold: 3,
+    resetMs: 1000,
+    onStateChange: (state, previous) => changes.push(`${previous}->${state}`),
+    ...options,
+  });
+  const at = (ms) => now.mock.mockImplementation(() => ms);
+  return { circuit, changes, at };
+}
+
+describe("createCircuitBreaker", () => {
+  it("opens after consecutive failures and then fails fast", (t) => {
+    const { circuit, changes } = breaker(t);
+    for (let i = 0; i < 3; i += 1) {
+      circuit.beforeCall();
+      circuit.recordFailure();
+    }
+
+    assert.equal(circuit.currentState(), "open");
+    assert.deepEqual(changes, ["closed->open"]);
+    assert.throws(() => circuit.beforeCall(), CircuitOpenError);
+  });
+
+  it("resets the failure count on success", (t) => {
+    const { circuit } = breaker(t);
+    circuit.recordFailure();
+    circuit.recordFailure();
+    circuit.recordSuccess();
+    circuit.recordFailure();
+    circuit.recordFailure();
+    assert.equal(circuit.currentState(), "closed");
+  });
+
+  it("lets one trial call through after the reset timeout", (t) => {
+    const { circuit, changes, at } = breaker(t);
+    for (let i = 0; i < 3; i += 1) circuit.recordFailure();
+
+    at(1000);
+    assert.equal(circuit.currentState(), "half_open");
+    circuit.beforeCall();
+    // Everyone else waits for the trial
+    assert.throws(() => circuit.beforeCall(), CircuitOpenError);
+
+    circuit.recordSuccess();
+    assert.equal(circuit.currentState(), "closed");
+    assert.deepEqual(changes, [
+      "closed->open",
+      "open->half_open",
+      "half_open->closed",
+    ]);
+  });
+
+  it("opens again when the trial call fails", (t) => {
+    const { circuit, at } = breaker(t);
+    for (let i = 0; i < 3; i += 1) circuit.recordFailure();
+
+    at(1000);
+    circuit.beforeCall();
+    circuit.recordFailure();
+    assert.equal(circuit.currentState(), "open");
+    assert.throws(() => circuit.beforeCall(), CircuitOpenError);
+  });
+
+  it("stops waiting on a trial that never reports back", (t) => {
+    const { circuit, at } = breaker(t);
+    for (let i = 0; i < 3; i += 1) circuit.recordFailure();
+
+    at(1000);
+    circuit.beforeCall();
+    at(2000);
+    assert.doesNotThrow(() => circuit.beforeCall());
+  });
+});
+
+describe("keyword fallback", () => {
+  it("finds the path whose words the question uses", () => {
+    const [best] = keywordSearch("change ums password");
+    assert.equal(best.category, "Password Change");
+    assert.match(best.path, /Change UMS Password/);
+  });
+
+  it("answers like the RAG server, marked as degraded", () => {
+    const result = fallbackAnswer("where do I see my attendance");
+    assert.equal(result.degraded, true);
+    assert.match(result.answer, /Attendance/);
+    assert.equal(result.sources[0].path, result.answer);
+    assert.ok(result.alternatives.length <= 2);
+  });
+
+  it("says so when nothing matches", () => {
+    const result = fallbackAnswer("qwxz vbnm");
+    assert.equal(result.answer, NO_FALLBACK_MATCH_ANSWER);
+    assert.equal(result.category, null);
+    assert.equal(result.degraded, true);
+  });
+});
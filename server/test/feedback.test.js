@@ -0,0 +1,209 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, beforeEach, describe, it } from "node:test";
+
+// The stores read these when feedback.js is loaded
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "feedback-"));
+process.env.FEEDBACK_FILE = path.join(dir, "feedback.jsonl");
+process.env.UNMATCHED_FILE = path.join(dir, "unmatched.jsonl");
+
+const {
+  MAX_COMMENT_LENGTH,
+  MAX_QUESTION_LENGTH,
+  FeedbackError,
+  buildFeedbackReport,
+  createFeedbackRecord,
+  feedbackStore,
+  unmatchedReason,
+  unmatchedStore,
+} = await import("../feedback.js");
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+describe("createFeedbackRecord", () => {
+  it("builds a record from a valid body", () => {
+    const record = createFeedbackRecord({
+      rating: "down",
+      question: "  How do I pay fees? ",
+      comment: " Wrong menu ",
+      path: "Login -> UmsHome -> Fees",
+      category: "Finance",
+      score: 0.42,
+      sessionId: "session-1",
+    });
+    assert.match(record.id, /^[0-9a-f-]{36}$/);
+    assert.ok(!Number.isNaN(Date.parse(record.timestamp)));
+    assert.deepEqual(
+      { ...record, id: undefined, timestamp: undefined },
+      {
+        id: undefined,
+        timestamp: undefined,
+        rating: "down",
+        comment: "Wrong menu",
+        question: "How do I pay fees?",
+        answer: null,
+        path: "Login -> UmsHome -> Fees",
+        category: "Finance",
+        score: 0.42,
+        sessionId: "session-1",
+      }
+    );
+  });
+
+  it("rejects missing or malformed fields", () => {
+    for (const body of [
+      undefined,
+      { rating: "meh", question: "fees" },
+      { rating: "up" },
+      { rating: "up", question: "   " },
+      { rating: "up", question: "fees", score: "high" },
+      { rating: "up", question: "fees", comment: 5 },
+    ]) {
+      assert.throws(() => createFeedbackRecord(body), FeedbackError);
+    }
+  });
+
+  it("refuses comments over the limit", () => {
+    const comment = "x".repeat(MAX_COMMENT_LENGTH);
+    assert.equal(
+      createFeedbackRecord({ rating: "up", question: "fees", comment }).comment,
+      comment
+    );
+    assert.throws(
+      () =>
+        createFeedbackRecord({
+          rating: "up",
+          question: "fees",
+          comment: `${comment}x`,
+        }),
+      /comment must be at most 1000 characters/
+    );
+  });
+
+  it("cuts the question and echoed fields short", () => {
+    const record = createFeedbackRecord({
+      rating: "up",
+      question: "q".repeat(MAX_QUESTION_LENGTH * 4),
+      answer: "a".repeat(10000),
+      sessionId: "s".repeat(100),
+    });
+    assert.equal(record.question.length, MAX_QUESTION_LENGTH);
+    assert.equal(record.answer.length, 2000);
+    assert.equal(record.sessionId.length, 64);
+  });
+});
+
+describe("unmatchedReason", () => {
+  it("tells apart no match, low confidence and refusals", () => {
+    assert.equal(unmatchedReason({ category: null }), "no-match");
+    assert.equal(
+      unmatchedReason({ category: "Fees", clarify: { reason: "low" } }),
+      "low-confidence"
+    );
+    assert.equal(
+      unmatchedReason({ category: "Fees", clarify: { reason: "none" } }),
+      "low-confidence"
+    );
+    assert.equal(
+      unmatchedReason({ category: "Fees", synthesized: false }),
+      "refused"
+    );
+    assert.equal(
+      unmatchedReason({
+        category: "Fees",
+        clarify: { reason: "ambiguous" },
+        synthesized: true,
+      }),
+      null
+    );
+  });
+});
+
+describe("buildFeedbackReport", () => {
+  beforeEach(async () => {
+    await fs.rm(feedbackStore.file, { force: true });
+    await fs.rm(unmatchedStore.file, { force: true });
+  });
+
+  const rate = (rating, question, path, extra = {}) =>
+    feedbackStore.append(
+      createFeedbackRecord({ rating, question, path, ...extra })
+    );
+
+  const unmatched = (question, reason, extra = {}) =>
+    unmatchedStore.append({
+      timestamp: new Date().toISOString(),
+      question,
+      reason,
+      category: null,
+      score: null,
+      ...extra,
+    });
+
+  it("is empty before any feedback", async () => {
+    assert.deepEqual(await buildFeedbackReport(), {
+      totals: { feedback: 0, up: 0, down: 0, unmatched: 0 },
+      lowestRated: [],
+      neverMatched: [],
+    });
+  });
+
+  it("ranks answers by how much more they were disliked than liked", async () => {
+    const fees = "Login -> UmsHome -> Fees";
+    const hostel = "Login -> UmsHome -> Hostel";
+    await rate("down", "How do I pay fees?", fees, { comment: "wrong" });
+    await rate("down", "how do i pay fees", fees);
+    await rate("up", "How do I pay fees?", fees);
+    await rate("down", "hostel leave", hostel);
+    await rate("down", "hostel leave", hostel);
+    await rate("up", "exam date", "Login -> UmsHome -> Exams");
+
+    const report = await buildFeedbackReport();
+    assert.deepEqual(report.totals, {
+      feedback: 6,
+      up: 2,
+      down: 4,
+      unmatched: 0,
+    });
+    assert.deepEqual(
+      report.lowestRated.map(({ question, up, down, comments }) => ({
+        question,
+        up,
+        down,
+        comments,
+      })),
+      [
+        { question: "hostel leave", up: 0, down: 2, comments: [] },
+        { question: "How do I pay fees?", up: 1, down: 2, comments: ["wrong"] },
+      ]
+    );
+  });
+
+  it("groups never-matched questions, most frequent first", async () => {
+    await unmatched("Where is the canteen?", "no-match");
+    await unmatched("where is the canteen", "low-confidence", {
+      category: "Hostel",
+      score: 0.2,
+    });
+    await unmatched("where is the canteen", "low-confidence", {
+      category: "Transport",
+      score: 0.25,
+    });
+    await unmatched("bus pass", "refused");
+
+    const { neverMatched } = await buildFeedbackReport({ limit: 1 });
+    assert.equal(neverMatched.length, 1);
+    assert.deepEqual(
+      { ...neverMatched[0], lastAt: undefined },
+      {
+        question: "Where is the canteen?",
+        count: 3,
+        reasons: { "no-match": 1, "low-confidence": 2 },
+        bestGuess: { category: "Transport", score: 0.25 },
+        lastAt: undefined,
+      }
+    );
+  });
+});
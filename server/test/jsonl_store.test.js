@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { createJsonlStore } from "../jsonl_store.js";
+
+describe("createJsonlStore", () => {
+  let dir;
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "jsonl-store-"));
+  });
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it("reads nothing before the first append", async () => {
+    const store = createJsonlStore(path.join(dir, "missing.jsonl"));
+    assert.deepEqual(await store.readAll(), []);
+  });
+
+  it("creates the directory and keeps concurrent appends on their own lines", async () => {
+    const store = createJsonlStore(path.join(dir, "nested", "records.jsonl"));
+    await Promise.all(
+      Array.from({ length: 20 }, (_, i) => store.append({ i }))
+    );
+    const records = await store.readAll();
+    assert.deepEqual(
+      records.map((record) => record.i),
+      Array.from({ length: 20 }, (_, i) => i)
+    );
+  });
+
+  it("skips lines that don't parse", async () => {
+    const file = path.join(dir, "damaged.jsonl");
+    await fs.writeFile(file, '{"a":1}\n{"b":\n\n{"c":3}\n');
+    assert.deepEqual(await createJsonlStore(file).readAll(), [
+      { a: 1 },
+      { c: 3 },
+    ]);
+  });
+
+  it("keeps appending after a failed write", async () => {
+    // A file where the store's directory should be makes the first write fail
+    const blocked = path.join(dir, "blocked");
+    await fs.writeFile(blocked, "");
+    const store = createJsonlStore(path.join(blocked, "records.jsonl"));
+    await assert.rejects(store.append({ lost: true }));
+
+    await fs.rm(blocked);
+    await store.append({ kept: true });
+    assert.deepEqual(await store.readAll(), [{ kept: true }]);
+  });
+});
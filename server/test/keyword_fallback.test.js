@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  NO_FALLBACK_MATCH_ANSWER,
+  fallbackAnswer,
+  keywordSearch,
+} from "../keyword_fallback.js";
+
+describe("keywordSearch", () => {
+  it("finds paths from the bundled knowledge base, best first", () => {
+    const results = keywordSearch("how to change my password");
+    assert.equal(results.length, 3);
+    assert.ok(results.every((result) => result.category === "Password Change"));
+    assert.ok(results[0].score >= results[2].score);
+  });
+
+  it("matches word forms ('attend' finds attendance)", () => {
+    const [best] = keywordSearch("attend", 1);
+    assert.match(best.path, /Attendance/);
+  });
+
+  it("finds nothing for stop words alone", () => {
+    assert.deepEqual(keywordSearch("the a of"), []);
+  });
+});
+
+describe("fallbackAnswer", () => {
+  it("looks like a RAG result, marked as degraded", () => {
+    const result = fallbackAnswer("attendance");
+    assert.equal(result.degraded, true);
+    assert.equal(result.answer, result.sources[0].path);
+    assert.deepEqual(
+      result.sources.map((source) => source.id),
+      [1, 2, 3]
+    );
+    assert.equal(result.alternatives.length, 2);
+  });
+
+  it("says so when nothing matches", () => {
+    assert.deepEqual(fallbackAnswer("the a of"), {
+      answer: NO_FALLBACK_MATCH_ANSWER,
+      category: null,
+      score: null,
+      alternatives: [],
+      sources: [],
+      degraded: true,
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import express from "express";
+import { isRagUnavailable, ragClient } from "../rag_client.js";
+import { keepRawBody, requireServiceAuth } from "../../rag/service_auth.js";
+
+// The RAG server's side of the signature check, in front of routes that
+// echo what they received
+function startRagServer(secrets) {
+  const app = express();
+  app.use(express.json({ verify: keepRawBody }));
+  app.use(requireServiceAuth({ secrets, maxSkewMs: 300000 }));
+  app.get("/api/menu-tree/children", (req, res) => res.json(req.query));
+  app.post("/api/query", (req, res) => res.json(req.body));
+
+  let flakyCalls = 0;
+  app.get("/flaky", (req, res) => {
+    flakyCalls += 1;
+    if (flakyCalls === 1) return res.status(503).json({ error: "starting" });
+    res.json({ calls: flakyCalls });
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, () =>
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` })
+    );
+  });
+}
+
+const status = (error) => error.response?.status;
+
+describe("ragClient request signing", () => {
+  let rag;
+
+  before(async () => {
+    rag = await startRagServer(["current-secret", "previous-secret"]);
+  });
+  after(() => rag.server.close());
+  beforeEach(() => {
+    process.env.SERVICE_AUTH_SECRET = "current-secret";
+  });
+  after(() => {
+    delete process.env.SERVICE_AUTH_SECRET;
+  });
+
+  it("is accepted for GET requests with query params", async () => {
+    const response = await ragClient.get(`${rag.url}/api/menu-tree/children`, {
+      params: { path: "Login -> UmsHome" },
+    });
+    assert.deepEqual(response.data, { path: "Login -> UmsHome" });
+  });
+
+  // Regression: the signature used to cover a differently encoded path than
+  // the one axios sends ("'" raw on the wire, %27 in what was signed)
+  it("is accepted when the path or query has reserved characters", async () => {
+    const values = [
+      "what's my student's fee",
+      "Login -> Student's Corner (SC) -> Apply!",
+      "a+b=c & d/e?f#g",
+      "50% [draft] *~$,;:@",
+      "छात्र café",
+    ];
+    for (const value of values) {
+      const response = await ragClient.get(
+        `${rag.url}/api/menu-tree/children`,
+        { params: { path: value, q: value } }
+      );
+      assert.deepEqual(response.data, { path: value, q: value }, value);
+    }
+
+    const inPath = await ragClient.get(
+      `${rag.url}/api/menu-tree/children?path=${encodeURIComponent("Student's Corner")}`
+    );
+    assert.deepEqual(inPath.data, { path: "Student's Corner" });
+  });
+
+  it("is accepted for POST requests with a JSON body", async () => {
+    const body = { question: "How do I change my password?", history: [] };
+    const response = await ragClient.post(`${rag.url}/api/query`, body);
+    assert.deepEqual(response.data, body);
+  });
+
+  it("is accepted with a previous secret during rotation", async () => {
+    process.env.SERVICE_AUTH_SECRET = "previous-secret";
+    const response = await ragClient.post(`${rag.url}/api/query`, { a: 1 });
+    assert.deepEqual(response.data, { a: 1 });
+  });
+
+  it("is rejected when signed with an unknown secret", async () => {
+    process.env.SERVICE_AUTH_SECRET = "wrong-secret";
+    await assert.rejects(
+      ragClient.post(`${rag.url}/api/query`, { a: 1 }),
+      (error) => status(error) === 401
+    );
+  });
+
+  it("is required: unsigned requests are rejected", async () => {
+    delete process.env.SERVICE_AUTH_SECRET;
+    await assert.rejects(
+      ragClient.get(`${rag.url}/api/menu-tree/children`),
+      (error) => status(error) === 401
+    );
+  });
+
+  it("is re-done for each retry, so retries are not replays", async () => {
+    const response = await ragClient.get(`${rag.url}/flaky`, { retry: true });
+    assert.deepEqual(response.data, { calls: 2 });
+  });
+});
+
+describe("isRagUnavailable", () => {
+  it("is true when nothing answers", async () => {
+    const closed = await startRagServer([]);
+    const { url } = closed;
+    await new Promise((resolve) => closed.server.close(resolve));
+
+    await assert.rejects(
+      ragClient.get(`${url}/api/menu-tree/children`, { timeout: 2000 }),
+      (error) => isRagUnavailable(error)
+    );
+  });
+});
@@ -0,0 +1,152 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  createRateLimitMiddleware,
+  createSlidingWindowLimiter,
+} from "../rate_limiter.js";
+
+const config = (overrides = {}) => ({
+  ip: { max: 3, windowMs: 60000 },
+  session: { max: 2, windowMs: 60000 },
+  allowlist: [],
+  ...overrides,
+});
+
+function fakeRequest({ ip = "203.0.113.7", body = {} } = {}) {
+  return { ip, body };
+}
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+// Runs the middleware once; true if the request was let through
+function send(middleware, req) {
+  const res = fakeResponse();
+  let passed = false;
+  middleware(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+}
+
+describe("createSlidingWindowLimiter", () => {
+  it("allows up to max requests per window", () => {
+    const limiter = createSlidingWindowLimiter({ max: 2, windowMs: 1000 });
+    assert.equal(limiter.hit("a", 0).allowed, true);
+    assert.equal(limiter.hit("a", 100).remaining, 0);
+
+    const limited = limiter.hit("a", 200);
+    assert.equal(limited.allowed, false);
+    assert.equal(limited.retryAfterSeconds, 1);
+  });
+
+  it("frees a slot once the oldest request leaves the window", () => {
+    const limiter = createSlidingWindowLimiter({ max: 2, windowMs: 1000 });
+    limiter.hit("a", 0);
+    limiter.hit("a", 500);
+    assert.equal(limiter.hit("a", 999).allowed, false);
+    assert.equal(limiter.hit("a", 1000).allowed, true);
+    assert.equal(limiter.hit("a", 1200).allowed, false);
+  });
+
+  it("keeps separate windows per key", () => {
+    const limiter = createSlidingWindowLimiter({ max: 1, windowMs: 1000 });
+    assert.equal(limiter.hit("a", 0).allowed, true);
+    assert.equal(limiter.hit("b", 0).allowed, true);
+    assert.equal(limiter.hit("a", 10).allowed, false);
+  });
+
+  it("never limits when max is 0", () => {
+    const limiter = createSlidingWindowLimiter({ max: 0, windowMs: 1000 });
+    for (let i = 0; i < 100; i += 1) {
+      assert.equal(limiter.hit("a", i).allowed, true);
+    }
+  });
+});
+
+describe("createRateLimitMiddleware", () => {
+  it("answers 429 with Retry-After once an IP is over its limit", () => {
+    const middleware = createRateLimitMiddleware(
+      config({ session: { max: 10, windowMs: 60000 } })
+    );
+    for (let i = 0; i < 3; i += 1) {
+      assert.equal(send(middleware, fakeRequest()).passed, true);
+    }
+
+    const { passed, res } = send(middleware, fakeRequest());
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 429);
+    assert.match(res.headers["Retry-After"], /^\d+$/);
+    assert.equal(res.body.retryAfter, Number(res.headers["Retry-After"]));
+    assert.match(res.body.answer, /wait \d+ seconds/);
+  });
+
+  it("limits a session across IPs", () => {
+    const middleware = createRateLimitMiddleware(config());
+    const body = { sessionId: "session-1" };
+    assert.equal(
+      send(middleware, fakeRequest({ ip: "1.1.1.1", body })).passed,
+      true
+    );
+    assert.equal(
+      send(middleware, fakeRequest({ ip: "2.2.2.2", body })).passed,
+      true
+    );
+    assert.equal(
+      send(middleware, fakeRequest({ ip: "3.3.3.3", body })).passed,
+      false
+    );
+  });
+
+  it("applies the session limit per IP when no sessionId is sent", () => {
+    const middleware = createRateLimitMiddleware(config());
+    assert.equal(send(middleware, fakeRequest()).passed, true);
+    assert.equal(send(middleware, fakeRequest()).passed, true);
+
+    const { passed, res } = send(middleware, fakeRequest());
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 429);
+  });
+
+  it("treats made-up session ids like no session at all", () => {
+    const middleware = createRateLimitMiddleware(
+      config({ ip: { max: 10, windowMs: 60000 } }),
+      { isLiveSession: (sessionId) => sessionId === "live-session" }
+    );
+    const request = (sessionId) => fakeRequest({ body: { sessionId } });
+    assert.equal(send(middleware, request("made-up-1")).passed, true);
+    assert.equal(send(middleware, request("made-up-2")).passed, true);
+    assert.equal(send(middleware, request("made-up-3")).passed, false);
+    // A real session still has its own budget
+    assert.equal(send(middleware, request("live-session")).passed, true);
+  });
+
+  it("skips allowlisted IPs, including IPv4-mapped ones", () => {
+    const middleware = createRateLimitMiddleware(
+      config({ allowlist: ["10.0.0.1"] })
+    );
+    for (let i = 0; i < 10; i += 1) {
+      assert.equal(
+        send(middleware, fakeRequest({ ip: "::ffff:10.0.0.1" })).passed,
+        true
+      );
+    }
+  });
+});
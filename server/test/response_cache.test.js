@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createResponseCache } from "../response_cache.js";
+
+const answer = (path) => ({ answer: path, category: "Test", score: 0.9 });
+
+describe("createResponseCache", () => {
+  it("reuses an answer for the same question however it is typed", () => {
+    const cache = createResponseCache({ maxEntries: 10, file: null });
+    cache.set("How do I change my password?", answer("A"), "v1");
+
+    assert.deepEqual(cache.get("how do i change my password"), answer("A"));
+    assert.equal(cache.get("How do I pay fees?"), null);
+
+    const stats = cache.getStats();
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.misses, 1);
+    assert.equal(stats.hit_rate, 0.5);
+  });
+
+  it("drops the least recently used answer when full", () => {
+    const cache = createResponseCache({ maxEntries: 2, file: null });
+    cache.set("first question", answer("1"), "v1");
+    cache.set("second question", answer("2"), "v1");
+    // Reading "first" makes "second" the least recently used
+    cache.get("first question");
+    cache.set("third question", answer("3"), "v1");
+
+    assert.deepEqual(cache.get("first question"), answer("1"));
+    assert.equal(cache.get("second question"), null);
+    assert.deepEqual(cache.get("third question"), answer("3"));
+  });
+
+  it("expires answers after the TTL", (t) => {
+    const now = t.mock.method(Date, "now", () => 1000);
+    const cache = createResponseCache({
+      maxEntries: 10,
+      ttlMs: 60000,
+      file: null,
+    });
+    cache.set("admit card", answer("A"), "v1");
+
+    now.mock.mockImplementation(() => 1000 + 60000);
+    assert.deepEqual(cache.get("admit card"), answer("A"));
+    now.mock.mockImplementation(() => 1000 + 60001);
+    assert.equal(cache.get("admit card"), null);
+  });
+
+  it("drops everything when the knowledge-base version changes", () => {
+    const cache = createResponseCache({ maxEntries: 10, file: null });
+    cache.set("admit card", answer("A"), "v1");
+    cache.setVersion("v1");
+    assert.deepEqual(cache.get("admit card"), answer("A"));
+
+    cache.setVersion("v2");
+    assert.equal(cache.get("admit card"), null);
+    assert.equal(cache.getStats().invalidations, 1);
+    assert.equal(cache.getStats().size, 0);
+  });
+
+  it("stores nothing when disabled", () => {
+    const cache = createResponseCache({ maxEntries: 0, file: null });
+    cache.set("admit card", answer("A"), "v1");
+    assert.equal(cache.get("admit card"), null);
+    assert.equal(cache.getStats().enabled, false);
+  });
+});
@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createSessionStore } from "../sessions.js";
+
+const turn = (question) => ({ question, answer: "", category: null });
+
+describe("createSessionStore", () => {
+  it("creates sessions and reuses them while they are live", () => {
+    const store = createSessionStore();
+    const { sessionId, turns } = store.create();
+    assert.match(sessionId, /^[0-9a-f-]{36}$/);
+    assert.equal(turns, 0);
+
+    store.append(sessionId, turn("How do I check attendance?"));
+    const resumed = store.resolve(sessionId);
+    assert.equal(resumed.sessionId, sessionId);
+    assert.equal(resumed.turns, 1);
+    assert.deepEqual(store.history(sessionId), [
+      turn("How do I check attendance?"),
+    ]);
+  });
+
+  it("starts a new session for unknown or malformed ids", () => {
+    const store = createSessionStore();
+    for (const id of [undefined, "nope", crypto.randomUUID()]) {
+      const { sessionId } = store.resolve(id);
+      assert.notEqual(sessionId, id);
+    }
+    assert.equal(store.size, 3);
+    assert.deepEqual(store.history("nope"), []);
+  });
+
+  it("keeps only the last turns", () => {
+    const store = createSessionStore({ maxTurns: 2 });
+    const { sessionId } = store.create();
+    for (const question of ["one", "two", "three"]) {
+      store.append(sessionId, turn(question));
+    }
+    assert.deepEqual(
+      store.history(sessionId).map((t) => t.question),
+      ["two", "three"]
+    );
+  });
+
+  it("expires sessions after the idle time", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 0 });
+    const store = createSessionStore({ ttlMs: 1000 });
+    const live = store.create().sessionId;
+    const idle = store.create().sessionId;
+
+    t.mock.timers.tick(600);
+    store.append(live, turn("still here"));
+    t.mock.timers.tick(600);
+
+    assert.notEqual(store.get(live), null);
+    assert.equal(store.get(idle), null);
+    assert.notEqual(store.resolve(idle).sessionId, idle);
+
+    t.mock.timers.tick(2000);
+    store.sweep();
+    assert.equal(store.size, 0);
+  });
+
+  it("drops the least recently used session when full", () => {
+    const store = createSessionStore({ maxSessions: 2 });
+    const first = store.create().sessionId;
+    const second = store.create().sessionId;
+    store.resolve(first);
+    store.create();
+    assert.notEqual(store.get(first), null);
+    assert.equal(store.get(second), null);
+  });
+
+  it("forgets a cleared session", () => {
+    const store = createSessionStore();
+    const { sessionId } = store.create();
+    assert.equal(store.clear(sessionId), true);
+    assert.equal(store.get(sessionId), null);
+  });
+});
@@ -0,0 +1,25 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { describe, it } from "node:test";
+
+// Files that are copies of the RAG server's (the services deploy
+// separately). `npm run sync-shared` / `npm run sync-paths` refresh them.
+const SHARED_FILES = [
+  "logger.js",
+  "metrics.js",
+  "request_signing.js",
+  "ums_paths.json",
+];
+
+const read = (path) => fs.readFileSync(new URL(path, import.meta.url), "utf-8");
+
+describe("files shared with the RAG server", () => {
+  for (const file of SHARED_FILES) {
+    it(`${file} matches rag/${file}`, () => {
+      assert.ok(
+        read(`../${file}`) === read(`../../rag/${file}`),
+        `server/${file} differs from rag/${file}; edit the rag/ copy and run the sync script in server/`
+      );
+    });
+  }
+});